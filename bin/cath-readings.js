@@ -0,0 +1,352 @@
+#!/usr/bin/env node
+/**
+ * cath-readings command-line interface
+ * Run: cath-readings --help
+ */
+
+const CathReadings = require('../cathReadings.js');
+
+// Exit codes, so scripts and cron jobs can tell failures apart
+const EXIT = {
+  OK: 0,
+  ERROR: 1, // Unexpected failure
+  USAGE: 2, // Bad command or arguments
+  NOT_FOUND: 3, // USCCB has not published readings for the date
+  NETWORK: 4, // The readings could not be fetched
+  PARSE: 5 // The page was fetched but could not be parsed
+};
+
+const FORMATS = ['text', 'json', 'markdown', 'html', 'ics'];
+
+// Short names accepted by --reading, matched against the reading's name in English or Spanish
+const READING_ALIASES = {
+  first: /^reading 1$|^reading i$|^primera lectura$/i,
+  second: /^reading 2$|^reading ii$|^segunda lectura$/i,
+  psalm: /psalm|salmo/i,
+  acclamation: /alleluia|verse before the gospel|aleluya|aclamaci[oó]n/i,
+  gospel: /gospel|^evangelio/i
+};
+
+const USAGE = `Usage: cath-readings <command> [options]
+
+Commands:
+  today                      Readings for today
+  date <date>                Readings for a date (YYYY-MM-DD, MMDDYYYY or MMDDYY)
+  range <start> <end>        Readings for every date from start to end
+  season [date]              Liturgical season (default: today)
+  rank [date]                Liturgical rank (default: today)
+  serve                      Run the JSON readings API over HTTP (see lib/server.js)
+
+Options:
+  -f, --format <format>      Output format: text, json, markdown, html or ics (default: text)
+  -r, --reading <name>       Only include matching readings; repeatable. Names: first, second,
+                             psalm, acclamation, gospel, or any part of a reading's name
+      --gospel               Same as --reading gospel
+      --references           Print references without the texts
+      --width <columns>      Wrap text output to a width (default: 80; 0 to disable)
+      --timeout <ms>         Per-request timeout (default: 6000)
+      --timezone <zone>      IANA time zone that decides "today", e.g. America/New_York
+      --source <name>        Where readings come from: usccb or usccb-es (default: usccb)
+      --locale <tag>         Language of dates, seasons and ranks, e.g. es-US (default: the source's)
+      --cache-file <path>    Keep fetched readings in a JSON file between runs
+      --port <port>          Port for serve (default: 8787)
+      --host <host>          Address for serve to listen on (default: 127.0.0.1)
+  -h, --help                 Show this help
+  -v, --version              Show the version
+
+Exit codes:
+  0  success
+  1  unexpected error
+  2  invalid command or arguments
+  3  no readings published for the date (or for some date in a range)
+  4  network error (takes precedence over 3 in a range)
+  5  the readings page could not be parsed`;
+
+class UsageError extends Error {}
+
+/**
+ * Parses command-line arguments
+ * @param {string[]} args - Arguments after the script name
+ * @returns {Object} { command, positionals, format, readings, references, width, timeout, timeZone, source, locale,
+ *   cacheFile, port, host, help, version }
+ */
+function parseArgs(args) {
+  const options = { command: null, positionals: [], format: 'text', readings: [], references: false };
+  const takeValue = (flag, i) => {
+    if (i + 1 >= args.length) throw new UsageError(`${flag} needs a value`);
+    return args[i + 1];
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    switch (arg) {
+      case '-h':
+      case '--help':
+        options.help = true;
+        break;
+      case '-v':
+      case '--version':
+        options.version = true;
+        break;
+      case '-f':
+      case '--format':
+        options.format = takeValue(arg, i++);
+        break;
+      case '-r':
+      case '--reading':
+        options.readings.push(takeValue(arg, i++));
+        break;
+      case '--gospel':
+        options.readings.push('gospel');
+        break;
+      case '--references':
+        options.references = true;
+        break;
+      case '--width':
+        options.width = Number(takeValue(arg, i++));
+        if (!Number.isInteger(options.width) || options.width < 0) {
+          throw new UsageError('--width must be a number of columns');
+        }
+        break;
+      case '--timeout':
+        options.timeout = Number(takeValue(arg, i++));
+        if (!Number.isFinite(options.timeout) || options.timeout < 0) {
+          throw new UsageError('--timeout must be a number of milliseconds');
+        }
+        break;
+      case '--timezone':
+        options.timeZone = takeValue(arg, i++);
+        try {
+          new Intl.DateTimeFormat('en-US', { timeZone: options.timeZone });
+        } catch (_) {
+          throw new UsageError(`Unknown time zone: ${options.timeZone}`);
+        }
+        break;
+      case '--source':
+        options.source = takeValue(arg, i++);
+        if (!CathReadings.Sources.get(options.source)) {
+          throw new UsageError(`Unknown source: ${options.source} (expected ${CathReadings.Sources.list().join(', ')})`);
+        }
+        break;
+      case '--locale':
+        options.locale = takeValue(arg, i++);
+        try {
+          new Intl.DateTimeFormat(options.locale);
+        } catch (_) {
+          throw new UsageError(`Invalid locale: ${options.locale}`);
+        }
+        break;
+      case '--cache-file':
+        options.cacheFile = takeValue(arg, i++);
+        break;
+      case '--port':
+        options.port = Number(takeValue(arg, i++));
+        if (!Number.isInteger(options.port) || options.port < 0 || options.port > 65535) {
+          throw new UsageError('--port must be a port number');
+        }
+        break;
+      case '--host':
+        options.host = takeValue(arg, i++);
+        break;
+      default:
+        if (arg.startsWith('-')) throw new UsageError(`Unknown option: ${arg}`);
+        if (options.command === null) {
+          options.command = arg;
+        } else {
+          options.positionals.push(arg);
+        }
+    }
+  }
+
+  if (!FORMATS.includes(options.format)) {
+    throw new UsageError(`Unknown format: ${options.format} (expected ${FORMATS.join(', ')})`);
+  }
+  return options;
+}
+
+/**
+ * Reads a date argument in YYYY-MM-DD, MMDDYYYY or MMDDYY form
+ * @param {string} value - The argument
+ * @returns {Date} The date at local midnight
+ */
+function parseDateArg(value) {
+  try {
+    return CathReadings.parseDateString(value);
+  } catch (_) {
+    throw new UsageError(`Invalid date: ${value} (expected YYYY-MM-DD, MMDDYYYY or MMDDYY)`);
+  }
+}
+
+/**
+ * Keeps the readings named by --reading
+ * @param {Object[]} readings - A day's readings
+ * @param {string[]} names - Requested names or aliases; empty keeps everything
+ * @returns {Object[]} The matching readings
+ */
+function filterReadings(readings, names) {
+  if (!names.length) return readings;
+  return readings.filter(reading => names.some((name) => {
+    const alias = READING_ALIASES[name.toLowerCase()];
+    return alias ? alias.test(reading.name) : reading.name.toLowerCase().includes(name.toLowerCase());
+  }));
+}
+
+/**
+ * Formats one or more days with the renderers
+ * @param {Object[]} days - Results of getReadings
+ * @param {string} format - text, markdown, html or ics
+ * @param {Object} options - Parsed CLI options
+ * @returns {string} The formatted readings
+ */
+function formatDays(days, format, options) {
+  const { Renderers } = CathReadings;
+  const renderOptions = { includeText: !options.references, width: options.width };
+  switch (format) {
+    case 'ics':
+      return Renderers.toICalendar(days).trimEnd();
+    case 'markdown':
+      return days.map(day => Renderers.toMarkdown(day, renderOptions).trimEnd()).join('\n\n---\n\n');
+    case 'html':
+      return days.map(day => Renderers.toHtml(day, renderOptions).trimEnd()).join('\n');
+    default:
+      return days.map(day => Renderers.toText(day, renderOptions).trimEnd()).join('\n\n---\n\n');
+  }
+}
+
+/**
+ * Maps an error to its exit code
+ * @param {Error} error - The error
+ * @returns {number} Exit code
+ */
+function exitCodeFor(error) {
+  if (error instanceof UsageError) return EXIT.USAGE;
+  if (error instanceof CathReadings.NotFoundError) return EXIT.NOT_FOUND;
+  if (error instanceof CathReadings.NetworkError) return EXIT.NETWORK;
+  if (error instanceof CathReadings.ParseError) return EXIT.PARSE;
+  return EXIT.ERROR;
+}
+
+/**
+ * Runs the CLI
+ * @param {string[]} args - Arguments after the script name
+ * @param {Object} [io]
+ * @param {Function} [io.stdout] - Receives output text
+ * @param {Function} [io.stderr] - Receives error text
+ * @param {CathReadings} [io.api] - API instance to use (default: one built from the options)
+ * @returns {Promise<number>} Exit code
+ */
+async function run(args, io = {}) {
+  const stdout = io.stdout || (text => process.stdout.write(`${text}\n`));
+  const stderr = io.stderr || (text => process.stderr.write(`${text}\n`));
+
+  let options;
+  try {
+    options = parseArgs(args);
+    if (options.help) {
+      stdout(USAGE);
+      return EXIT.OK;
+    }
+    if (options.version) {
+      stdout(require('../package.json').version);
+      return EXIT.OK;
+    }
+    if (!options.command) {
+      throw new UsageError('Missing command');
+    }
+  } catch (error) {
+    stderr(`${error.message}\n\n${USAGE}`);
+    return exitCodeFor(error);
+  }
+
+  const api = io.api || new CathReadings({
+    timeout: options.timeout,
+    timeZone: options.timeZone,
+    source: options.source,
+    locale: options.locale,
+    persistentCache: options.cacheFile ? new CathReadings.CacheStores.FileStore({ path: options.cacheFile }) : null
+  });
+  const expectArgs = (min, max) => {
+    if (options.positionals.length < min || options.positionals.length > max) {
+      throw new UsageError(`Wrong number of arguments for ${options.command}`);
+    }
+  };
+  const filter = day => ({ ...day, readings: filterReadings(day.readings, options.readings) });
+
+  try {
+    switch (options.command) {
+      case 'today':
+      case 'date': {
+        const isToday = options.command === 'today';
+        expectArgs(isToday ? 0 : 1, isToday ? 0 : 1);
+        const day = filter(isToday
+          ? await api.getToday({ timeZone: options.timeZone })
+          : await api.getReadings(parseDateArg(options.positionals[0])));
+        stdout(options.format === 'json' ? JSON.stringify(day, null, 2) : formatDays([day], options.format, options));
+        return EXIT.OK;
+      }
+
+      case 'range': {
+        expectArgs(2, 2);
+        const days = await api.getRange(parseDateArg(options.positionals[0]), parseDateArg(options.positionals[1]));
+        if (options.format === 'json') {
+          stdout(JSON.stringify(days.map(entry => ({
+            date: entry.date,
+            readings: entry.readings && filter(entry.readings),
+            error: entry.error && { name: entry.error.name, message: entry.error.message }
+          })), null, 2));
+        } else {
+          stdout(formatDays(days.filter(entry => entry.readings).map(entry => filter(entry.readings)), options.format, options));
+        }
+        const errors = days.filter(entry => entry.error).map(entry => entry.error);
+        errors.forEach((error) => stderr(`${error.date || ''} ${error.message}`.trim()));
+        // A network failure is worth retrying, so it outranks a missing date
+        const codes = errors.map(exitCodeFor);
+        if (codes.includes(EXIT.NETWORK)) return EXIT.NETWORK;
+        return codes.length ? Math.max(...codes.filter(code => code !== EXIT.NETWORK)) : EXIT.OK;
+      }
+
+      case 'season':
+      case 'rank': {
+        expectArgs(0, 1);
+        const date = options.positionals.length
+          ? parseDateArg(options.positionals[0])
+          : CathReadings.today(options.timeZone || api.timeZone);
+        const value = options.command === 'season' ? await api.getSeason(date) : await api.getRank(date);
+        stdout(options.format === 'json'
+          ? JSON.stringify({ date: CathReadings.formatIsoDate(date), [options.command]: value })
+          : value);
+        return EXIT.OK;
+      }
+
+      case 'serve': {
+        expectArgs(0, 0);
+        const { createServer, DEFAULT_PORT } = require('../lib/server.js');
+        const server = createServer({ api });
+        const port = options.port ?? DEFAULT_PORT;
+        const host = options.host || '127.0.0.1';
+        await new Promise((resolve, reject) => {
+          server.once('error', reject);
+          server.listen(port, host, resolve);
+        });
+        stdout(`Serving readings on http://${host}:${server.address().port}`);
+        // Keep running until the server is closed (Ctrl+C ends the process)
+        await new Promise(resolve => server.once('close', resolve));
+        return EXIT.OK;
+      }
+
+      default:
+        throw new UsageError(`Unknown command: ${options.command}`);
+    }
+  } catch (error) {
+    stderr(error instanceof UsageError ? `${error.message}\n\n${USAGE}` : error.message);
+    return exitCodeFor(error);
+  }
+}
+
+if (require.main === module) {
+  run(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = { run, parseArgs, filterReadings, EXIT };
@@ -4,19 +4,240 @@
  * URL format: https://bible.usccb.org/bible/readings/MMDDYY.cfm
  */
 
+// Companion modules: required in Node.js; in the browser, load lib/*.js with <script> tags before this file
+const LiturgicalCalendar = typeof module !== 'undefined' && module.exports
+  ? require('./lib/liturgicalCalendar.js')
+  : self.LiturgicalCalendar;
+const BibleReference = typeof module !== 'undefined' && module.exports
+  ? require('./lib/bibleReference.js')
+  : self.BibleReference;
+const CacheStores = typeof module !== 'undefined' && module.exports
+  ? require('./lib/cacheStores.js')
+  : self.CacheStores;
+const {
+  CathReadingsError, NotFoundError, NetworkError, TimeoutError, ProxyError, ParseError
+} = typeof module !== 'undefined' && module.exports
+  ? require('./lib/errors.js')
+  : self.CathReadingsErrors;
+const LiteDOMParser = typeof module !== 'undefined' && module.exports
+  ? require('./lib/liteDom.js')
+  : self.LiteDOMParser;
+const Renderers = typeof module !== 'undefined' && module.exports
+  ? require('./lib/renderers.js')
+  : self.Renderers;
+const LectionaryIndex = typeof module !== 'undefined' && module.exports
+  ? require('./lib/lectionaryIndex.js')
+  : self.LectionaryIndex;
+const ReadingsDiff = typeof module !== 'undefined' && module.exports
+  ? require('./lib/readingsDiff.js')
+  : self.ReadingsDiff;
+const Locales = typeof module !== 'undefined' && module.exports
+  ? require('./lib/locales.js')
+  : self.Locales;
+const Sources = typeof module !== 'undefined' && module.exports
+  ? require('./lib/sources.js')
+  : self.CathReadingsSources;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// HTTP statuses worth retrying: timeouts, rate limiting and temporary server errors
+const RETRYABLE_STATUS = [408, 425, 429, 500, 502, 503, 504];
+
+/**
+ * Builds the error to throw when a caller's AbortSignal fires
+ * @param {AbortSignal} signal - The aborted signal
+ * @returns {Error} The signal's reason, or an AbortError
+ */
+function abortError(signal) {
+  if (signal.reason instanceof Error) return signal.reason;
+  const error = new Error('The operation was aborted');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Waits for a number of milliseconds, rejecting early if the signal aborts
+ * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal} [signal] - Optional signal to cancel the wait
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(abortError(signal));
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError(signal));
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
 class CathReadings {
-  constructor() {
-    this.baseUrl = 'https://bible.usccb.org/bible/readings';
+  /**
+   * @param {Object} [options]
+   * @param {string|Object} [options.source='usccb'] - Where readings come from: the name of a registered
+   *   source adapter ('usccb' or 'usccb-es' built in, see registerSource) or an adapter object
+   * @param {string} [options.locale] - BCP 47 locale for displayDate, seasonName and rankName
+   *   (default: the source's, e.g. 'es-US' for 'usccb-es')
+   * @param {string} [options.baseUrl] - Where readings pages live (default: the source's)
+   * @param {Function} [options.fetch] - fetch implementation (default: the global fetch)
+   * @param {Object} [options.headers] - Headers sent with every request
+   * @param {string} [options.userAgent] - Shorthand for a User-Agent header (ignored by browsers)
+   * @param {number} [options.timeout=6000] - Ms before a request is abandoned; 0 for no timeout
+   * @param {number} [options.retries=2] - Retries for network errors, timeouts and transient HTTP statuses
+   * @param {number} [options.retryDelay=500] - Ms before the first retry; doubled for each later one
+   * @param {Array<string|Function>} [options.proxies] - CORS proxies to fall back on. A string is a URL
+   *   prefix, or a template with "{url}"; a function maps the page URL to the proxy URL.
+   *   When given, proxies are used in Node.js too; otherwise public proxies are used in the browser only.
+   * @param {number} [options.concurrency=2] - Maximum simultaneous requests for range fetches
+   * @param {number} [options.requestDelay=250] - Minimum ms between starting two range requests
+   * @param {Object} [options.domParser] - Object with parseFromString(html, 'text/html'), e.g. a jsdom or
+   *   linkedom DOMParser (default: the browser's DOMParser, else the built-in LiteDOMParser)
+   * @param {number|null} [options.cacheTtl=30 days] - Ms a cached day stays fresh; null never expires
+   * @param {number} [options.cacheMaxEntries=100] - Days kept by each cache layer before evicting the oldest
+   * @param {Object} [options.cache] - Store for the in-memory layer (default: a MemoryStore)
+   * @param {Object|null} [options.persistentCache] - Store that survives restarts (default: localStorage
+   *   when available); null disables it. See lib/cacheStores.js for the interface.
+   * @param {string} [options.timeZone] - IANA time zone that decides what "today" is for getToday,
+   *   getTomorrow and getReadingsByDaysOffset, e.g. "America/New_York" (default: the system's)
+   * @param {number|null} [options.revalidateAfter=null] - Ms after which a cached day served by getReadings
+   *   is also re-fetched in the background, emitting "change" if USCCB corrected it; null never revalidates
+   * @param {Object} [options.on] - Event listeners by event name, e.g. { cacheMiss: fn }; see on()
+   * @param {boolean} [options.strict=false] - Throw ParseError when a fetched day fails validate(),
+   *   rather than only emitting parseWarning
+   * @throws {RangeError} If timeZone is not a known time zone
+   * @throws {Error} If source names no registered adapter
+   */
+  constructor(options = {}) {
+    this.source = options.source && typeof options.source === 'object'
+      ? options.source
+      : Sources.get(options.source || 'usccb');
+    if (!this.source) {
+      throw new Error(`Unknown source: ${options.source} (registered: ${Sources.list().join(', ')})`);
+    }
+    this.labels = Sources.labelsFor(this.source);
+    this.locale = options.locale || this.source.locale || 'en-US';
+    this.baseUrl = options.baseUrl || this.source.baseUrl;
     this.corsProxy = 'https://api.allorigins.win/raw?url=';
-    this.timeout = 6000; // 6 second timeout for CORS requests (allows for slow networks)
-    this.cache = new Map(); // In-memory cache for frequently requested dates
-    // Multiple public CORS proxies; we'll race them for fastest response
-    this.proxyCandidates = [
-      (u) => `https://cors.isomorphic-git.org/${u}`,
-      (u) => `https://api.allorigins.win/raw?url=${encodeURIComponent(u)}`,
-      (u) => `https://api.codetabs.com/v1/proxy?quest=${encodeURIComponent(u)}`,
-      (u) => `https://thingproxy.freeboard.io/fetch/${u}`
-    ];
+    this.timeout = options.timeout ?? 6000; // 6 second timeout per request (allows for slow networks)
+    this.retries = options.retries ?? 2;
+    this.retryDelay = options.retryDelay ?? 500;
+    this.fetchImpl = options.fetch || null; // Resolved at call time so a later global fetch polyfill is picked up
+    this.headers = { ...options.headers };
+    if (options.userAgent) {
+      this.headers['User-Agent'] = options.userAgent;
+    }
+    this.cacheTtl = options.cacheTtl !== undefined ? options.cacheTtl : 30 * DAY_MS;
+    this.cacheMaxEntries = options.cacheMaxEntries ?? 100;
+    // In-memory cache for frequently requested dates
+    this.cache = options.cache || new CacheStores.MemoryStore({ maxEntries: this.cacheMaxEntries });
+    this.persistentCache = options.persistentCache !== undefined
+      ? options.persistentCache
+      : (CacheStores.LocalStorageStore.isAvailable() ? new CacheStores.LocalStorageStore() : null);
+    this.concurrency = options.concurrency ?? 2; // Maximum simultaneous USCCB requests for range fetches
+    this.requestDelay = options.requestDelay ?? 250; // Minimum ms between starting two range requests, to be polite to USCCB
+    // Multiple CORS proxies; we'll race them for fastest response
+    this.proxyCandidates = options.proxies
+      ? options.proxies.map(CathReadings.toProxyCandidate)
+      : [
+        (u) => `https://cors.isomorphic-git.org/${u}`,
+        (u) => `https://api.allorigins.win/raw?url=${encodeURIComponent(u)}`,
+        (u) => `https://api.codetabs.com/v1/proxy?quest=${encodeURIComponent(u)}`,
+        (u) => `https://thingproxy.freeboard.io/fetch/${u}`
+      ];
+    // Pages and service workers alike are subject to CORS
+    this.useProxies = Boolean(options.proxies) || typeof window !== 'undefined' || typeof WorkerGlobalScope !== 'undefined';
+    this.domParser = options.domParser || null;
+    this.timeZone = options.timeZone || null;
+    if (this.timeZone) {
+      // Fail now rather than on the first getToday
+      new Intl.DateTimeFormat('en-US', { timeZone: this.timeZone });
+    }
+    this.strict = Boolean(options.strict);
+    this.revalidateAfter = options.revalidateAfter ?? null;
+    this.revalidations = new Map(); // Cache key -> pending background revalidation
+    this.listeners = new Map(); // Event name -> listener functions
+    this.resetStats();
+    this.collectStats();
+    Object.entries(options.on || {}).forEach(([event, listener]) => this.on(event, listener));
+  }
+
+  /**
+   * Adds an event listener. Events and their payloads:
+   * - requestStart { url } and requestEnd { url, via: 'direct'|'proxy', duration, error } around each page fetch
+   * - cacheHit { date, key, layer, age } and cacheMiss { date, key } for each getReadings lookup
+   * - proxyAttempt { url, proxyUrl, index }, proxySuccess { ..., duration } and
+   *   proxyFailure { ..., duration, error, timedOut } for each proxy raced
+   * - parseWarning { date, url, warning, code } for each calendar disagreement ('calendar') or
+   *   validate() problem found on a fetched page
+   * - change and revalidateError, see revalidate() and revalidateInBackground()
+   * Durations and ages are in ms.
+   * @param {string} event - Event name, e.g. "change"
+   * @param {Function} listener - Called with the event's payload
+   * @returns {CathReadings} this
+   */
+  on(event, listener) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, []);
+    }
+    this.listeners.get(event).push(listener);
+    return this;
+  }
+
+  /**
+   * Removes an event listener added with on()
+   * @param {string} event - Event name
+   * @param {Function} listener - The listener to remove
+   * @returns {CathReadings} this
+   */
+  off(event, listener) {
+    const listeners = this.listeners.get(event);
+    if (listeners && listeners.includes(listener)) {
+      listeners.splice(listeners.indexOf(listener), 1);
+    }
+    return this;
+  }
+
+  /**
+   * Calls the listeners of an event. A listener that throws does not stop the
+   * others, nor the request that emitted the event.
+   * @param {string} event - Event name
+   * @param {Object} payload - Passed to each listener
+   */
+  emit(event, payload) {
+    (this.listeners.get(event) || []).slice().forEach((listener) => {
+      try {
+        listener(payload);
+      } catch (_) {
+        // Listeners must not break fetching
+      }
+    });
+  }
+
+  /**
+   * Adds a source adapter that instances can then use with { source: name },
+   * e.g. for another bishops' conference
+   * @param {Object} adapter - { name, baseUrl, locale, pageUrl?, parse, labels? }, see lib/sources.js
+   * @returns {Object} The adapter
+   * @throws {TypeError} If the adapter has no name or parse function
+   */
+  static registerSource(adapter) {
+    return Sources.register(adapter);
+  }
+
+  /**
+   * Turns a proxy option into a function from page URL to proxy URL
+   * @param {string|Function} proxy - URL prefix, "{url}" template, or function
+   * @returns {Function} Proxy URL builder
+   */
+  static toProxyCandidate(proxy) {
+    if (typeof proxy === 'function') return proxy;
+    if (proxy.includes('{url}')) return (u) => proxy.replace('{url}', encodeURIComponent(u));
+    return (u) => `${proxy}${encodeURIComponent(u)}`;
   }
 
   /**
@@ -32,102 +253,499 @@ class CathReadings {
   }
 
   /**
-   * Parses MMDDYY format into a Date object
-   * @param {string} dateStr - Date string in MMDDYY format
+   * Parses a date string into a Date object at local midnight
+   * @param {string} dateStr - YYYY-MM-DD, MMDDYYYY, or MMDDYY (years 2000-2099, as USCCB URLs use)
    * @returns {Date} Parsed date object
    */
   static parseDateString(dateStr) {
-    if (!/^\d{6}$/.test(dateStr)) {
-      throw new Error('Date must be in MMDDYY format');
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateStr) || /^(\d{2})(\d{2})(\d{4}|\d{2})$/.exec(dateStr);
+    if (!match) {
+      throw new Error('Date must be in YYYY-MM-DD, MMDDYYYY or MMDDYY format');
     }
-    const month = parseInt(dateStr.substring(0, 2), 10);
-    const day = parseInt(dateStr.substring(2, 4), 10);
-    const year = parseInt('20' + dateStr.substring(4, 6), 10);
-    
+    const [year, month, day] = match[1].length === 4
+      ? match.slice(1).map(Number)
+      : [Number(match[3].length === 2 ? `20${match[3]}` : match[3]), Number(match[1]), Number(match[2])];
+
     const date = new Date(year, month - 1, day);
-    if (isNaN(date.getTime())) {
+    // Years 0-99 would otherwise be read as 1900-1999
+    date.setFullYear(year);
+    // Reject values the Date constructor would silently roll over (e.g. month 13)
+    if (isNaN(date.getTime()) || date.getMonth() !== month - 1 || date.getDate() !== day) {
       throw new Error('Invalid date values');
     }
     return date;
   }
 
   /**
-   * Fetches daily readings for a given date
-   * @param {Date|string} date - Date object or MMDDYY string
-   * @returns {Promise<Object>} Object containing all readings for the day
+   * Normalizes a date argument into a Date object
+   * @param {Date|string} date - Date object, or YYYY-MM-DD, MMDDYYYY or MMDDYY string
+   * @returns {Date} The date
    */
-  async getReadings(date) {
-    let dateStr;
-    
+  static toDate(date) {
     if (typeof date === 'string') {
-      dateStr = date;
-      date = CathReadings.parseDateString(date);
-    } else if (date instanceof Date) {
-      dateStr = CathReadings.formatDateForUrl(date);
-    } else {
-      throw new Error('Date must be a Date object or MMDDYY string');
+      return CathReadings.parseDateString(date);
+    }
+    if (date instanceof Date) {
+      return date;
     }
+    throw new Error('Date must be a Date object or a YYYY-MM-DD, MMDDYYYY or MMDDYY string');
+  }
+
+  /**
+   * Formats a date as YYYY-MM-DD in local time
+   * @param {Date} date - The date to format
+   * @returns {string} Date in YYYY-MM-DD format
+   */
+  static formatIsoDate(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${String(date.getFullYear()).padStart(4, '0')}-${month}-${day}`;
+  }
 
-    // Check in-memory cache first
-    if (this.cache.has(dateStr)) {
-      return this.cache.get(dateStr);
+  /**
+   * Gets the current calendar date in a time zone, as a Date at local midnight.
+   * A server running in UTC can ask for the date in New York, for instance.
+   * @param {string} [timeZone] - IANA time zone (default: the system's)
+   * @param {Date} [now=new Date()] - The moment to convert
+   * @returns {Date} The date
+   */
+  static today(timeZone, now = new Date()) {
+    if (!timeZone) {
+      return new Date(now.getFullYear(), now.getMonth(), now.getDate());
     }
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', { timeZone, year: 'numeric', month: 'numeric', day: 'numeric' })
+      .formatToParts(now)
+      .forEach(({ type, value }) => { parts[type] = Number(value); });
+    return new Date(parts.year, parts.month - 1, parts.day);
+  }
 
-    // Check persistent cache (localStorage) if available
-    const persisted = this.readFromPersistentCache(dateStr);
-    if (persisted) {
-      this.cache.set(dateStr, persisted);
-      return persisted;
+  /**
+   * Lists every date from start to end, inclusive
+   * @param {Date|string} start - First date (Date object, YYYY-MM-DD or MMDDYY string)
+   * @param {Date|string} end - Last date (Date object, YYYY-MM-DD or MMDDYY string)
+   * @returns {Date[]} The dates, at local midnight
+   */
+  static datesInRange(start, end) {
+    start = CathReadings.toDate(start);
+    end = CathReadings.toDate(end);
+    const first = new Date(start.getFullYear(), start.getMonth(), start.getDate());
+    const last = new Date(end.getFullYear(), end.getMonth(), end.getDate());
+    if (last < first) {
+      throw new Error('End date must not be before start date');
+    }
+    const dates = [];
+    for (let d = first; d <= last; d = new Date(d.getFullYear(), d.getMonth(), d.getDate() + 1)) {
+      dates.push(d);
     }
+    return dates;
+  }
 
-    const url = `${this.baseUrl}/${dateStr}.cfm`;
-    
-    try {
-      // Try direct fetch first (works in Node.js)
-      const html = await this.fetchUrl(url);
-      const result = this.parseReadings(html, date);
-      this.cache.set(dateStr, result);
-      return result;
-    } catch (error) {
-      // Fallback to CORS proxies for browser with timeout
-      if (typeof window !== 'undefined') {
+  /**
+   * Counts requests, cache lookups, proxy results and parse warnings from the
+   * events this instance emits; see getStats()
+   */
+  collectStats() {
+    const proxy = ({ index, proxyUrl }) => {
+      if (!this.stats.proxies[index]) {
+        let host = proxyUrl;
         try {
-          const html = await this.fetchViaProxies(url, this.timeout);
-          const result = this.parseReadings(html, date);
-          this.cache.set(dateStr, result);
-          this.writeToPersistentCache(dateStr, result);
-          return result;
-        } catch (proxyError) {
-          // Provide better error message for debugging
-          const errorMsg = proxyError.name === 'AbortError' 
-            ? 'Network request timed out (CORS proxies may be slow or unavailable)'
-            : 'Unable to fetch readings (CORS or network error)';
-          throw new Error(errorMsg);
+          host = new URL(proxyUrl).host;
+        } catch (_) {
+          // Keep the full URL
         }
+        this.stats.proxies[index] = { index, host, attempts: 0, successes: 0, failures: 0, timeouts: 0, totalMs: 0 };
+      }
+      return this.stats.proxies[index];
+    };
+
+    this.on('requestEnd', ({ via, duration, error }) => {
+      const { requests } = this.stats;
+      requests.total++;
+      requests[via]++;
+      if (error) requests.failed++;
+      requests.totalMs += duration;
+      requests.maxMs = Math.max(requests.maxMs, duration);
+    });
+    this.on('cacheHit', () => { this.stats.cache.hits++; });
+    this.on('cacheMiss', () => { this.stats.cache.misses++; });
+    this.on('proxyAttempt', (event) => { proxy(event).attempts++; });
+    this.on('proxySuccess', (event) => {
+      const stats = proxy(event);
+      stats.successes++;
+      stats.totalMs += event.duration;
+    });
+    this.on('proxyFailure', (event) => {
+      const stats = proxy(event);
+      stats.failures++;
+      if (event.timedOut) stats.timeouts++;
+    });
+    this.on('parseWarning', () => { this.stats.parseWarnings++; });
+  }
+
+  /**
+   * Starts the counts reported by getStats() again
+   */
+  resetStats() {
+    this.stats = {
+      since: Date.now(),
+      requests: { total: 0, failed: 0, direct: 0, proxy: 0, totalMs: 0, maxMs: 0 },
+      cache: { hits: 0, misses: 0 },
+      proxies: [],
+      parseWarnings: 0
+    };
+  }
+
+  /**
+   * Summarizes what this instance has done since it was created or resetStats() was called
+   * @returns {Object} {
+   *   since,          // ISO timestamp
+   *   requests,       // { total, failed, direct, proxy, averageMs, maxMs } page fetches, by how they ended
+   *   cache,          // { hits, misses, hitRate } getReadings lookups; hitRate is null before any
+   *   proxies,        // [{ index, host, attempts, successes, failures, timeouts, averageMs }] by position in
+   *                   //   the proxies option; averageMs is over successes, null before any
+   *   parseWarnings   // parseWarning events: calendar disagreements and validate() problems
+   *                   //   found on fetched pages
+   * }
+   */
+  getStats() {
+    const { since, requests, cache, proxies, parseWarnings } = this.stats;
+    const lookups = cache.hits + cache.misses;
+    return {
+      since: new Date(since).toISOString(),
+      requests: {
+        total: requests.total,
+        failed: requests.failed,
+        direct: requests.direct,
+        proxy: requests.proxy,
+        averageMs: requests.total ? Math.round(requests.totalMs / requests.total) : null,
+        maxMs: requests.maxMs
+      },
+      cache: { hits: cache.hits, misses: cache.misses, hitRate: lookups ? cache.hits / lookups : null },
+      proxies: proxies.filter(Boolean).map(({ totalMs, ...stats }) => ({
+        ...stats,
+        averageMs: stats.successes ? Math.round(totalMs / stats.successes) : null
+      })),
+      parseWarnings
+    };
+  }
+
+  /**
+   * Fetches daily readings for a given date
+   * @param {Date|string} date - Date object, YYYY-MM-DD or MMDDYY string
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @param {number} [options.timeout] - Overrides the per-request timeout
+   * @returns {Promise<Object>} Object containing all readings for the day
+   * @throws {NotFoundError} USCCB has no page for the date
+   * @throws {NetworkError} The page could not be fetched (TimeoutError and ProxyError are subclasses)
+   * @throws {ParseError} The page loaded but its readings could not be found
+   */
+  async getReadings(date, options = {}) {
+    date = CathReadings.toDate(date);
+    const key = this.cacheKey(date);
+
+    // Check the in-memory, then the persistent cache
+    const cached = await this.readCacheEntry(key);
+    const iso = CathReadings.formatIsoDate(date);
+    if (cached) {
+      this.emit('cacheHit', { date: iso, key, layer: cached.layer, age: Date.now() - cached.storedAt });
+      if (this.revalidateAfter !== null && Date.now() - cached.storedAt >= this.revalidateAfter) {
+        this.revalidateInBackground(date);
+      }
+      return this.localize(cached.value);
+    }
+    this.emit('cacheMiss', { date: iso, key });
+
+    const result = await this.fetchReadings(date, options);
+    await this.writeCache(key, result);
+    return result;
+  }
+
+  /**
+   * Builds the URL of a day's page from the source adapter
+   * @param {Date} date - The date
+   * @returns {string} The page URL, by default baseUrl/MMDDYY.cfm
+   */
+  pageUrl(date) {
+    if (this.source.pageUrl) return this.source.pageUrl(date, this);
+    return `${this.baseUrl}/${CathReadings.formatDateForUrl(date)}.cfm`;
+  }
+
+  /**
+   * Builds the cache key of a day. Days from sources other than USCCB English
+   * are prefixed with the source name so sources can share a store.
+   * @param {Date} date - The date
+   * @returns {string} e.g. "121525" or "usccb-es:121525"
+   */
+  cacheKey(date) {
+    const key = CathReadings.formatDateForUrl(date);
+    return this.source.name === 'usccb' ? key : `${this.source.name}:${key}`;
+  }
+
+  /**
+   * Fills in the locale-dependent fields for this instance's locale, so cached
+   * days read in another locale are shown in this one
+   * @param {Object} readings - Readings object
+   * @returns {Object} The same object if nothing changes, else a copy
+   */
+  localize(readings) {
+    const displayDate = Locales.formatDate(CathReadings.parseDateString(readings.date), this.locale);
+    const seasonName = Locales.seasonName(readings.season, this.locale);
+    const rankName = Locales.rankName(readings.rank, this.locale);
+    if (readings.displayDate === displayDate && readings.seasonName === seasonName && readings.rankName === rankName) {
+      return readings;
+    }
+    return { ...readings, displayDate, seasonName, rankName };
+  }
+
+  /**
+   * Fetches and parses the readings for a date, bypassing the cache
+   * @param {Date} date - The date
+   * @param {Object} [options] - { signal, timeout }, see getReadings
+   * @returns {Promise<Object>} Object containing all readings for the day
+   * @throws {CathReadingsError} See getReadings
+   */
+  async fetchReadings(date, options = {}) {
+    const url = this.pageUrl(date);
+    let result;
+    try {
+      const html = await this.fetchPage(url, options);
+      result = this.source.parse(html, date, this);
+      result.source = result.source || this.source.name;
+
+      // Christmas, the Easter Vigil and other vigils split their readings across sub-pages
+      if (result.masses.length) {
+        await this.loadMasses(result, date, options);
+      }
+      (result.warnings || []).forEach(warning => this.emit('parseWarning', { date: result.date, url, warning, code: 'calendar' }));
+
+      // Pages that parse but come out incomplete usually mean USCCB changed its markup
+      const { problems } = CathReadings.validate(result);
+      if (problems.length && this.strict) {
+        throw new ParseError(`Readings look incomplete: ${problems.map(problem => problem.message).join('; ')}`, { problems });
+      }
+      problems.forEach(({ code, message }) => this.emit('parseWarning', { date: result.date, url, warning: message, code }));
+    } catch (error) {
+      if (error instanceof CathReadingsError) {
+        error.date = error.date || CathReadings.formatIsoDate(date);
+        error.url = error.url || url;
       }
       throw error;
     }
+    return result;
   }
 
-  async fetchUrl(url) {
-    const response = await fetch(url);
-    if (!response.ok) throw new Error(`HTTP ${response.status}`);
-    return await response.text();
+  /**
+   * Re-fetches a date and compares it with the cached copy, even an expired
+   * one, then caches the fresh readings. Emits "change" with the same result
+   * when a cached copy existed and differs.
+   * @param {Date|string} date - Date object, YYYY-MM-DD or MMDDYY string
+   * @param {Object} [options] - { signal, timeout }, see getReadings
+   * @returns {Promise<Object>} { date: "YYYY-MM-DD", readings, previous, diff } where previous is the
+   *   cached readings (null if none) and diff comes from ReadingsDiff.compare(previous, readings)
+   * @throws {CathReadingsError} See getReadings; the cache is left as it was
+   */
+  async revalidate(date, options = {}) {
+    date = CathReadings.toDate(date);
+    const key = this.cacheKey(date);
+    const cached = await this.readCacheEntry(key, { includeExpired: true });
+    const previous = cached ? cached.value : null;
+
+    const readings = await this.fetchReadings(date, options);
+    await this.writeCache(key, readings, { pinned: Boolean(cached && cached.pinned) });
+
+    const result = {
+      date: CathReadings.formatIsoDate(date),
+      readings,
+      previous,
+      diff: ReadingsDiff.compare(previous, readings)
+    };
+    if (previous && result.diff.changed) {
+      this.emit('change', result);
+    }
+    return result;
   }
 
-  async fetchUrlWithTimeout(url, timeoutMs) {
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), timeoutMs);
-    
+  /**
+   * Starts revalidate() without waiting for it. Failures are emitted as
+   * "revalidateError" ({ date, error }) rather than thrown, and a date already
+   * being revalidated is not fetched twice.
+   * @param {Date|string} date - Date object, YYYY-MM-DD or MMDDYY string
+   * @returns {Promise<Object|null>} The revalidate() result, or null if it failed
+   */
+  revalidateInBackground(date) {
+    date = CathReadings.toDate(date);
+    const key = this.cacheKey(date);
+    if (this.revalidations.has(key)) {
+      return this.revalidations.get(key);
+    }
+    const task = this.revalidate(date)
+      .catch((error) => {
+        this.emit('revalidateError', { date: CathReadings.formatIsoDate(date), error });
+        return null;
+      })
+      .finally(() => this.revalidations.delete(key));
+    this.revalidations.set(key, task);
+    return task;
+  }
+
+  /**
+   * Fetches a USCCB page directly, falling back to the CORS proxies in the
+   * browser or when proxies were configured
+   * @param {string} url - The page URL
+   * @param {Object} [options] - { signal, timeout }, see getReadings
+   * @returns {Promise<string>} The page HTML
+   */
+  async fetchPage(url, options = {}) {
+    const started = Date.now();
+    const end = (via, error) => this.emit('requestEnd', { url, via, duration: Date.now() - started, error });
+    this.emit('requestStart', { url });
+
+    let directError;
     try {
-      const response = await fetch(url, { signal: controller.signal });
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
-      return await response.text();
-    } finally {
-      clearTimeout(timeout);
+      // Try direct fetch first (works in Node.js). A direct fetch the browser blocks for CORS
+      // fails without a status and would fail again, so with proxies to fall back on only
+      // HTTP errors are retried.
+      const html = await this.fetchUrl(url, { ...options, retryNetworkErrors: !this.useProxies });
+      end('direct', null);
+      return html;
+    } catch (error) {
+      directError = error;
+    }
+
+    // A missing page or a cancelled request won't fare better through a proxy
+    if (!this.useProxies || directError instanceof NotFoundError || (options.signal && options.signal.aborted)) {
+      end('direct', directError);
+      throw directError;
+    }
+    // Fallback to CORS proxies with timeout
+    try {
+      const html = await this.fetchViaProxies(url, options.timeout ?? this.timeout, options);
+      end('proxy', null);
+      return html;
+    } catch (proxyError) {
+      let error = proxyError;
+      if (proxyError instanceof ProxyError) {
+        // Provide better error message for debugging
+        const errorMsg = proxyError.timedOut
+          ? 'Network request timed out (CORS proxies may be slow or unavailable)'
+          : 'Unable to fetch readings (CORS or network error)';
+        error = new ProxyError(errorMsg, { url, cause: directError, errors: proxyError.errors });
+      }
+      end('proxy', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetches each Mass listed on a multi-Mass day and fills in its readings.
+   * The top-level title, lectionary and readings are taken from the default
+   * Mass (the Mass during the Day where there is one) unless the index page
+   * carried readings of its own.
+   * @param {Object} result - Result of parseReadings with stub masses ({ name, url })
+   * @param {Date} date - The date of the readings
+   * @param {Object} [options] - { signal, timeout }, see getReadings
+   * @returns {Promise<Object>} The same result, updated
+   */
+  async loadMasses(result, date, options = {}) {
+    const masses = [];
+    for (const stub of result.masses) {
+      const page = this.source.parse(await this.fetchPage(stub.url, options), date, this);
+      masses.push({
+        name: stub.name,
+        url: stub.url,
+        title: page.title,
+        lectionary: page.lectionary,
+        readings: page.readings
+      });
+    }
+
+    if (result.readings.length) {
+      // The page itself is one of the Masses
+      masses.unshift({
+        name: result.title,
+        url: this.pageUrl(date),
+        title: result.title,
+        lectionary: result.lectionary,
+        readings: result.readings
+      });
+    } else {
+      const main = CathReadings.pickDefaultMass(masses);
+      result.title = main.title || result.title;
+      result.lectionary = main.lectionary;
+      result.readings = main.readings;
+    }
+
+    result.masses = masses;
+    return result;
+  }
+
+  /**
+   * Picks the Mass most callers mean by "the readings" for a multi-Mass day
+   * @param {Object[]} masses - Masses with name and url
+   * @returns {Object} The Mass during the Day, else the first that is not a vigil
+   */
+  static pickDefaultMass(masses) {
+    return masses.find(m => /\bday\b/i.test(m.name) || /-Day\.cfm$/i.test(m.url)) ||
+      masses.find(m => !/vigil/i.test(m.name)) ||
+      masses[0];
+  }
+
+  /**
+   * Fetches a URL with the configured fetch, headers and timeout. Network errors,
+   * timeouts and transient HTTP statuses are retried with exponential backoff.
+   * @param {string} url - The URL to fetch
+   * @param {Object} [options] - { signal, timeout }, see getReadings, plus:
+   * @param {boolean} [options.retryNetworkErrors=true] - Also retry failures without an HTTP status
+   *   (network errors and timeouts)
+   * @returns {Promise<string>} The response body
+   * @throws {NotFoundError|TimeoutError|NetworkError} Once retries are exhausted
+   */
+  async fetchUrl(url, options = {}) {
+    const fetchImpl = this.fetchImpl || fetch;
+    const timeoutMs = options.timeout ?? this.timeout;
+    const { signal } = options;
+
+    for (let attempt = 0; ; attempt++) {
+      if (signal && signal.aborted) throw abortError(signal);
+
+      const controller = new AbortController();
+      const onAbort = () => controller.abort();
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+      let timedOut = false;
+      const timer = timeoutMs ? setTimeout(() => { timedOut = true; controller.abort(); }, timeoutMs) : null;
+
+      let failure;
+      try {
+        const response = await fetchImpl(url, { headers: this.headers, signal: controller.signal });
+        if (response.ok) {
+          return await response.text();
+        }
+        const ErrorClass = response.status === 404 ? NotFoundError : NetworkError;
+        failure = new ErrorClass(`HTTP ${response.status}`, { url, status: response.status });
+      } catch (error) {
+        if (signal && signal.aborted) throw abortError(signal);
+        failure = timedOut
+          ? new TimeoutError(`Request timed out after ${timeoutMs}ms`, { url, cause: error })
+          : new NetworkError(error.message, { url, cause: error });
+      } finally {
+        clearTimeout(timer);
+        if (signal) signal.removeEventListener('abort', onAbort);
+      }
+
+      const retryable = failure.status === undefined
+        ? options.retryNetworkErrors !== false
+        : RETRYABLE_STATUS.includes(failure.status);
+      if (!retryable || attempt >= this.retries) throw failure;
+      await sleep(this.retryDelay * 2 ** attempt, signal);
     }
   }
 
+  async fetchUrlWithTimeout(url, timeoutMs) {
+    return this.fetchUrl(url, { timeout: timeoutMs });
+  }
+
   /**
    * Build proxy URLs for a target URL
    */
@@ -140,113 +758,458 @@ class CathReadings {
    * the first successful response body. Aborts the others upon success.
    * @param {string} url - The original target URL (https://...)
    * @param {number} totalTimeoutMs - Global timeout across proxies
+   * @param {Object} [options] - { signal }, see getReadings
    * @returns {Promise<string>} response text
+   * @throws {ProxyError} When every proxy fails (timedOut is set if the global timeout fired);
+   *   NotFoundError when every proxy reported HTTP 404
    */
-  async fetchViaProxies(url, totalTimeoutMs = 6000) {
+  async fetchViaProxies(url, totalTimeoutMs = 6000, options = {}) {
+    const fetchImpl = this.fetchImpl || fetch;
+    const { signal } = options;
     const proxyUrls = this.buildProxyUrls(url);
     const controllers = proxyUrls.map(() => new AbortController());
+    const started = new Map(); // Index -> start time of proxies still in the race
     let settled = false;
+    let onAbort = null;
 
     return new Promise((resolve, reject) => {
-      let failures = 0;
+      const failures = [];
+      const attempt = i => ({ url, proxyUrl: proxyUrls[i], index: i, duration: Date.now() - started.get(i) });
 
       // Global timeout
       const globalTimer = setTimeout(() => {
         if (!settled) {
+          settled = true;
+          started.forEach((_, i) => this.emit('proxyFailure', { ...attempt(i), error: null, timedOut: true }));
           controllers.forEach(c => c.abort());
-          reject(new Error('Network request timed out across proxies'));
+          const error = new ProxyError('Network request timed out across proxies', { url, errors: failures });
+          error.timedOut = true;
+          reject(error);
         }
       }, totalTimeoutMs);
 
+      if (signal) {
+        if (signal.aborted) {
+          clearTimeout(globalTimer);
+          return reject(abortError(signal));
+        }
+        onAbort = () => {
+          if (settled) return;
+          settled = true;
+          clearTimeout(globalTimer);
+          controllers.forEach(c => c.abort());
+          reject(abortError(signal));
+        };
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+
       proxyUrls.forEach((purl, i) => {
         // Stagger starts slightly to reduce thundering herd
         setTimeout(async () => {
           if (settled) return;
+          started.set(i, Date.now());
+          this.emit('proxyAttempt', { url, proxyUrl: purl, index: i });
           try {
-            const res = await fetch(purl, { signal: controllers[i].signal });
-            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            const res = await fetchImpl(purl, { headers: this.headers, signal: controllers[i].signal });
+            if (!res.ok) throw new NetworkError(`HTTP ${res.status}`, { url: purl, status: res.status });
             const text = await res.text();
             if (settled) return;
             settled = true;
+            this.emit('proxySuccess', attempt(i));
             clearTimeout(globalTimer);
             controllers.forEach((c, j) => { if (j !== i) try { c.abort(); } catch (_) {} });
             resolve(text);
           } catch (e) {
-            failures += 1;
-            if (failures === proxyUrls.length && !settled) {
+            failures.push(e);
+            // Proxies cancelled because the race ended were reported then, or did not fail
+            if (!settled) {
+              this.emit('proxyFailure', { ...attempt(i), error: e, timedOut: false });
+              started.delete(i);
+            }
+            if (failures.length === proxyUrls.length && !settled) {
+              settled = true;
               clearTimeout(globalTimer);
-              reject(new Error('All CORS proxies failed or were blocked'));
+              reject(failures.every(f => f.status === 404)
+                ? new NotFoundError('HTTP 404', { url, status: 404 })
+                : new ProxyError('All CORS proxies failed or were blocked', { url, errors: failures }));
             }
           }
         }, i * 150);
       });
+    }).finally(() => {
+      // A signal shared by many calls would otherwise keep a listener per race
+      if (onAbort) signal.removeEventListener('abort', onAbort);
     });
   }
 
   /**
-   * LocalStorage-backed persistent cache helpers
+   * Lists the cache layers that are in use
+   * @returns {Array<[string, Object]>} [layer name, store] pairs, memory first
    */
-  storageAvailable() {
-    try {
-      if (typeof window === 'undefined' || !window.localStorage) return false;
-      const k = '__cr_test__';
-      window.localStorage.setItem(k, '1');
-      window.localStorage.removeItem(k);
-      return true;
-    } catch (_) {
-      return false;
+  cacheLayers() {
+    const layers = [['memory', this.cache]];
+    if (this.persistentCache) {
+      layers.push(['persistent', this.persistentCache]);
     }
+    return layers;
   }
 
-  readFromPersistentCache(key) {
-    if (!this.storageAvailable()) return null;
-    try {
-      const raw = window.localStorage.getItem(`CathReadings:${key}`);
-      return raw ? JSON.parse(raw) : null;
-    } catch (_) {
-      return null;
+  /**
+   * Checks that a cache entry was written by this cache version and has not expired.
+   * Pinned entries never expire.
+   * @param {Object|null} entry - Stored { version, storedAt, value, pinned } entry
+   * @returns {boolean} True if the entry can be used
+   */
+  isFreshEntry(entry) {
+    if (!entry || entry.version !== CathReadings.CACHE_VERSION) return false;
+    return Boolean(entry.pinned) || this.cacheTtl === null || entry.storedAt + this.cacheTtl > Date.now();
+  }
+
+  /**
+   * Reads a day from the cache, promoting persistent hits into memory.
+   * Expired entries and entries from another cache version are ignored.
+   * @param {string} key - Date in MMDDYY format
+   * @returns {Promise<Object|null>} The cached readings, or null on a miss
+   */
+  async readCache(key) {
+    const entry = await this.readCacheEntry(key);
+    return entry ? entry.value : null;
+  }
+
+  /**
+   * Reads a day's stored entry from the cache, see readCache
+   * @param {string} key - Date in MMDDYY format
+   * @param {Object} [options]
+   * @param {boolean} [options.includeExpired=false] - Also return expired entries of this cache version
+   * @returns {Promise<Object|null>} The { version, storedAt, value } entry with the layer it was found in,
+   *   or null on a miss
+   */
+  async readCacheEntry(key, options = {}) {
+    for (const [layer, store] of this.cacheLayers()) {
+      let entry;
+      try {
+        entry = await store.get(key);
+      } catch (_) {
+        // An unreadable store counts as a miss
+        continue;
+      }
+      const fresh = this.isFreshEntry(entry);
+      if (!fresh && !(options.includeExpired && entry && entry.version === CathReadings.CACHE_VERSION)) continue;
+      if (fresh && layer !== 'memory') {
+        await this.cache.set(key, entry);
+      }
+      return { ...entry, layer };
     }
+    return null;
   }
 
-  writeToPersistentCache(key, value) {
-    if (!this.storageAvailable()) return;
+  /**
+   * Writes a day to every cache layer
+   * @param {string} key - Date in MMDDYY format
+   * @param {Object} value - The readings
+   * @param {Object} [options]
+   * @param {boolean} [options.pinned=false] - Keep the entry until it is unpinned, see pin()
+   * @param {number} [options.storedAt=Date.now()] - When the readings were fetched
+   * @returns {Promise<void>}
+   */
+  async writeCache(key, value, options = {}) {
+    const entry = { version: CathReadings.CACHE_VERSION, storedAt: options.storedAt ?? Date.now(), value };
+    if (options.pinned) entry.pinned = true;
+    await this.cache.set(key, entry);
+    if (!this.persistentCache) return;
     try {
-      window.localStorage.setItem(`CathReadings:${key}`, JSON.stringify(value));
+      await this.persistentCache.set(key, entry);
+      await this.trimCache(this.persistentCache);
     } catch (_) {
       // Ignore quota or serialization errors
     }
   }
 
+  /**
+   * Evicts the oldest entries of a store holding more than cacheMaxEntries.
+   * Pinned entries are never evicted, though they count towards the limit.
+   * @param {Object} store - A cache store
+   * @returns {Promise<void>}
+   */
+  async trimCache(store) {
+    const keys = await store.keys();
+    if (keys.length <= this.cacheMaxEntries) return;
+    const entries = (await Promise.all(keys.map(async key => ({ key, entry: await store.get(key) }))))
+      .filter(({ entry }) => !(entry && entry.pinned));
+    entries.sort((a, b) => (a.entry?.storedAt || 0) - (b.entry?.storedAt || 0));
+    for (const { key } of entries.slice(0, keys.length - this.cacheMaxEntries)) {
+      await store.delete(key);
+    }
+  }
+
+  /**
+   * Lists what is in the cache
+   * @returns {Promise<Object[]>} One { key, layer, storedAt, expiresAt, fresh, pinned } per entry and layer;
+   *   storedAt and expiresAt are ISO timestamps (expiresAt is null when entries never expire)
+   */
+  async inspectCache() {
+    const report = [];
+    for (const [layer, store] of this.cacheLayers()) {
+      for (const key of await store.keys()) {
+        const entry = await store.get(key);
+        const storedAt = entry && entry.storedAt ? entry.storedAt : null;
+        report.push({
+          key,
+          layer,
+          storedAt: storedAt ? new Date(storedAt).toISOString() : null,
+          expiresAt: storedAt && this.cacheTtl !== null && !entry.pinned
+            ? new Date(storedAt + this.cacheTtl).toISOString()
+            : null,
+          fresh: this.isFreshEntry(entry),
+          pinned: Boolean(entry && entry.pinned)
+        });
+      }
+    }
+    return report;
+  }
+
+  /**
+   * Removes entries from every cache layer
+   * @param {Object} [options]
+   * @param {boolean} [options.staleOnly=false] - Only remove expired entries and entries from older cache versions
+   *   (pinned days do not expire, so they are kept)
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async purgeCache(options = {}) {
+    let removed = 0;
+    for (const [, store] of this.cacheLayers()) {
+      const keys = await store.keys();
+      if (!options.staleOnly) {
+        await store.clear();
+        removed += keys.length;
+        continue;
+      }
+      for (const key of keys) {
+        if (!this.isFreshEntry(await store.get(key))) {
+          await store.delete(key);
+          removed++;
+        }
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Fetches the days of a range that are not cached yet and pins every day,
+   * so it stays in the cache until unpinned: pinned days never expire and are
+   * never evicted, though they count towards cacheMaxEntries. Pin the next
+   * weeks ahead of time for a display that must keep working offline. Days
+   * are kept in the persistent cache when there is one, and otherwise only in
+   * memory, for as long as the instance lives.
+   * @param {Date|string} start - First date (Date object, YYYY-MM-DD or MMDDYY string)
+   * @param {Date|string} end - Last date, inclusive
+   * @param {Object} [options] - See iterateRange
+   * @returns {Promise<Object>} { pinned: ["YYYY-MM-DD", ...], failed: [{ date, error }] }
+   */
+  async pin(start, end, options = {}) {
+    const result = { pinned: [], failed: [] };
+    for await (const { date, readings, error } of this.iterateRange(start, end, options)) {
+      if (error) {
+        result.failed.push({ date, error });
+        continue;
+      }
+      const key = this.cacheKey(CathReadings.parseDateString(date));
+      // Keep when the day was fetched, so refreshPinned knows how old it is
+      const entry = await this.readCacheEntry(key);
+      await this.writeCache(key, entry ? entry.value : readings, { pinned: true, storedAt: entry ? entry.storedAt : undefined });
+      result.pinned.push(date);
+    }
+    return result;
+  }
+
+  /**
+   * Unpins days, leaving them in the cache to expire and be evicted as usual
+   * @param {Date|string} start - First date (Date object, YYYY-MM-DD or MMDDYY string)
+   * @param {Date|string} [end=start] - Last date, inclusive
+   * @returns {Promise<number>} Number of days unpinned
+   */
+  async unpin(start, end = start) {
+    let unpinned = 0;
+    for (const date of CathReadings.datesInRange(start, end)) {
+      const key = this.cacheKey(date);
+      const entry = await this.readCacheEntry(key, { includeExpired: true });
+      if (!entry || !entry.pinned) continue;
+      await this.writeCache(key, entry.value, { storedAt: entry.storedAt });
+      unpinned++;
+    }
+    return unpinned;
+  }
+
+  /**
+   * Lists the pinned days of this instance's source
+   * @returns {Promise<string[]>} Dates as YYYY-MM-DD, in order
+   */
+  async getPinned() {
+    const dates = new Set();
+    for (const [, store] of this.cacheLayers()) {
+      for (const key of await store.keys()) {
+        const entry = await store.get(key);
+        if (!entry || !entry.pinned || entry.version !== CathReadings.CACHE_VERSION) continue;
+        if ((entry.value.source || 'usccb') !== this.source.name) continue;
+        dates.add(entry.value.date);
+      }
+    }
+    return [...dates].sort();
+  }
+
+  /**
+   * Fetches pinned days again to pick up corrections, one at a time and
+   * requestDelay ms apart. Days that changed emit "change", see revalidate.
+   * @param {Object} [options]
+   * @param {number} [options.olderThan=0] - Only refresh days fetched at least this many ms ago
+   * @param {AbortSignal} [options.signal] - Cancels the remaining requests; refreshPinned then throws
+   * @param {number} [options.timeout] - Overrides the per-request timeout
+   * @returns {Promise<Object[]>} One { date: "YYYY-MM-DD", changed, error } per day refreshed;
+   *   a day that fails keeps its cached readings
+   */
+  async refreshPinned(options = {}) {
+    const { olderThan = 0, signal, timeout } = options;
+    const results = [];
+    for (const date of await this.getPinned()) {
+      const entry = await this.readCacheEntry(this.cacheKey(CathReadings.parseDateString(date)));
+      if (entry && Date.now() - entry.storedAt < olderThan) continue;
+      if (results.length) {
+        await sleep(this.requestDelay, signal);
+      }
+      try {
+        const { diff } = await this.revalidate(date, { signal, timeout });
+        results.push({ date, changed: diff.changed, error: null });
+      } catch (error) {
+        if (signal && signal.aborted) throw error;
+        results.push({ date, changed: false, error });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Parses a saved readings page without fetching anything
+   * @param {string} html - HTML content of a USCCB readings page
+   * @param {Date|string} date - Date of the readings (Date object, YYYY-MM-DD or MMDDYY string)
+   * @param {Object} [options] - Constructor options, e.g. source, locale or domParser
+   * @returns {Object} Parsed readings data. On multi-Mass days, masses lists
+   *   { name, url } for each Mass page without its readings.
+   * @throws {ParseError} If the page has neither readings nor links to the day's Masses
+   */
+  static parseReadings(html, date, options = {}) {
+    const api = new CathReadings({ persistentCache: null, ...options });
+    return api.source.parse(html, CathReadings.toDate(date), api);
+  }
+
+  /**
+   * Checks a readings object for signs that parsing went wrong: an empty title,
+   * a missing lectionary number, no readings, no Gospel, or readings without a
+   * reference or text. On multi-Mass days each Mass is checked. A USCCB
+   * redesign usually shows up here before parseReadings fails outright.
+   * @param {Object} readings - Result of getReadings or parseReadings
+   * @param {Object} [options]
+   * @param {string|Object} [options.source] - Source whose reading names to expect (default: readings.source)
+   * @returns {Object} { valid, problems: [{ code, message, mass }] } where code is one of
+   *   'missing-title', 'missing-lectionary', 'no-readings', 'no-gospel', 'missing-reference' or
+   *   'missing-text', and mass names the Mass concerned (null on single-Mass days)
+   */
+  static validate(readings, options = {}) {
+    const labels = Sources.labelsFor(options.source || readings.source || 'usccb');
+    const problems = [];
+    const flag = (code, message, mass = null) => problems.push({ code, message: mass ? `${mass}: ${message}` : message, mass });
+
+    if (!readings.title) flag('missing-title', 'The title is empty');
+    const masses = readings.masses && readings.masses.some(mass => mass.readings)
+      ? readings.masses
+      : [{ name: null, lectionary: readings.lectionary, readings: readings.readings }];
+    masses.forEach(({ name, lectionary, readings: list = [] }) => {
+      if (!lectionary) flag('missing-lectionary', 'The lectionary number is missing', name);
+      if (!list.length) {
+        flag('no-readings', 'No readings were found', name);
+        return;
+      }
+      if (!list.some(reading => labels.gospel.test(reading.name) && !labels.acclamation.test(reading.name))) {
+        flag('no-gospel', 'No Gospel was found', name);
+      }
+      list.forEach((reading) => {
+        // Sequences and some acclamation verses are not taken from scripture
+        if (!reading.reference && !labels.sequence.test(reading.name) && !labels.acclamation.test(reading.name)) {
+          flag('missing-reference', `${reading.name || 'A reading'} has no reference`, name);
+        }
+        if (!reading.text) flag('missing-text', `${reading.name || 'A reading'} has no text`, name);
+      });
+    });
+
+    return { valid: problems.length === 0, problems };
+  }
+
+  /**
+   * Parses an HTML string into a document with the configured DOM parser
+   * @param {string} html - HTML content
+   * @returns {Document} The parsed document
+   */
+  parseDocument(html) {
+    const parser = this.domParser || (typeof DOMParser !== 'undefined' ? new DOMParser() : new LiteDOMParser());
+    return parser.parseFromString(html, 'text/html');
+  }
+
   /**
    * Parses HTML content and extracts readings
    * @param {string} html - HTML content from the readings page
    * @param {Date} date - The date of the readings
    * @returns {Object} Parsed readings data
+   * @throws {ParseError} If the page has neither readings nor links to the day's Masses
    */
   parseReadings(html, date) {
-    const parser = new DOMParser();
-    const doc = parser.parseFromString(html, 'text/html');
+    const doc = this.parseDocument(html);
 
     const title = this.extractTitle(doc);
+    const day = LiturgicalCalendar.getDay(date);
+    // The page may celebrate one of the day's optional memorials rather than the day itself
+    const celebration = (this.labels.matchTitles && LiturgicalCalendar.matchTitle(title, day)) || day;
+    const rank = this.extractLiturgicalRank(title, doc, day);
     const readings = {
-      date: date.toISOString().split('T')[0],
-      displayDate: date.toLocaleDateString('en-US', { 
-        year: 'numeric', 
-        month: 'long', 
-        day: 'numeric' 
-      }),
+      date: CathReadings.formatIsoDate(date),
+      source: this.source.name,
+      displayDate: Locales.formatDate(date, this.locale),
       title: title,
-      season: this.extractSeason(title),
-      rank: this.extractLiturgicalRank(title, doc),
+      season: day.season,
+      seasonName: Locales.seasonName(day.season, this.locale),
+      weekOfSeason: day.week,
+      sundayCycle: day.sundayCycle,
+      weekdayCycle: day.weekdayCycle,
+      psalterWeek: day.psalterWeek,
+      rank,
+      rankName: Locales.rankName(rank, this.locale),
+      precedence: celebration.precedence,
+      color: celebration.color,
+      celebrations: LiturgicalCalendar.celebrationsOf(day),
       lectionary: this.extractLectionary(doc),
-      readings: []
+      warnings: this.crossCheckCalendar(title, doc, day),
+      readings: [],
+      masses: this.extractMassLinks(doc, date)
     };
 
-    // Extract all reading sections
+    // Without a lectionary block, readings or Mass links the markup has changed (or this isn't a readings page)
     const verseBlocks = doc.querySelectorAll('.wr-block.b-verse');
+    if (!readings.masses.length) {
+      const missing = !doc.querySelector('.wr-block.b-lectionary') ? '.wr-block.b-lectionary'
+        : !verseBlocks.length ? '.wr-block.b-verse' : null;
+      if (missing) {
+        throw new ParseError(`Readings page is missing ${missing}`, { date: CathReadings.formatIsoDate(date) });
+      }
+    }
+
+    // Extract all reading sections
     verseBlocks.forEach((block) => {
       const reading = this.parseReadingBlock(block);
-      if (reading) {
+      if (!reading) return;
+      const previous = readings.readings[readings.readings.length - 1];
+      // A block headed "Or" is an alternative to the reading before it
+      if (this.labels.orBlock.test(reading.name) && previous) {
+        const { reference, referenceUrl, text, shortForm, options } = reading;
+        previous.options.push({ reference, referenceUrl, text, shortForm }, ...options);
+      } else {
         readings.readings.push(reading);
       }
     });
@@ -254,6 +1217,41 @@ class CathReadings {
     return readings;
   }
 
+  /**
+   * Compares what the scraped title says against the computed calendar
+   * @param {string} title - The liturgical title
+   * @param {Document} doc - The parsed HTML document
+   * @param {Object} day - The calendar day from LiturgicalCalendar.getDay()
+   * @returns {string[]} Human-readable descriptions of any disagreement
+   */
+  crossCheckCalendar(title, doc, day) {
+    const warnings = [];
+    // Titles in other languages cannot be compared with the calendar's
+    if (!title || !this.labels.matchTitles) return warnings;
+
+    // Vigil and night Masses, such as the Easter Vigil on Holy Saturday or the
+    // Christmas Vigil Mass on December 24, are titled after the next day
+    const days = [day];
+    if (/\b(Vigil|Night)\b/.test(title)) {
+      const date = CathReadings.parseDateString(day.date);
+      days.push(LiturgicalCalendar.getDay(new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1)));
+    }
+
+    // Only titles that name a season can contradict the calendar
+    if (/Advent|Christmas|Lent|Easter|Ordinary Time/.test(title)) {
+      const scrapedSeason = this.extractSeason(title);
+      if (!days.some(candidate => candidate.season === scrapedSeason)) {
+        warnings.push(`Title suggests season "${scrapedSeason}" but the calendar computes "${day.season}"`);
+      }
+    }
+
+    if (!days.some(candidate => LiturgicalCalendar.matchTitle(title, candidate))) {
+      warnings.push(`Title "${title}" is not among the celebrations the calendar computes ("${day.title}")`);
+    }
+
+    return warnings;
+  }
+
   /**
    * Extracts the liturgical title (e.g., "Monday of the Third Week of Advent")
    * @param {Document} doc - The parsed HTML document
@@ -283,51 +1281,63 @@ class CathReadings {
   }
 
   /**
-   * Extracts the liturgical rank from the title and context
-   * Solemnity: Most important (Christmas, Easter, Pentecost, patron saints), also includes Sundays
-   * Feast: Important celebration of a saint or mystery
-   * Memorial: Commemoration of a saint (lower rank)
-   * Ferial: Weekday with no special observance
+   * Extracts the liturgical rank of the celebration named by the title.
+   * Ranks follow the Table of Liturgical Days:
+   * Triduum, Solemnity, Feast, Sunday, Memorial, Optional Memorial,
+   * Privileged Weekday (Ash Wednesday, Holy Week, Lent, Advent from December 17),
+   * Octave Day (Easter and Christmas Octaves) and Ferial.
+   * When the calendar day is given, the title is matched against the
+   * celebrations the calendar allows on that date, falling back to the
+   * day's own rank; otherwise the rank is read from wording in the title.
    * @param {string} title - The liturgical title
    * @param {Document} doc - The parsed HTML document
-   * @returns {string} The rank ("Solemnity", "Feast", "Memorial", or "Ferial")
+   * @param {Object} [day] - The calendar day from LiturgicalCalendar.getDay()
+   * @returns {string} The rank
    */
-  extractLiturgicalRank(title, doc) {
+  extractLiturgicalRank(title, doc, day) {
+    if (day) {
+      const match = this.labels.matchTitles && LiturgicalCalendar.matchTitle(title, day);
+      return match ? match.rank : day.rank;
+    }
     if (!title) return 'Ferial';
 
     const titleLower = title.toLowerCase();
 
-    // Solemnity: Major feasts and seasons
-    if (titleLower.includes('solemnity') ||
-        titleLower.includes('christmas') ||
-        titleLower.includes('epiphany') ||
-        titleLower.includes('easter') ||
-        titleLower.includes('pentecost') ||
-        titleLower.includes('ascension') ||
-        titleLower.includes('assumption') ||
-        titleLower.includes('all saints') ||
-        titleLower.includes('immaculate conception') ||
-        titleLower.includes('sunday')) {
-      return 'Solemnity';
-    }
+    if (titleLower.includes('solemnity')) return 'Solemnity';
+    if (titleLower.includes('feast')) return 'Feast';
+    if (titleLower.includes('optional memorial')) return 'Optional Memorial';
+    if (titleLower.includes('memorial')) return 'Memorial';
+    if (titleLower.includes('octave')) return 'Octave Day';
+    if (titleLower.includes('sunday')) return 'Sunday';
 
-    // Feast: Important but lower than solemnity
-    if (titleLower.includes('feast')) {
-      return 'Feast';
-    }
+    return 'Ferial';
+  }
 
-    // Memorial: Commemorations of saints
-    if (titleLower.includes('memorial')) {
-      return 'Memorial';
-    }
+  /**
+   * Finds links to the separate Masses of a multi-Mass day
+   * (e.g. 122525-Vigil.cfm, 122525-Night.cfm, 122525-Dawn.cfm, 122525-Day.cfm)
+   * @param {Document} doc - The parsed HTML document
+   * @param {Date} date - The date of the readings
+   * @returns {Object[]} Stub masses ({ name, url }) in page order
+   */
+  extractMassLinks(doc, date) {
+    const dateStr = CathReadings.formatDateForUrl(date);
+    const pattern = new RegExp(`/${dateStr}-([\\w-]+)\\.cfm`, 'i');
+    const masses = [];
 
-    // St./Saint names without explicit rank are usually memorials
-    if (titleLower.includes('st. ') || titleLower.includes('saint ')) {
-      return 'Memorial';
-    }
+    doc.querySelectorAll('a[href]').forEach((link) => {
+      const href = link.getAttribute('href');
+      const match = href.match(pattern);
+      if (!match) return;
+      const url = this.resolveUrl(link);
+      if (masses.some(m => m.url === url)) return;
+      masses.push({
+        name: link.textContent.trim() || CathReadings.MASS_NAMES[match[1]] || match[1],
+        url
+      });
+    });
 
-    // Default: Ferial (weekday)
-    return 'Ferial';
+    return masses;
   }
 
   /**
@@ -338,7 +1348,7 @@ class CathReadings {
   extractLectionary(doc) {
     const lectElement = doc.querySelector('.wr-block.b-lectionary p');
     if (lectElement) {
-      const match = lectElement.textContent.match(/Lectionary:\s*(\d+)/);
+      const match = lectElement.textContent.match(this.labels.lectionary);
       return match ? match[1] : '';
     }
     return '';
@@ -363,46 +1373,172 @@ class CathReadings {
     // Extract reference and link
     const referenceLink = addressElement?.querySelector('a');
     const reference = referenceLink?.textContent.trim() || '';
-    const referenceUrl = referenceLink?.href || '';
+    const referenceUrl = referenceLink ? this.resolveUrl(referenceLink) : '';
+
+    const addressText = addressElement ? addressElement.textContent.trim() : '';
 
-    // Extract text content and preserve formatting
-    const text = this.extractTextContent(contentElement);
+    // "OR" paragraphs separate alternative texts within one block
+    const [paragraphs, ...alternatives] = this.splitAlternatives(contentElement);
+    const text = this.joinParagraphs(paragraphs);
 
     return {
       name,
       reference,
       referenceUrl,
-      text
+      citation: BibleReference.parse(reference),
+      text,
+      ...this.parseResponsorial(name, text),
+      shortForm: this.extractShortForm(reference, addressText, text),
+      options: alternatives.map(alternative => this.parseAlternative(alternative))
+    };
+  }
+
+  /**
+   * Structures a Responsorial Psalm or Gospel Acclamation into its refrain
+   * and stanzas. "R." lines are the refrain; its first occurrence carries
+   * the verse reference, e.g. "R. (4) Teach me your ways, O Lord."
+   * An "or:" line introduces an alternative refrain (often "R. Alleluia.").
+   * @param {string} name - The reading name
+   * @param {string} text - The reading text
+   * @returns {Object|null} { response, stanzas }, plus acclamation ("Alleluia" or "Lenten")
+   *   for the Gospel Acclamation; null for other readings
+   */
+  parseResponsorial(name, text) {
+    const isPsalm = this.labels.psalm.test(name);
+    const isAcclamation = this.labels.acclamation.test(name);
+    if (!isPsalm && !isAcclamation) return null;
+
+    let response = null;
+    let alternativeNext = false;
+    const stanzas = [];
+    let stanza = [];
+    const endStanza = () => {
+      if (stanza.length) stanzas.push(stanza.join('\n'));
+      stanza = [];
+    };
+
+    text.split('\n').forEach((raw) => {
+      const line = raw.trim();
+      const refrain = line.match(/^R\/?\.\s*(?:\(([^)]*)\))?\s*(.*)$/);
+      if (refrain) {
+        endStanza();
+        if (!response) {
+          response = { text: refrain[2], reference: refrain[1] || '', alternatives: [] };
+        } else if (alternativeNext && !response.alternatives.includes(refrain[2])) {
+          response.alternatives.push(refrain[2]);
+        }
+        alternativeNext = false;
+      } else if (this.labels.or.test(line)) {
+        alternativeNext = true;
+      } else if (line) {
+        stanza.push(line);
+      } else {
+        endStanza();
+      }
+    });
+    endStanza();
+
+    if (!response) return null;
+    if (!isAcclamation) return { response, stanzas };
+    // Lent replaces the Alleluia with another acclamation ("Praise to you, Lord Jesus Christ...")
+    return { acclamation: this.labels.alleluia.test(response.text) ? 'Alleluia' : 'Lenten', response, stanzas };
+  }
+
+  /**
+   * Splits the paragraphs of a reading into its alternatives at "OR" markers
+   * @param {Element} element - The content element
+   * @returns {Element[][]} Paragraphs of each alternative; the first is the main text
+   */
+  splitAlternatives(element) {
+    const segments = [[]];
+    element.querySelectorAll('p').forEach((p) => {
+      if (this.labels.or.test(p.textContent.trim())) {
+        segments.push([]);
+      } else {
+        segments[segments.length - 1].push(p);
+      }
+    });
+    return segments.filter((segment, i) => i === 0 || segment.length);
+  }
+
+  /**
+   * Parses one alternative text. Its reference, when given, is a paragraph
+   * holding only the citation link.
+   * @param {Element[]} paragraphs - Paragraphs of the alternative
+   * @returns {Object} { reference, referenceUrl, citation, text, shortForm }
+   */
+  parseAlternative(paragraphs) {
+    let reference = '';
+    let referenceUrl = '';
+    const link = paragraphs[0].querySelector('a');
+    if (link && link.textContent.trim() === paragraphs[0].textContent.trim()) {
+      reference = link.textContent.trim();
+      referenceUrl = this.resolveUrl(link);
+      paragraphs = paragraphs.slice(1);
+    }
+    const text = this.joinParagraphs(paragraphs);
+    return {
+      reference,
+      referenceUrl,
+      citation: BibleReference.parse(reference),
+      text,
+      shortForm: this.extractShortForm(reference, reference, text)
     };
   }
 
+  /**
+   * Builds the short form of a reading whose omittable verses are bracketed.
+   * The short reference is the one after "or" in the address, e.g.
+   * "John 11:1-45 or 11:3-7, 17, 20-27, 33b-45".
+   * @param {string} reference - The (long form) reference
+   * @param {string} addressText - Full text of the reading's address line
+   * @param {string} text - The long form text
+   * @returns {Object|null} { reference, citation, text } or null if the reading has no short form
+   */
+  extractShortForm(reference, addressText, text) {
+    if (!/\[[^\]]*\]/.test(text)) return null;
+
+    const parts = addressText.split(this.labels.shortForm);
+    let shortReference = parts.length > 1 ? parts[parts.length - 1].trim() : '';
+    // The short form usually repeats only chapter and verses
+    const book = reference.match(/^(.*?)\s+\d+:/);
+    if (/^\d+:/.test(shortReference) && book) {
+      shortReference = `${book[1]} ${shortReference}`;
+    }
+
+    const shortText = text
+      .replace(/\n?\[[^\]]*\]/g, '')
+      .replace(/\n{3,}/g, '\n\n')
+      .split('\n\n')
+      .map(paragraph => paragraph.split('\n').map(line => line.trim()).filter(Boolean).join('\n'))
+      .filter(Boolean)
+      .join('\n\n');
+
+    return { reference: shortReference, citation: BibleReference.parse(shortReference), text: shortText };
+  }
+
   /**
    * Extracts text content from a reading block, preserving line breaks
    * @param {Element} element - The content element
    * @returns {string} Formatted text content
    */
   extractTextContent(element) {
-    // Fast path: use textContent and replace HTML manually
-    let html = element.innerHTML;
-    
-    // Remove script and style tags
-    html = html.replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '');
-    html = html.replace(/<style\b[^<]*(?:(?!<\/style>)<[^<]*)*<\/style>/gi, '');
-    
-    // Replace br tags with newlines
-    html = html.replace(/<br\s*\/?>/gi, '\n');
-    
-    // Remove strong/em tags
-    html = html.replace(/<(strong|em|b|i)>|<\/(strong|em|b|i)>/gi, '');
-    
-    // Extract text from paragraphs
-    const paragraphs = element.querySelectorAll('p');
+    return this.joinParagraphs(Array.from(element.querySelectorAll('p')));
+  }
+
+  /**
+   * Joins paragraphs into text, one blank line between paragraphs
+   * @param {Element[]} paragraphs - Paragraph elements
+   * @returns {string} Formatted text content
+   */
+  joinParagraphs(paragraphs) {
     const texts = [];
     
     paragraphs.forEach(p => {
-      let text = p.innerHTML
-        .replace(/<br\s*\/?>/gi, '\n')
-        .replace(/<[^>]*>/g, '')
+      const text = this.renderText(p)
+        .split('\n')
+        .map(line => line.trim())
+        .join('\n')
         .trim();
       if (text) texts.push(text);
     });
@@ -410,53 +1546,300 @@ class CathReadings {
     return texts.join('\n\n');
   }
 
+  /**
+   * Text of a node as a browser renders it: runs of whitespace collapse to one
+   * space and <br> becomes a line break. Entities are decoded by the DOM parser.
+   * @param {Node} node - The node
+   * @returns {string} The text
+   */
+  renderText(node) {
+    let text = '';
+    Array.from(node.childNodes).forEach((child) => {
+      if (child.nodeType === 3) {
+        text += child.textContent.replace(/[ \t\r\n]+/g, ' ');
+      } else if (child.nodeType === 1) {
+        text += child.tagName === 'BR' ? '\n' : this.renderText(child);
+      }
+    });
+    return text;
+  }
+
+  /**
+   * Resolves a link's href against the USCCB site, independent of the page the parser runs in
+   * @param {Element} link - An anchor element
+   * @returns {string} Absolute URL
+   */
+  resolveUrl(link) {
+    const href = link.getAttribute('href') || '';
+    try {
+      return new URL(href, `${this.baseUrl}/`).href;
+    } catch (_) {
+      return href;
+    }
+  }
+
   /**
    * Fetches readings for today
+   * @param {Object} [options] - { signal, timeout }, see getReadings, and timeZone, which overrides
+   *   the constructor's
    * @returns {Promise<Object>} Today's readings
    */
-  async getToday() {
-    return this.getReadings(new Date());
+  async getToday(options = {}) {
+    return this.getReadingsByDaysOffset(0, options);
   }
 
   /**
    * Fetches readings for tomorrow
+   * @param {Object} [options] - { signal, timeout, timeZone }, see getToday
    * @returns {Promise<Object>} Tomorrow's readings
    */
-  async getTomorrow() {
-    const tomorrow = new Date();
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    return this.getReadings(tomorrow);
+  async getTomorrow(options = {}) {
+    return this.getReadingsByDaysOffset(1, options);
   }
 
   /**
    * Fetches readings for a specific number of days from today
    * @param {number} daysOffset - Number of days offset (positive or negative)
+   * @param {Object} [options] - { signal, timeout, timeZone }, see getToday
    * @returns {Promise<Object>} Readings for the specified date
    */
-  async getReadingsByDaysOffset(daysOffset) {
-    const targetDate = new Date();
-    targetDate.setDate(targetDate.getDate() + daysOffset);
-    return this.getReadings(targetDate);
+  async getReadingsByDaysOffset(daysOffset, options = {}) {
+    const today = CathReadings.today(options.timeZone || this.timeZone);
+    const targetDate = new Date(today.getFullYear(), today.getMonth(), today.getDate() + daysOffset);
+    return this.getReadings(targetDate, options);
+  }
+
+  /**
+   * Checks whether fresh readings for a date are already cached, in memory or persistently
+   * @param {Date|string} date - Date object, YYYY-MM-DD or MMDDYY string
+   * @returns {Promise<boolean>} True if getReadings will not need the network
+   */
+  async isCached(date) {
+    return (await this.readCache(this.cacheKey(CathReadings.toDate(date)))) !== null;
+  }
+
+  /**
+   * Iterates over the readings of a date range, in date order.
+   * At most `concurrency` dates are fetched at once, and requests that go to
+   * the network start at least `delay` ms apart; cached dates are not delayed.
+   * A date that fails yields its error instead of ending the iteration.
+   * @param {Date|string} start - First date (Date object, YYYY-MM-DD or MMDDYY string)
+   * @param {Date|string} end - Last date, inclusive
+   * @param {Object} [options]
+   * @param {number} [options.concurrency=this.concurrency] - Maximum simultaneous requests
+   * @param {number} [options.delay=this.requestDelay] - Minimum ms between starting two requests
+   * @param {AbortSignal} [options.signal] - Cancels the remaining requests; the iteration then throws
+   * @param {number} [options.timeout] - Overrides the per-request timeout
+   * @yields {Object} { date: "YYYY-MM-DD", readings, error } – readings is null when error is set
+   */
+  async *iterateRange(start, end, options = {}) {
+    const dates = CathReadings.datesInRange(start, end);
+    const concurrency = Math.max(1, options.concurrency || this.concurrency);
+    const delay = options.delay ?? this.requestDelay;
+    const { signal, timeout } = options;
+
+    let nextSlot = 0;
+    const throttle = () => {
+      const now = Date.now();
+      const wait = Math.max(0, nextSlot - now);
+      nextSlot = Math.max(nextSlot, now) + delay;
+      return wait ? sleep(wait, signal) : Promise.resolve();
+    };
+
+    const fetchDay = async (date) => {
+      const entry = { date: CathReadings.formatIsoDate(date), readings: null, error: null };
+      try {
+        if (!(await this.isCached(date))) {
+          await throttle();
+        }
+        entry.readings = await this.getReadings(date, { signal, timeout });
+      } catch (error) {
+        entry.error = error;
+      }
+      return entry;
+    };
+
+    const pending = [];
+    let next = 0;
+    while (next < dates.length && pending.length < concurrency) {
+      pending.push(fetchDay(dates[next++]));
+    }
+    while (pending.length) {
+      const entry = await pending.shift();
+      if (signal && signal.aborted) {
+        throw abortError(signal);
+      }
+      if (next < dates.length) {
+        pending.push(fetchDay(dates[next++]));
+      }
+      yield entry;
+    }
+  }
+
+  /**
+   * Fetches readings for every date in a range. Failures are reported per date
+   * rather than rejecting the whole range.
+   * @param {Date|string} start - First date (Date object, YYYY-MM-DD or MMDDYY string)
+   * @param {Date|string} end - Last date, inclusive
+   * @param {Object} [options] - See iterateRange
+   * @returns {Promise<Object[]>} One { date: "YYYY-MM-DD", readings, error } per date, in order
+   */
+  async getRange(start, end, options = {}) {
+    const results = [];
+    for await (const entry of this.iterateRange(start, end, options)) {
+      results.push(entry);
+    }
+    return results;
+  }
+
+  /**
+   * Fetches readings for the week (Sunday to Saturday) containing a date
+   * @param {Date|string} date - Date object, YYYY-MM-DD or MMDDYY string
+   * @param {Object} [options] - See iterateRange
+   * @returns {Promise<Object[]>} Seven { date, readings, error } entries
+   */
+  async getWeek(date, options = {}) {
+    date = CathReadings.toDate(date);
+    const sunday = new Date(date.getFullYear(), date.getMonth(), date.getDate() - date.getDay());
+    const saturday = new Date(sunday.getFullYear(), sunday.getMonth(), sunday.getDate() + 6);
+    return this.getRange(sunday, saturday, options);
   }
 
   /**
-   * Gets the liturgical season for a given date
-   * @param {Date|string} date - Date object or MMDDYY string
+   * Fetches readings for a calendar month
+   * @param {number} year - Four-digit year
+   * @param {number} month - Month, 1 (January) to 12 (December)
+   * @param {Object} [options] - See iterateRange
+   * @returns {Promise<Object[]>} One { date, readings, error } entry per day of the month
+   */
+  async getMonth(year, month, options = {}) {
+    if (!Number.isInteger(year) || !Number.isInteger(month) || month < 1 || month > 12) {
+      throw new Error('Month must be given as a year and a month number from 1 to 12');
+    }
+    return this.getRange(new Date(year, month - 1, 1), new Date(year, month, 0), options);
+  }
+
+  /**
+   * Gets the liturgical season for a given date.
+   * Computed offline by the liturgical calendar unless fromReadings is set.
+   * @param {Date|string} date - Date object, YYYY-MM-DD or MMDDYY string
+   * @param {Object} [options]
+   * @param {boolean} [options.fromReadings=false] - Fetch the USCCB page and use its result instead
+   * @param {AbortSignal} [options.signal] - Cancels the fetch when fromReadings is set
    * @returns {Promise<string>} The liturgical season
    */
-  async getSeason(date) {
-    const readings = await this.getReadings(date);
-    return readings.season;
+  async getSeason(date, options = {}) {
+    if (options.fromReadings) {
+      const readings = await this.getReadings(date, options);
+      return readings.season;
+    }
+    return LiturgicalCalendar.getSeason(CathReadings.toDate(date));
+  }
+
+  /**
+   * Gets the liturgical rank for a given date.
+   * Computed offline by the liturgical calendar unless fromReadings is set.
+   * @param {Date|string} date - Date object, YYYY-MM-DD or MMDDYY string
+   * @param {Object} [options]
+   * @param {boolean} [options.fromReadings=false] - Fetch the USCCB page and use its result instead
+   * @param {AbortSignal} [options.signal] - Cancels the fetch when fromReadings is set
+   * @returns {Promise<string>} The liturgical rank (see extractLiturgicalRank)
+   */
+  async getRank(date, options = {}) {
+    if (options.fromReadings) {
+      const readings = await this.getReadings(date, options);
+      return readings.rank;
+    }
+    return LiturgicalCalendar.getRank(CathReadings.toDate(date));
+  }
+
+  /**
+   * Gets the celebration of a date: the day itself, a feast or a saint.
+   * Computed offline by the liturgical calendar unless fromReadings is set.
+   * @param {Date|string} date - Date object, YYYY-MM-DD or MMDDYY string
+   * @param {Object} [options]
+   * @param {boolean} [options.fromReadings=false] - Fetch the USCCB page and return the celebration it
+   *   keeps, which may be one of the day's optional memorials
+   * @param {AbortSignal} [options.signal] - Cancels the fetch when fromReadings is set
+   * @returns {Promise<Object>} { name, rank, color, optional }. All of a day's celebrations, optional
+   *   memorials included, are in the celebrations array of getReadings.
+   */
+  async getCelebration(date, options = {}) {
+    date = CathReadings.toDate(date);
+    const celebrations = LiturgicalCalendar.getCelebrations(date);
+    if (options.fromReadings) {
+      const readings = await this.getReadings(date, options);
+      const kept = LiturgicalCalendar.matchTitle(readings.title, LiturgicalCalendar.getDay(date));
+      return (kept && celebrations.find(c => c.name === kept.name)) || celebrations[0];
+    }
+    return celebrations[0];
+  }
+
+  /**
+   * Finds when a saint or feast is celebrated, e.g. findCelebration('St. Joseph')
+   * @param {string} name - Name of the saint or feast
+   * @param {number} [year] - Four-digit year (default: this year)
+   * @returns {Promise<Object|null>} { date, name, rank, color, optional } with date as YYYY-MM-DD,
+   *   or null if it is not celebrated that year (see LiturgicalCalendar.findCelebrations for every match)
+   */
+  async findCelebration(name, year = new Date().getFullYear()) {
+    return LiturgicalCalendar.findCelebration(name, year);
+  }
+
+  /**
+   * Builds a lectionary index from every day in the cache, expired or not.
+   * Only days already fetched from this instance's source are included; fetch a range first to fill it.
+   * @returns {Promise<LectionaryIndex>} The index; export it with toJSON()
+   */
+  async getLectionaryIndex() {
+    const index = new LectionaryIndex();
+    const seen = new Set();
+    for (const [, store] of this.cacheLayers()) {
+      for (const key of await store.keys()) {
+        if (seen.has(key)) continue;
+        const entry = await store.get(key);
+        // Entries from other cache versions may have another shape
+        if (!entry || entry.version !== CathReadings.CACHE_VERSION) continue;
+        if ((entry.value.source || 'usccb') !== this.source.name) continue;
+        seen.add(key);
+        index.add(entry.value);
+      }
+    }
+    return index;
+  }
+
+  /**
+   * Looks up a lectionary number among the cached days
+   * @param {number|string} lectionary - e.g. 187
+   * @returns {Promise<Object|null>} { lectionary, readings, dates, variants }, see LectionaryIndex#get
+   */
+  async getByLectionary(lectionary) {
+    return (await this.getLectionaryIndex()).get(lectionary);
   }
 
   /**
-   * Gets the liturgical rank for a given date
-   * @param {Date|string} date - Date object or MMDDYY string
-   * @returns {Promise<string>} The liturgical rank ("Solemnity", "Feast", "Memorial", or "Ferial")
+   * Lists the cached dates in a range that use a lectionary number
+   * @param {number|string} lectionary - e.g. 187
+   * @param {Date|string} start - First date (Date object, YYYY-MM-DD or MMDDYY string)
+   * @param {Date|string} end - Last date (Date object, YYYY-MM-DD or MMDDYY string)
+   * @returns {Promise<string[]>} Dates as YYYY-MM-DD
    */
-  async getRank(date) {
-    const readings = await this.getReadings(date);
-    return readings.rank;
+  async findLectionaryDates(lectionary, start, end) {
+    const index = await this.getLectionaryIndex();
+    return index.datesFor(lectionary, {
+      from: CathReadings.formatIsoDate(CathReadings.toDate(start)),
+      to: CathReadings.formatIsoDate(CathReadings.toDate(end))
+    });
+  }
+
+  /**
+   * Finds the cached days whose Gospel overlaps a passage
+   * @param {string} reference - e.g. "Matthew 21:23-27" or "Mt 21"
+   * @param {Object} [options] - See LectionaryIndex#searchPassage; reading: null searches every reading
+   * @returns {Promise<Object[]>} [{ date, lectionary, title, reading }]
+   */
+  async searchGospel(reference, options = {}) {
+    return (await this.getLectionaryIndex()).searchPassage(reference, options);
   }
 
   /**
@@ -467,41 +1850,105 @@ class CathReadings {
   static getDemoData() {
     return {
       date: "2025-12-15",
+      source: "usccb",
       displayDate: "December 15, 2025",
       title: "Monday of the Third Week of Advent",
       season: "Advent",
+      seasonName: "Advent",
+      weekOfSeason: 3,
+      sundayCycle: "A",
+      weekdayCycle: "II",
+      psalterWeek: "III",
       rank: "Ferial",
+      rankName: "Ferial",
+      precedence: 13,
+      color: "violet",
+      celebrations: [
+        { name: "Monday of the Third Week of Advent", rank: "Ferial", color: "violet", optional: false }
+      ],
       lectionary: "187",
+      warnings: [],
       readings: [
         {
           name: "Reading 1",
           reference: "Numbers 24:2-7, 15-17a",
           referenceUrl: "https://bible.usccb.org/bible/numbers/24?2",
-          text: "When Balaam raised his eyes and saw Israel encamped, tribe by tribe,\nthe spirit of God came upon him,\nand he gave voice to his oracle:\n\nThe utterance of Balaam, son of Beor,\nthe utterance of a man whose eye is true,\nThe utterance of one who hears what God says,\nand knows what the Most High knows,\nOf one who sees what the Almighty sees,\nenraptured, and with eyes unveiled:\nHow goodly are your tents, O Jacob;\nyour encampments, O Israel!\nThey are like gardens beside a stream,\nlike the cedars planted by the LORD.\nHis wells shall yield free-flowing waters,\nhe shall have the sea within reach;\nHis king shall rise higher,\nand his royalty shall be exalted.\n\nThen Balaam gave voice to his oracle:\n\nThe utterance of Balaam, son of Beor,\nthe utterance of the man whose eye is true,\nThe utterance of one who hears what God says,\nand knows what the Most High knows,\nOf one who sees what the Almighty sees,\nenraptured, and with eyes unveiled.\nI see him, though not now;\nI behold him, though not near:\nA star shall advance from Jacob,\nand a staff shall rise from Israel."
+          citation: BibleReference.parse("Numbers 24:2-7, 15-17a"),
+          text: "When Balaam raised his eyes and saw Israel encamped, tribe by tribe,\nthe spirit of God came upon him,\nand he gave voice to his oracle:\n\nThe utterance of Balaam, son of Beor,\nthe utterance of a man whose eye is true,\nThe utterance of one who hears what God says,\nand knows what the Most High knows,\nOf one who sees what the Almighty sees,\nenraptured, and with eyes unveiled:\nHow goodly are your tents, O Jacob;\nyour encampments, O Israel!\nThey are like gardens beside a stream,\nlike the cedars planted by the LORD.\nHis wells shall yield free-flowing waters,\nhe shall have the sea within reach;\nHis king shall rise higher,\nand his royalty shall be exalted.\n\nThen Balaam gave voice to his oracle:\n\nThe utterance of Balaam, son of Beor,\nthe utterance of the man whose eye is true,\nThe utterance of one who hears what God says,\nand knows what the Most High knows,\nOf one who sees what the Almighty sees,\nenraptured, and with eyes unveiled.\nI see him, though not now;\nI behold him, though not near:\nA star shall advance from Jacob,\nand a staff shall rise from Israel.",
+          shortForm: null,
+          options: []
         },
         {
           name: "Responsorial Psalm",
           reference: "Psalm 25:4-5ab, 6 and 7bc, 8-9",
           referenceUrl: "https://bible.usccb.org/bible/Psalms/25?4",
-          text: "R.(4) Teach me your ways, O Lord.\nYour ways, O LORD, make known to me;\nteach me your paths,\nGuide me in your truth and teach me,\nfor you are God my savior.\nR. Teach me your ways, O Lord.\nRemember that your compassion, O LORD,\nand your kindness are from of old.\nIn your kindness remember me,\nbecause of your goodness, O LORD.\nR. Teach me your ways, O Lord.\nGood and upright is the LORD;\nthus he shows sinners the way.\nHe guides the humble to justice,\nhe teaches the humble his way.\nR. Teach me your ways, O Lord."
+          citation: BibleReference.parse("Psalm 25:4-5ab, 6 and 7bc, 8-9"),
+          text: "R.(4) Teach me your ways, O Lord.\nYour ways, O LORD, make known to me;\nteach me your paths,\nGuide me in your truth and teach me,\nfor you are God my savior.\nR. Teach me your ways, O Lord.\nRemember that your compassion, O LORD,\nand your kindness are from of old.\nIn your kindness remember me,\nbecause of your goodness, O LORD.\nR. Teach me your ways, O Lord.\nGood and upright is the LORD;\nthus he shows sinners the way.\nHe guides the humble to justice,\nhe teaches the humble his way.\nR. Teach me your ways, O Lord.",
+          response: { text: "Teach me your ways, O Lord.", reference: "4", alternatives: [] },
+          stanzas: [
+            "Your ways, O LORD, make known to me;\nteach me your paths,\nGuide me in your truth and teach me,\nfor you are God my savior.",
+            "Remember that your compassion, O LORD,\nand your kindness are from of old.\nIn your kindness remember me,\nbecause of your goodness, O LORD.",
+            "Good and upright is the LORD;\nthus he shows sinners the way.\nHe guides the humble to justice,\nhe teaches the humble his way."
+          ],
+          shortForm: null,
+          options: []
         },
         {
           name: "Alleluia",
           reference: "Psalm 85:8",
           referenceUrl: "https://bible.usccb.org/bible/Psalms/85?8",
-          text: "R. Alleluia, alleluia.\nShow us, LORD, your love,\nand grant us your salvation.\nR. Alleluia, alleluia."
+          citation: BibleReference.parse("Psalm 85:8"),
+          text: "R. Alleluia, alleluia.\nShow us, LORD, your love,\nand grant us your salvation.\nR. Alleluia, alleluia.",
+          acclamation: "Alleluia",
+          response: { text: "Alleluia, alleluia.", reference: "", alternatives: [] },
+          stanzas: ["Show us, LORD, your love,\nand grant us your salvation."],
+          shortForm: null,
+          options: []
         },
         {
           name: "Gospel",
           reference: "Matthew 21:23-27",
           referenceUrl: "https://bible.usccb.org/bible/matthew/21?23",
-          text: "When Jesus had come into the temple area,\nthe chief priests and the elders of the people approached him\nas he was teaching and said,\n\"By what authority are you doing these things?\nAnd who gave you this authority?\"\nJesus said to them in reply,\n\"I shall ask you one question, and if you answer it for me,\nthen I shall tell you by what authority I do these things.\nWhere was John's baptism from?\nWas it of heavenly or of human origin?\"\nThey discussed this among themselves and said,\n\"If we say 'Of heavenly origin,' he will say to us,\n'Then why did you not believe him?'\nBut if we say, 'Of human origin,' we fear the crowd,\nfor they all regard John as a prophet.\"\nSo they said to Jesus in reply, \"We do not know.\"\nHe himself said to them,\n\"Neither shall I tell you by what authority I do these things.\""
+          citation: BibleReference.parse("Matthew 21:23-27"),
+          text: "When Jesus had come into the temple area,\nthe chief priests and the elders of the people approached him\nas he was teaching and said,\n\"By what authority are you doing these things?\nAnd who gave you this authority?\"\nJesus said to them in reply,\n\"I shall ask you one question, and if you answer it for me,\nthen I shall tell you by what authority I do these things.\nWhere was John's baptism from?\nWas it of heavenly or of human origin?\"\nThey discussed this among themselves and said,\n\"If we say 'Of heavenly origin,' he will say to us,\n'Then why did you not believe him?'\nBut if we say, 'Of human origin,' we fear the crowd,\nfor they all regard John as a prophet.\"\nSo they said to Jesus in reply, \"We do not know.\"\nHe himself said to them,\n\"Neither shall I tell you by what authority I do these things.\"",
+          shortForm: null,
+          options: []
         }
-      ]
+      ],
+      masses: []
     };
   }
 }
 
+// Bump when the parsed result changes shape, so cached days from older versions are fetched again
+CathReadings.CACHE_VERSION = 4;
+
+// Names for the sub-page suffixes USCCB uses on multi-Mass days
+CathReadings.MASS_NAMES = {
+  Vigil: 'Vigil Mass',
+  Night: 'Mass during the Night',
+  Dawn: 'Mass at Dawn',
+  Day: 'Mass during the Day',
+  EasterVigil: 'The Easter Vigil',
+  Procession: 'At the Procession with Palms'
+};
+
+CathReadings.LiturgicalCalendar = LiturgicalCalendar;
+CathReadings.BibleReference = BibleReference;
+CathReadings.CacheStores = CacheStores;
+CathReadings.LiteDOMParser = LiteDOMParser;
+CathReadings.Renderers = Renderers;
+CathReadings.LectionaryIndex = LectionaryIndex;
+CathReadings.ReadingsDiff = ReadingsDiff;
+CathReadings.Locales = Locales;
+CathReadings.Sources = Sources;
+CathReadings.CathReadingsError = CathReadingsError;
+CathReadings.NotFoundError = NotFoundError;
+CathReadings.NetworkError = NetworkError;
+CathReadings.TimeoutError = TimeoutError;
+CathReadings.ProxyError = ProxyError;
+CathReadings.ParseError = ParseError;
+
 // Export for Node.js/CommonJS environments
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = CathReadings;
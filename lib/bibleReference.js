@@ -0,0 +1,283 @@
+/**
+ * Bible References
+ * Parses citations such as "Psalm 25:4-5ab, 6 and 7bc, 8-9" into structured
+ * segments with canonical OSIS and USFM book ids, and formats them back.
+ */
+
+(function (root) {
+  /**
+   * Books of the Catholic canon: [name, OSIS id, USFM id, ...abbreviations].
+   * Abbreviations follow the New American Bible and common usage.
+   */
+  const BOOKS = [
+    ['Genesis', 'Gen', 'GEN', 'Gn'],
+    ['Exodus', 'Exod', 'EXO', 'Ex', 'Exo'],
+    ['Leviticus', 'Lev', 'LEV', 'Lv'],
+    ['Numbers', 'Num', 'NUM', 'Nm'],
+    ['Deuteronomy', 'Deut', 'DEU', 'Dt', 'Deu'],
+    ['Joshua', 'Josh', 'JOS', 'Jos'],
+    ['Judges', 'Judg', 'JDG', 'Jgs', 'Jdg'],
+    ['Ruth', 'Ruth', 'RUT', 'Ru'],
+    ['1 Samuel', '1Sam', '1SA', '1 Sm', '1 Sam'],
+    ['2 Samuel', '2Sam', '2SA', '2 Sm', '2 Sam'],
+    ['1 Kings', '1Kgs', '1KI', '1 Kgs'],
+    ['2 Kings', '2Kgs', '2KI', '2 Kgs'],
+    ['1 Chronicles', '1Chr', '1CH', '1 Chr'],
+    ['2 Chronicles', '2Chr', '2CH', '2 Chr'],
+    ['Ezra', 'Ezra', 'EZR', 'Ezr'],
+    ['Nehemiah', 'Neh', 'NEH'],
+    ['Tobit', 'Tob', 'TOB', 'Tb'],
+    ['Judith', 'Jdt', 'JDT'],
+    ['Esther', 'Esth', 'EST', 'Est'],
+    ['1 Maccabees', '1Macc', '1MA', '1 Mc', '1 Macc'],
+    ['2 Maccabees', '2Macc', '2MA', '2 Mc', '2 Macc'],
+    ['Job', 'Job', 'JOB', 'Jb'],
+    ['Psalms', 'Ps', 'PSA', 'Psalm', 'Pss'],
+    ['Proverbs', 'Prov', 'PRO', 'Prv'],
+    ['Ecclesiastes', 'Eccl', 'ECC', 'Qoheleth', 'Qo'],
+    ['Song of Songs', 'Song', 'SNG', 'Sg', 'Song of Solomon'],
+    ['Wisdom', 'Wis', 'WIS'],
+    ['Sirach', 'Sir', 'SIR', 'Ecclesiasticus'],
+    ['Isaiah', 'Isa', 'ISA', 'Is'],
+    ['Jeremiah', 'Jer', 'JER'],
+    ['Lamentations', 'Lam', 'LAM'],
+    ['Baruch', 'Bar', 'BAR'],
+    ['Ezekiel', 'Ezek', 'EZK', 'Ez'],
+    ['Daniel', 'Dan', 'DAN', 'Dn'],
+    ['Hosea', 'Hos', 'HOS'],
+    ['Joel', 'Joel', 'JOL', 'Jl'],
+    ['Amos', 'Amos', 'AMO', 'Am'],
+    ['Obadiah', 'Obad', 'OBA', 'Ob'],
+    ['Jonah', 'Jonah', 'JON', 'Jon'],
+    ['Micah', 'Mic', 'MIC', 'Mi'],
+    ['Nahum', 'Nah', 'NAM', 'Na'],
+    ['Habakkuk', 'Hab', 'HAB', 'Hb'],
+    ['Zephaniah', 'Zeph', 'ZEP', 'Zep'],
+    ['Haggai', 'Hag', 'HAG', 'Hg'],
+    ['Zechariah', 'Zech', 'ZEC', 'Zec'],
+    ['Malachi', 'Mal', 'MAL'],
+    ['Matthew', 'Matt', 'MAT', 'Mt'],
+    ['Mark', 'Mark', 'MRK', 'Mk'],
+    ['Luke', 'Luke', 'LUK', 'Lk'],
+    ['John', 'John', 'JHN', 'Jn'],
+    ['Acts', 'Acts', 'ACT', 'Acts of the Apostles'],
+    ['Romans', 'Rom', 'ROM'],
+    ['1 Corinthians', '1Cor', '1CO', '1 Cor'],
+    ['2 Corinthians', '2Cor', '2CO', '2 Cor'],
+    ['Galatians', 'Gal', 'GAL'],
+    ['Ephesians', 'Eph', 'EPH'],
+    ['Philippians', 'Phil', 'PHP'],
+    ['Colossians', 'Col', 'COL'],
+    ['1 Thessalonians', '1Thess', '1TH', '1 Thes', '1 Thess'],
+    ['2 Thessalonians', '2Thess', '2TH', '2 Thes', '2 Thess'],
+    ['1 Timothy', '1Tim', '1TI', '1 Tm', '1 Tim'],
+    ['2 Timothy', '2Tim', '2TI', '2 Tm', '2 Tim'],
+    ['Titus', 'Titus', 'TIT', 'Ti'],
+    ['Philemon', 'Phlm', 'PHM'],
+    ['Hebrews', 'Heb', 'HEB'],
+    ['James', 'Jas', 'JAS'],
+    ['1 Peter', '1Pet', '1PE', '1 Pt', '1 Pet'],
+    ['2 Peter', '2Pet', '2PE', '2 Pt', '2 Pet'],
+    ['1 John', '1John', '1JN', '1 Jn'],
+    ['2 John', '2John', '2JN', '2 Jn'],
+    ['3 John', '3John', '3JN', '3 Jn'],
+    ['Jude', 'Jude', 'JUD'],
+    ['Revelation', 'Rev', 'REV', 'Rv', 'Apocalypse']
+  ];
+
+  // Books with a single chapter, cited by verse alone ("Philemon 7-20", "Jude 17, 20b-25")
+  const ONE_CHAPTER_BOOKS = new Set(['Obad', 'Phlm', '2John', '3John', 'Jude']);
+
+  function bookKey(name) {
+    return name.toLowerCase().replace(/[.\s]/g, '');
+  }
+
+  const BOOKS_BY_KEY = new Map();
+  BOOKS.forEach(([name, osis, usfm, ...aliases]) => {
+    const book = { name, osis, usfm };
+    [name, osis, usfm, ...aliases].forEach(alias => BOOKS_BY_KEY.set(bookKey(alias), book));
+  });
+
+  // "Numbers 24:2-7" -> book "Numbers", rest "24:2-7"; Esther's Greek additions use letter chapters ("C:12")
+  const REFERENCE_PATTERN = /^((?:[1-4]\s*)?[A-Za-z][A-Za-z .']*?)\.?\s*((?:\d|[A-F]:).*)$/;
+
+  // "4-5ab", "25:4", "7bc", "13—53:12"
+  const SEGMENT_PATTERN = /^(?:([A-F]|\d+):)?(\d+)([a-z]*)(?:\s*[-–—]\s*(?:(\d+):)?(\d+)([a-z]*))?$/;
+
+  function toChapter(value) {
+    return /^\d+$/.test(value) ? parseInt(value, 10) : value;
+  }
+
+  // Verse span of a segment as comparable positions; letter chapters (Esther) sort after numbered ones
+  function segmentSpan(segment) {
+    const position = (chapter, verse) => (typeof chapter === 'number' ? chapter : 1000 + chapter.charCodeAt(0)) * 1000 + verse;
+    return segment.verseStart === null
+      ? [position(segment.chapter, 0), position(segment.chapterEnd, 999)]
+      : [position(segment.chapter, segment.verseStart), position(segment.chapterEnd, segment.verseEnd)];
+  }
+
+  class BibleReference {
+    /**
+     * Looks up a book by name, abbreviation, OSIS or USFM id
+     * @param {string} name - e.g. "1 Kings", "1 Kgs", "1Kgs" or "1KI"
+     * @returns {Object|null} { name, osis, usfm } or null if unknown
+     */
+    static findBook(name) {
+      const book = BOOKS_BY_KEY.get(bookKey(name || ''));
+      return book ? { ...book } : null;
+    }
+
+    /**
+     * Parses a citation into a book and its verse segments
+     * @param {string} reference - e.g. "Psalm 25:4-5ab, 6 and 7bc, 8-9"
+     * @returns {Object|null} { book: { name, osis, usfm }, segments: [...] }, or null if it cannot be parsed.
+     *   Each segment is { chapter, verseStart, verseStartPart, chapterEnd, verseEnd, verseEndPart };
+     *   verses are null when the segment is a whole chapter.
+     */
+    static parse(reference) {
+      if (!reference) return null;
+
+      // "John 11:1-45 or 11:3-7" – only the first citation is parsed
+      const text = reference.split(/\s+or\s+/i)[0].trim();
+      const match = text.match(REFERENCE_PATTERN);
+      if (!match) return null;
+
+      const book = BibleReference.findBook(match[1]);
+      if (!book) return null;
+
+      const parts = match[2].split(/\s*(?:,|;|\band\b)\s*/).filter(Boolean);
+      const segments = [];
+      let chapter = null;
+
+      for (const part of parts) {
+        // Numbers without a chapter are verses of chapter 1 in one-chapter books
+        if (chapter === null && ONE_CHAPTER_BOOKS.has(book.osis) && !part.includes(':')) {
+          chapter = 1;
+        }
+        // A first part without a colon is otherwise a whole chapter ("Psalm 23")
+        if (chapter === null && !part.includes(':')) {
+          const whole = part.match(/^(\d+)(?:\s*[-–—]\s*(\d+))?$/);
+          if (!whole) return null;
+          chapter = parseInt(whole[1], 10);
+          segments.push({
+            chapter,
+            verseStart: null,
+            verseStartPart: '',
+            chapterEnd: whole[2] ? parseInt(whole[2], 10) : chapter,
+            verseEnd: null,
+            verseEndPart: ''
+          });
+          continue;
+        }
+
+        const segment = part.match(SEGMENT_PATTERN);
+        if (!segment) return null;
+        if (segment[1]) chapter = toChapter(segment[1]);
+
+        const verseStart = parseInt(segment[2], 10);
+        const ranged = segment[5] !== undefined;
+        const chapterEnd = segment[4] ? parseInt(segment[4], 10) : chapter;
+        segments.push({
+          chapter,
+          verseStart,
+          verseStartPart: segment[3],
+          chapterEnd,
+          verseEnd: ranged ? parseInt(segment[5], 10) : verseStart,
+          verseEndPart: ranged ? segment[6] : segment[3]
+        });
+        chapter = chapterEnd;
+      }
+
+      return segments.length ? { book, segments } : null;
+    }
+
+    /**
+     * Formats a parsed citation back into a reference string
+     * @param {Object} citation - Result of parse()
+     * @param {Object} [options]
+     * @param {string} [options.book='name'] - Book label: "name", "osis" or "usfm"
+     * @returns {string} e.g. "Psalm 25:4-5ab, 6, 7bc, 8-9"
+     */
+    static format(citation, options = {}) {
+      if (!citation) return '';
+      const { book, segments } = citation;
+
+      let label = book[options.book || 'name'];
+      // A single psalm is cited as "Psalm"
+      if (label === 'Psalms' && segments.every(s => s.chapter === segments[0].chapter && s.chapterEnd === s.chapter)) {
+        label = 'Psalm';
+      }
+
+      let text = label;
+      // One-chapter books are cited by verse alone
+      let lastChapter = ONE_CHAPTER_BOOKS.has(book.osis) ? 1 : null;
+      segments.forEach((segment, i) => {
+        const sameChapter = segment.chapter === lastChapter && segment.verseStart !== null;
+        text += i === 0 ? ' ' : (sameChapter ? ', ' : '; ');
+
+        if (segment.verseStart === null) {
+          text += segment.chapterEnd !== segment.chapter
+            ? `${segment.chapter}-${segment.chapterEnd}`
+            : `${segment.chapter}`;
+        } else {
+          text += sameChapter ? '' : `${segment.chapter}:`;
+          text += `${segment.verseStart}${segment.verseStartPart}`;
+          if (segment.chapterEnd !== segment.chapter) {
+            text += `-${segment.chapterEnd}:${segment.verseEnd}${segment.verseEndPart}`;
+          } else if (segment.verseEnd !== segment.verseStart) {
+            text += `-${segment.verseEnd}${segment.verseEndPart}`;
+          }
+        }
+        lastChapter = segment.chapterEnd;
+      });
+      return text;
+    }
+
+    /**
+     * Formats a parsed citation as an OSIS reference, ignoring partial verses.
+     * Useful as a key to compare readings across days and sources.
+     * @param {Object} citation - Result of parse()
+     * @returns {string} e.g. "Num.24.2-Num.24.7,Num.24.15-Num.24.17"
+     */
+    static toOsis(citation) {
+      if (!citation) return '';
+      const { osis } = citation.book;
+      return citation.segments.map((segment) => {
+        if (segment.verseStart === null) {
+          return segment.chapterEnd !== segment.chapter
+            ? `${osis}.${segment.chapter}-${osis}.${segment.chapterEnd}`
+            : `${osis}.${segment.chapter}`;
+        }
+        const start = `${osis}.${segment.chapter}.${segment.verseStart}`;
+        const end = `${osis}.${segment.chapterEnd}.${segment.verseEnd}`;
+        return start === end ? start : `${start}-${end}`;
+      }).join(',');
+    }
+
+    /**
+     * Checks whether two citations share at least one verse, ignoring partial verses
+     * @param {Object} a - Result of parse()
+     * @param {Object} b - Result of parse()
+     * @returns {boolean} True if the passages overlap
+     */
+    static overlaps(a, b) {
+      if (!a || !b || a.book.osis !== b.book.osis) return false;
+      return a.segments.some((segmentA) => {
+        const [startA, endA] = segmentSpan(segmentA);
+        return b.segments.some((segmentB) => {
+          const [startB, endB] = segmentSpan(segmentB);
+          return startA <= endB && startB <= endA;
+        });
+      });
+    }
+  }
+
+  BibleReference.BOOKS = BOOKS.map(([name, osis, usfm]) => ({ name, osis, usfm }));
+
+  // Export for Node.js/CommonJS environments, or as a browser global
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BibleReference;
+  } else {
+    root.BibleReference = BibleReference;
+  }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,299 @@
+/**
+ * Cache Stores
+ * Storage backends for CathReadings' cache. Every store has the same
+ * asynchronous interface:
+ *   get(key) -> value or null, set(key, value), delete(key), clear(), keys() -> string[]
+ * Values are plain JSON-serializable objects. Expiry and versioning are
+ * handled by CathReadings, so stores only need to keep what they are given.
+ */
+
+(function (root) {
+  /**
+   * In-memory store that evicts the least recently used entry once full.
+   * Pinned entries ({ pinned: true }, see CathReadings#pin) are never evicted,
+   * though they count towards the limit.
+   */
+  class MemoryStore {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.maxEntries=100] - Entries kept before evicting; Infinity for no limit
+     */
+    constructor(options = {}) {
+      this.maxEntries = options.maxEntries ?? 100;
+      this.entries = new Map();
+    }
+
+    async get(key) {
+      if (!this.entries.has(key)) return null;
+      // Re-insert so the Map's order tracks recency
+      const value = this.entries.get(key);
+      this.entries.delete(key);
+      this.entries.set(key, value);
+      return value;
+    }
+
+    async set(key, value) {
+      this.entries.delete(key);
+      this.entries.set(key, value);
+      let excess = this.entries.size - this.maxEntries;
+      for (const [oldKey, entry] of this.entries) {
+        if (excess <= 0) break;
+        if (entry && entry.pinned) continue;
+        this.entries.delete(oldKey);
+        excess--;
+      }
+    }
+
+    async delete(key) {
+      this.entries.delete(key);
+    }
+
+    async clear() {
+      this.entries.clear();
+    }
+
+    async keys() {
+      return [...this.entries.keys()];
+    }
+  }
+
+  /**
+   * Browser localStorage store. Keys are namespaced with a prefix so clear()
+   * and keys() leave other data alone.
+   */
+  class LocalStorageStore {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.prefix='CathReadings:'] - Key prefix
+     * @param {Storage} [options.storage=window.localStorage] - Storage object to use
+     */
+    constructor(options = {}) {
+      this.prefix = options.prefix || 'CathReadings:';
+      this.storage = options.storage || (typeof window !== 'undefined' ? window.localStorage : null);
+      if (!this.storage) {
+        throw new Error('localStorage is not available');
+      }
+    }
+
+    /**
+     * Checks whether localStorage can be written (it throws in some private modes)
+     * @returns {boolean} True if localStorage is usable
+     */
+    static isAvailable() {
+      try {
+        if (typeof window === 'undefined' || !window.localStorage) return false;
+        const k = '__cr_test__';
+        window.localStorage.setItem(k, '1');
+        window.localStorage.removeItem(k);
+        return true;
+      } catch (_) {
+        return false;
+      }
+    }
+
+    async get(key) {
+      const raw = this.storage.getItem(this.prefix + key);
+      return raw ? JSON.parse(raw) : null;
+    }
+
+    async set(key, value) {
+      this.storage.setItem(this.prefix + key, JSON.stringify(value));
+    }
+
+    async delete(key) {
+      this.storage.removeItem(this.prefix + key);
+    }
+
+    async clear() {
+      (await this.keys()).forEach(key => this.storage.removeItem(this.prefix + key));
+    }
+
+    async keys() {
+      const keys = [];
+      for (let i = 0; i < this.storage.length; i++) {
+        const key = this.storage.key(i);
+        if (key && key.startsWith(this.prefix)) {
+          keys.push(key.slice(this.prefix.length));
+        }
+      }
+      return keys;
+    }
+  }
+
+  /**
+   * Browser IndexedDB store, for caches larger than localStorage allows
+   */
+  class IndexedDBStore {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.name='CathReadings'] - Database name
+     * @param {string} [options.storeName='cache'] - Object store name
+     * @param {IDBFactory} [options.indexedDB=indexedDB] - IndexedDB implementation to use
+     */
+    constructor(options = {}) {
+      this.name = options.name || 'CathReadings';
+      this.storeName = options.storeName || 'cache';
+      this.indexedDB = options.indexedDB || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+      if (!this.indexedDB) {
+        throw new Error('IndexedDB is not available');
+      }
+      this.db = null;
+    }
+
+    /**
+     * Checks whether IndexedDB exists in this environment
+     * @returns {boolean} True if IndexedDB is present
+     */
+    static isAvailable() {
+      return typeof indexedDB !== 'undefined';
+    }
+
+    open() {
+      if (!this.db) {
+        this.db = new Promise((resolve, reject) => {
+          const request = this.indexedDB.open(this.name, 1);
+          request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => reject(request.error);
+        });
+      }
+      return this.db;
+    }
+
+    /**
+     * Runs one request in its own transaction
+     * @param {string} mode - "readonly" or "readwrite"
+     * @param {Function} makeRequest - Receives the object store and returns an IDBRequest
+     * @returns {Promise<*>} The request's result once the transaction completes
+     */
+    async request(mode, makeRequest) {
+      const db = await this.open();
+      return new Promise((resolve, reject) => {
+        const transaction = db.transaction(this.storeName, mode);
+        const request = makeRequest(transaction.objectStore(this.storeName));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+      });
+    }
+
+    async get(key) {
+      const value = await this.request('readonly', store => store.get(key));
+      return value === undefined ? null : value;
+    }
+
+    async set(key, value) {
+      await this.request('readwrite', store => store.put(value, key));
+    }
+
+    async delete(key) {
+      await this.request('readwrite', store => store.delete(key));
+    }
+
+    async clear() {
+      await this.request('readwrite', store => store.clear());
+    }
+
+    async keys() {
+      return this.request('readonly', store => store.getAllKeys());
+    }
+  }
+
+  /**
+   * Node.js store that keeps every entry in one JSON file
+   */
+  class FileStore {
+    /**
+     * @param {Object} options
+     * @param {string} options.path - Path of the JSON file; created on first write
+     */
+    constructor(options = {}) {
+      if (!options.path) {
+        throw new Error('FileStore requires a file path');
+      }
+      this.path = options.path;
+      this.entries = null;
+      this.loading = null;
+      this.writing = Promise.resolve();
+    }
+
+    /**
+     * Reads the file once. Calls made while it is read share that read, so
+     * they all write into the same entries.
+     * @returns {Promise<Object>} The entries
+     */
+    load() {
+      if (!this.loading) {
+        this.loading = (async () => {
+          const fs = require('fs').promises;
+          try {
+            this.entries = JSON.parse(await fs.readFile(this.path, 'utf8'));
+          } catch (error) {
+            if (error.code !== 'ENOENT' && !(error instanceof SyntaxError)) {
+              // Let the next call try again
+              this.loading = null;
+              throw error;
+            }
+            // A missing or corrupt file starts an empty cache
+            this.entries = {};
+          }
+          return this.entries;
+        })();
+      }
+      return this.loading;
+    }
+
+    /**
+     * Writes the file, one write at a time so they land in order. A failed
+     * write rejects only its own caller; the next write still runs.
+     * @returns {Promise<void>}
+     */
+    save() {
+      const fs = require('fs').promises;
+      const path = require('path');
+      const json = JSON.stringify(this.entries);
+      this.writing = this.writing.catch(() => {}).then(async () => {
+        await fs.mkdir(path.dirname(this.path), { recursive: true });
+        await fs.writeFile(this.path, json);
+      });
+      return this.writing;
+    }
+
+    async get(key) {
+      const entries = await this.load();
+      return Object.prototype.hasOwnProperty.call(entries, key) ? entries[key] : null;
+    }
+
+    async set(key, value) {
+      const entries = await this.load();
+      entries[key] = value;
+      await this.save();
+    }
+
+    async delete(key) {
+      const entries = await this.load();
+      delete entries[key];
+      await this.save();
+    }
+
+    async clear() {
+      // Empties the loaded object rather than replacing it, which a read still under way would undo
+      const entries = await this.load();
+      Object.keys(entries).forEach(key => delete entries[key]);
+      await this.save();
+    }
+
+    async keys() {
+      return Object.keys(await this.load());
+    }
+  }
+
+  const CacheStores = { MemoryStore, LocalStorageStore, IndexedDBStore, FileStore };
+
+  // Export for Node.js/CommonJS environments, or as a browser global
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CacheStores;
+  } else {
+    root.CacheStores = CacheStores;
+  }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,89 @@
+/**
+ * Errors
+ * Error classes thrown by CathReadings. All extend CathReadingsError and carry
+ * the date ("YYYY-MM-DD") and URL of the request that failed, when known.
+ *
+ *   CathReadingsError
+ *   ├── NotFoundError   USCCB has no page for the date (HTTP 404)
+ *   ├── NetworkError    The page could not be fetched (connection failure, HTTP error)
+ *   │   ├── TimeoutError  The request took longer than the timeout
+ *   │   └── ProxyError    Every CORS proxy failed or timed out
+ *   └── ParseError      The page loaded but its markup is not what the parser expects
+ */
+
+(function (root) {
+  class CathReadingsError extends Error {
+    /**
+     * @param {string} message - Description of the failure
+     * @param {Object} [details]
+     * @param {string} [details.date] - Date of the readings, YYYY-MM-DD
+     * @param {string} [details.url] - URL that was requested
+     * @param {number} [details.status] - HTTP status, if a response was received
+     * @param {Error} [details.cause] - Underlying error
+     */
+    constructor(message, details = {}) {
+      super(message);
+      this.name = 'CathReadingsError';
+      this.date = details.date || null;
+      this.url = details.url || null;
+      if (details.status !== undefined) this.status = details.status;
+      if (details.cause !== undefined) this.cause = details.cause;
+    }
+  }
+
+  class NotFoundError extends CathReadingsError {
+    constructor(message, details) {
+      super(message, details);
+      this.name = 'NotFoundError';
+    }
+  }
+
+  class NetworkError extends CathReadingsError {
+    constructor(message, details) {
+      super(message, details);
+      this.name = 'NetworkError';
+    }
+  }
+
+  class TimeoutError extends NetworkError {
+    constructor(message, details) {
+      super(message, details);
+      this.name = 'TimeoutError';
+    }
+  }
+
+  class ProxyError extends NetworkError {
+    /**
+     * @param {string} message - Description of the failure
+     * @param {Object} [details] - As for CathReadingsError, plus:
+     * @param {Error[]} [details.errors] - The failure of each proxy
+     */
+    constructor(message, details = {}) {
+      super(message, details);
+      this.name = 'ProxyError';
+      this.errors = details.errors || [];
+    }
+  }
+
+  class ParseError extends CathReadingsError {
+    /**
+     * @param {string} message - Description of the failure
+     * @param {Object} [details] - As for CathReadingsError, plus:
+     * @param {Object[]} [details.problems] - What CathReadings.validate found wrong, in strict mode
+     */
+    constructor(message, details = {}) {
+      super(message, details);
+      this.name = 'ParseError';
+      this.problems = details.problems || [];
+    }
+  }
+
+  const Errors = { CathReadingsError, NotFoundError, NetworkError, TimeoutError, ProxyError, ParseError };
+
+  // Export for Node.js/CommonJS environments, or as a browser global
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Errors;
+  } else {
+    root.CathReadingsErrors = Errors;
+  }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,177 @@
+/**
+ * Lectionary Index
+ * Maps lectionary numbers to the readings and dates that use them, built
+ * from readings objects already fetched (see CathReadings#getLectionaryIndex).
+ * The same number can carry different first readings in weekday cycles I and
+ * II, so each distinct set of readings is kept as a variant.
+ */
+
+(function (root) {
+  const BibleReference = typeof module !== 'undefined' && module.exports
+    ? require('./bibleReference.js')
+    : root.BibleReference;
+
+  // Bump when the exported shape changes
+  const FORMAT_VERSION = 1;
+
+  function toIsoDate(date) {
+    if (typeof date === 'string') return date;
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+
+  function summarize(reading) {
+    return {
+      name: reading.name,
+      reference: reading.reference,
+      citation: reading.citation || BibleReference.parse(reading.reference)
+    };
+  }
+
+  class LectionaryIndex {
+    constructor() {
+      // Lectionary number -> { lectionary, variants: [{ readings, dates, titles }] }
+      this.entries = new Map();
+    }
+
+    /**
+     * Indexes a day. On days with several Masses, each Mass is indexed under
+     * its own lectionary number.
+     * @param {Object} day - Readings object from getReadings
+     * @returns {LectionaryIndex} this
+     */
+    add(day) {
+      const masses = day.masses && day.masses.some(mass => mass.readings) ? day.masses : [day];
+      masses.forEach((mass) => {
+        if (!mass.lectionary || !mass.readings || !mass.readings.length) return;
+        this.addEntry(String(mass.lectionary), day.date, mass.title || day.title, mass.readings.map(summarize));
+      });
+      return this;
+    }
+
+    addEntry(lectionary, date, title, readings) {
+      if (!this.entries.has(lectionary)) {
+        this.entries.set(lectionary, { lectionary, variants: [] });
+      }
+      const { variants } = this.entries.get(lectionary);
+      const key = readings.map(reading => reading.reference).join('|');
+      let variant = variants.find(v => v.readings.map(reading => reading.reference).join('|') === key);
+      if (!variant) {
+        variant = { readings, dates: [], titles: [] };
+        variants.push(variant);
+      }
+      if (!variant.dates.includes(date)) {
+        variant.dates.push(date);
+        variant.dates.sort();
+      }
+      if (title && !variant.titles.includes(title)) variant.titles.push(title);
+    }
+
+    /**
+     * Looks up a lectionary number
+     * @param {number|string} lectionary - e.g. 187
+     * @returns {Object|null} { lectionary, readings, dates, variants } where readings are those of the
+     *   most recent date and variants lists each distinct set as { readings, dates, titles }
+     */
+    get(lectionary) {
+      const entry = this.entries.get(String(lectionary));
+      if (!entry) return null;
+      const latest = (variant) => variant.dates[variant.dates.length - 1];
+      const current = entry.variants.reduce((best, variant) => (latest(variant) > latest(best) ? variant : best));
+      return {
+        lectionary: entry.lectionary,
+        readings: current.readings,
+        dates: entry.variants.flatMap(variant => variant.dates).sort(),
+        variants: entry.variants
+      };
+    }
+
+    /**
+     * Lists the indexed dates that use a lectionary number
+     * @param {number|string} lectionary - e.g. 187
+     * @param {Object} [range]
+     * @param {Date|string} [range.from] - First date (Date or YYYY-MM-DD)
+     * @param {Date|string} [range.to] - Last date (Date or YYYY-MM-DD)
+     * @returns {string[]} Dates as YYYY-MM-DD, in order
+     */
+    datesFor(lectionary, range = {}) {
+      const entry = this.get(lectionary);
+      if (!entry) return [];
+      const from = range.from ? toIsoDate(range.from) : '';
+      const to = range.to ? toIsoDate(range.to) : '9999-12-31';
+      return entry.dates.filter(date => date >= from && date <= to);
+    }
+
+    /**
+     * Finds the indexed days whose readings overlap a passage
+     * @param {string} reference - e.g. "Matthew 21:23-27" or "Mt 21"
+     * @param {Object} [options]
+     * @param {RegExp} [options.reading=/gospel/i] - Which readings to search, by name; null searches all
+     * @returns {Object[]} [{ date, lectionary, title, reading: { name, reference, citation } }] in date order
+     */
+    searchPassage(reference, options = {}) {
+      const passage = BibleReference.parse(reference);
+      if (!passage) {
+        throw new Error(`Cannot parse reference: ${reference}`);
+      }
+      const pattern = options.reading === undefined ? /gospel/i : options.reading;
+      const matches = [];
+      this.entries.forEach((entry) => {
+        entry.variants.forEach((variant) => {
+          variant.readings
+            .filter(reading => (!pattern || pattern.test(reading.name)) && BibleReference.overlaps(reading.citation, passage))
+            .forEach((reading) => {
+              variant.dates.forEach(date => matches.push({
+                date,
+                lectionary: entry.lectionary,
+                title: variant.titles[0] || '',
+                reading
+              }));
+            });
+        });
+      });
+      return matches.sort((a, b) => a.date.localeCompare(b.date) || a.lectionary.localeCompare(b.lectionary));
+    }
+
+    /**
+     * @returns {string[]} Every indexed lectionary number
+     */
+    lectionaries() {
+      return [...this.entries.keys()];
+    }
+
+    /**
+     * Exports the index as plain JSON-serializable data
+     * @returns {Object} { version, entries }
+     */
+    toJSON() {
+      return { version: FORMAT_VERSION, entries: [...this.entries.values()] };
+    }
+
+    /**
+     * Rebuilds an index from toJSON() output
+     * @param {Object|string} data - Exported index, or its JSON text
+     * @returns {LectionaryIndex} The index
+     * @throws {Error} If the data is from another format version
+     */
+    static fromJSON(data) {
+      if (typeof data === 'string') data = JSON.parse(data);
+      if (!data || data.version !== FORMAT_VERSION) {
+        throw new Error(`Unsupported lectionary index version: ${data && data.version}`);
+      }
+      const index = new LectionaryIndex();
+      data.entries.forEach(entry => index.entries.set(entry.lectionary, entry));
+      return index;
+    }
+  }
+
+  LectionaryIndex.FORMAT_VERSION = FORMAT_VERSION;
+
+  // Export for Node.js/CommonJS environments, or as a browser global
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LectionaryIndex;
+  } else {
+    root.LectionaryIndex = LectionaryIndex;
+  }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,478 @@
+/**
+ * Lite DOM
+ * A small HTML parser with just enough of the DOM (querySelector/querySelectorAll,
+ * textContent, innerHTML, getAttribute, childNodes) for CathReadings to parse
+ * readings pages where the browser's DOMParser is not available: Node.js and
+ * web workers. It is forgiving rather than spec-complete: unknown end tags are
+ * ignored and block elements close an open <p>, which covers USCCB's markup.
+ */
+
+(function (root) {
+  const VOID_ELEMENTS = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr'
+  ]);
+
+  // Elements whose content is not parsed as markup
+  const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title']);
+
+  // Start tags that close an open <p>
+  const CLOSES_PARAGRAPH = new Set([
+    'address', 'article', 'aside', 'blockquote', 'details', 'div', 'dl', 'fieldset', 'figcaption', 'figure',
+    'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'main', 'menu', 'nav', 'ol', 'p',
+    'pre', 'section', 'table', 'ul'
+  ]);
+
+  const ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0',
+    ndash: '–', mdash: '—', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+    sbquo: '‚', bdquo: '„', hellip: '…', bull: '•', middot: '·', dagger: '†',
+    laquo: '«', raquo: '»', iexcl: '¡', iquest: '¿', sect: '§', para: '¶',
+    copy: '©', reg: '®', trade: '™', deg: '°', shy: '\u00ad', thinsp: '\u2009',
+    aacute: 'á', eacute: 'é', iacute: 'í', oacute: 'ó', uacute: 'ú', yacute: 'ý',
+    Aacute: 'Á', Eacute: 'É', Iacute: 'Í', Oacute: 'Ó', Uacute: 'Ú',
+    agrave: 'à', egrave: 'è', igrave: 'ì', ograve: 'ò', ugrave: 'ù',
+    acirc: 'â', ecirc: 'ê', icirc: 'î', ocirc: 'ô', ucirc: 'û',
+    auml: 'ä', euml: 'ë', iuml: 'ï', ouml: 'ö', uuml: 'ü', Uuml: 'Ü',
+    ntilde: 'ñ', Ntilde: 'Ñ', ccedil: 'ç', Ccedil: 'Ç', aelig: 'æ', oelig: 'œ'
+  };
+
+  /**
+   * Decodes named and numeric character references
+   * @param {string} text - Raw HTML text
+   * @returns {string} Decoded text
+   */
+  function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);/gi, (match, entity) => {
+      if (entity[0] === '#') {
+        const code = entity[1] === 'x' || entity[1] === 'X'
+          ? parseInt(entity.slice(2), 16)
+          : parseInt(entity.slice(1), 10);
+        return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+      }
+      return Object.prototype.hasOwnProperty.call(ENTITIES, entity) ? ENTITIES[entity] : match;
+    });
+  }
+
+  function escapeText(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/\u00a0/g, '&nbsp;');
+  }
+
+  function escapeAttribute(value) {
+    return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/\u00a0/g, '&nbsp;');
+  }
+
+  function parseAttributes(source) {
+    const attributes = new Map();
+    const pattern = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+    let match;
+    while ((match = pattern.exec(source))) {
+      const name = match[1].toLowerCase();
+      if (!attributes.has(name)) {
+        attributes.set(name, decodeEntities(match[2] ?? match[3] ?? match[4] ?? ''));
+      }
+    }
+    return attributes;
+  }
+
+  /**
+   * Reads the markup that starts at a "<": a comment, doctype or processing
+   * instruction, an end tag or a start tag. It only scans forward, up to the
+   * closing ">", so malformed pages still parse in linear time.
+   * @param {string} html - The HTML source
+   * @param {number} start - Index of the "<"
+   * @returns {Object|null} { end, closes } for end tags, { end, name, attributes } for start tags
+   *   and { end } for markup that is dropped, where end is -1 if the source ends inside the tag;
+   *   null if the "<" is text
+   */
+  function readTag(html, start) {
+    if (html.startsWith('<!--', start)) {
+      const close = html.indexOf('-->', start + 4);
+      return { end: close === -1 ? html.length : close + 3 };
+    }
+    const next = html[start + 1];
+    const afterClose = from => (from === -1 ? -1 : from + 1);
+    if (next === '!' || next === '?') {
+      return { end: afterClose(html.indexOf('>', start + 2)) };
+    }
+
+    const namePattern = /<(\/?)([a-zA-Z][\w:-]*)/y;
+    namePattern.lastIndex = start;
+    const match = namePattern.exec(html);
+    if (!match) return null;
+    if (match[1]) {
+      return { end: afterClose(html.indexOf('>', namePattern.lastIndex)), closes: match[2] };
+    }
+
+    // A ">" inside a quoted attribute value does not end the tag
+    const quotePattern = /\s*(["'])/y;
+    for (let i = namePattern.lastIndex; i < html.length; i++) {
+      if (html[i] === '>') {
+        return { end: i + 1, name: match[2], attributes: html.slice(namePattern.lastIndex, i) };
+      }
+      if (html[i] === '=') {
+        quotePattern.lastIndex = i + 1;
+        const quote = quotePattern.exec(html);
+        if (quote) {
+          i = html.indexOf(quote[1], quotePattern.lastIndex);
+          if (i === -1) break;
+        }
+      }
+    }
+    return { end: -1 };
+  }
+
+  /**
+   * Parses one compound selector ("a", ".wr-block.b-verse", "a[href^='http']")
+   * @param {string} source - The compound selector
+   * @returns {Object[]} Simple selectors: { type: 'tag'|'class'|'id'|'attr', ... }
+   */
+  function parseCompound(source) {
+    const parts = [];
+    const pattern = /(\*)|([.#]?)([\w-]+)|\[\s*([\w-]+)\s*(?:([~^$*|]?=)\s*(?:"([^"]*)"|'([^']*)'|([^\]\s]*))\s*)?\]/y;
+    let index = 0;
+    while (index < source.length) {
+      pattern.lastIndex = index;
+      const match = pattern.exec(source);
+      if (!match) {
+        throw new Error(`Unsupported selector: ${source}`);
+      }
+      if (match[1]) {
+        // Universal selector matches everything
+      } else if (match[3]) {
+        const type = match[2] === '.' ? 'class' : match[2] === '#' ? 'id' : 'tag';
+        parts.push({ type, value: type === 'tag' ? match[3].toLowerCase() : match[3] });
+      } else {
+        parts.push({
+          type: 'attr',
+          name: match[4].toLowerCase(),
+          operator: match[5] || null,
+          value: match[6] ?? match[7] ?? match[8] ?? ''
+        });
+      }
+      index = pattern.lastIndex;
+    }
+    return parts;
+  }
+
+  /**
+   * Parses a selector list into complex selectors, each a list of
+   * { parts, combinator } from left to right
+   * @param {string} selector - e.g. ".content-header .name, div > p"
+   * @returns {Array<Object[]>} Parsed selectors
+   */
+  function parseSelector(selector) {
+    return selector.split(',').map((group) => {
+      const tokens = group.trim().replace(/\s*>\s*/g, ' > ').match(/(?:[^\s[]+|\[[^\]]*\])+/g);
+      if (!tokens) {
+        throw new Error(`Unsupported selector: ${selector}`);
+      }
+      const compounds = [];
+      let combinator = ' ';
+      tokens.forEach((token) => {
+        if (token === '>') {
+          combinator = '>';
+          return;
+        }
+        compounds.push({ parts: parseCompound(token), combinator });
+        combinator = ' ';
+      });
+      return compounds;
+    });
+  }
+
+  function matchesParts(element, parts) {
+    return parts.every((part) => {
+      switch (part.type) {
+        case 'tag': return element.localName === part.value;
+        case 'id': return element.getAttribute('id') === part.value;
+        case 'class': return element.classNames().includes(part.value);
+        default: {
+          const value = element.getAttribute(part.name);
+          if (value === null) return false;
+          switch (part.operator) {
+            case null: return true;
+            case '=': return value === part.value;
+            case '~=': return value.split(/\s+/).includes(part.value);
+            case '^=': return part.value !== '' && value.startsWith(part.value);
+            case '$=': return part.value !== '' && value.endsWith(part.value);
+            case '*=': return part.value !== '' && value.includes(part.value);
+            case '|=': return value === part.value || value.startsWith(`${part.value}-`);
+            default: return false;
+          }
+        }
+      }
+    });
+  }
+
+  // Matches right to left: the element against the last compound, then its ancestors against the rest
+  function matchesComplex(element, compounds, index) {
+    if (!matchesParts(element, compounds[index].parts)) return false;
+    if (index === 0) return true;
+    let ancestor = element.parentNode;
+    if (compounds[index].combinator === '>') {
+      return Boolean(ancestor && ancestor.nodeType === 1 && matchesComplex(ancestor, compounds, index - 1));
+    }
+    while (ancestor && ancestor.nodeType === 1) {
+      if (matchesComplex(ancestor, compounds, index - 1)) return true;
+      ancestor = ancestor.parentNode;
+    }
+    return false;
+  }
+
+  function querySelectorAll(scope, selector) {
+    const selectors = parseSelector(selector);
+    const results = [];
+    const visit = (node) => {
+      node.childNodes.forEach((child) => {
+        if (child.nodeType !== 1) return;
+        if (selectors.some(compounds => matchesComplex(child, compounds, compounds.length - 1))) {
+          results.push(child);
+        }
+        visit(child);
+      });
+    };
+    visit(scope);
+    return results;
+  }
+
+  class LiteNode {
+    constructor(nodeType, ownerDocument) {
+      this.nodeType = nodeType;
+      this.ownerDocument = ownerDocument;
+      this.parentNode = null;
+      this.childNodes = [];
+    }
+
+    get textContent() {
+      return this.childNodes.map(child => child.textContent).join('');
+    }
+
+    get children() {
+      return this.childNodes.filter(child => child.nodeType === 1);
+    }
+
+    appendChild(node) {
+      node.parentNode = this;
+      this.childNodes.push(node);
+      return node;
+    }
+
+    querySelectorAll(selector) {
+      return querySelectorAll(this, selector);
+    }
+
+    querySelector(selector) {
+      return querySelectorAll(this, selector)[0] || null;
+    }
+  }
+
+  class LiteText extends LiteNode {
+    constructor(data, ownerDocument) {
+      super(3, ownerDocument);
+      this.data = data;
+    }
+
+    get nodeName() {
+      return '#text';
+    }
+
+    get nodeValue() {
+      return this.data;
+    }
+
+    get textContent() {
+      return this.data;
+    }
+  }
+
+  class LiteElement extends LiteNode {
+    constructor(localName, attributes, ownerDocument) {
+      super(1, ownerDocument);
+      this.localName = localName;
+      this.attributes = attributes;
+    }
+
+    get tagName() {
+      return this.localName.toUpperCase();
+    }
+
+    get nodeName() {
+      return this.tagName;
+    }
+
+    get id() {
+      return this.getAttribute('id') || '';
+    }
+
+    get className() {
+      return this.getAttribute('class') || '';
+    }
+
+    classNames() {
+      return this.className.split(/\s+/).filter(Boolean);
+    }
+
+    /**
+     * The href attribute resolved against the document's base URL, as in the browser
+     * @returns {string} Absolute URL, or the raw attribute when it cannot be resolved
+     */
+    get href() {
+      const href = this.getAttribute('href');
+      if (href === null) return '';
+      try {
+        return new URL(href, this.ownerDocument.baseURI || undefined).href;
+      } catch (_) {
+        return href;
+      }
+    }
+
+    getAttribute(name) {
+      const value = this.attributes.get(name.toLowerCase());
+      return value === undefined ? null : value;
+    }
+
+    hasAttribute(name) {
+      return this.attributes.has(name.toLowerCase());
+    }
+
+    get innerHTML() {
+      return this.childNodes.map((child) => {
+        if (child.nodeType === 3) {
+          return RAW_TEXT_ELEMENTS.has(this.localName) && this.localName !== 'textarea'
+            ? child.data
+            : escapeText(child.data);
+        }
+        return child.outerHTML;
+      }).join('');
+    }
+
+    get outerHTML() {
+      const attributes = [...this.attributes]
+        .map(([name, value]) => ` ${name}="${escapeAttribute(value)}"`)
+        .join('');
+      const start = `<${this.localName}${attributes}>`;
+      return VOID_ELEMENTS.has(this.localName) ? start : `${start}${this.innerHTML}</${this.localName}>`;
+    }
+  }
+
+  class LiteDocument extends LiteNode {
+    constructor(baseURI) {
+      super(9, null);
+      this.baseURI = baseURI || null;
+    }
+
+    get nodeName() {
+      return '#document';
+    }
+
+    get documentElement() {
+      return this.children.find(child => child.localName === 'html') || this.children[0] || null;
+    }
+
+    get body() {
+      return this.querySelector('body');
+    }
+  }
+
+  /**
+   * Drop-in replacement for the browser's DOMParser, for HTML only
+   */
+  class LiteDOMParser {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.baseURI] - URL that relative hrefs resolve against
+     */
+    constructor(options = {}) {
+      this.baseURI = options.baseURI || null;
+    }
+
+    /**
+     * Parses an HTML string into a document
+     * @param {string} html - The HTML source
+     * @param {string} [type='text/html'] - Only HTML is supported
+     * @returns {LiteDocument} The document
+     */
+    parseFromString(html, type = 'text/html') {
+      if (type !== 'text/html') {
+        throw new Error(`Unsupported document type: ${type}`);
+      }
+
+      const document = new LiteDocument(this.baseURI);
+      const stack = [document];
+      const current = () => stack[stack.length - 1];
+      const appendText = (text) => {
+        if (text) current().appendChild(new LiteText(decodeEntities(text), document));
+      };
+      const closeElement = (name) => {
+        for (let i = stack.length - 1; i > 0; i--) {
+          if (stack[i].localName === name) {
+            stack.length = i;
+            return;
+          }
+        }
+        // An end tag with nothing to close is ignored
+      };
+      const closeParagraph = () => {
+        for (let i = stack.length - 1; i > 0; i--) {
+          if (stack[i].localName === 'p') {
+            stack.length = i;
+            return;
+          }
+          if (CLOSES_PARAGRAPH.has(stack[i].localName)) return;
+        }
+      };
+
+      let lastIndex = 0;
+      let index = html.indexOf('<');
+      while (index !== -1) {
+        const tag = readTag(html, index);
+        if (!tag) {
+          index = html.indexOf('<', index + 1);
+          continue;
+        }
+        // When the source ends inside a tag, the tag and the rest are text
+        if (tag.end === -1) break;
+        appendText(html.slice(lastIndex, index));
+        lastIndex = tag.end;
+
+        if (tag.closes) {
+          closeElement(tag.closes.toLowerCase());
+        } else if (tag.name) {
+          const name = tag.name.toLowerCase();
+          if (CLOSES_PARAGRAPH.has(name)) closeParagraph();
+          if (name === 'li') closeElement('li');
+
+          const element = current().appendChild(new LiteElement(name, parseAttributes(tag.attributes), document));
+          if (RAW_TEXT_ELEMENTS.has(name)) {
+            // Everything up to the matching end tag is text
+            const endPattern = new RegExp(`</${name}\\s*>`, 'ig');
+            endPattern.lastIndex = lastIndex;
+            const end = endPattern.exec(html);
+            const raw = html.slice(lastIndex, end ? end.index : html.length);
+            if (raw) {
+              const rcdata = name === 'textarea' || name === 'title';
+              element.appendChild(new LiteText(rcdata ? decodeEntities(raw) : raw, document));
+            }
+            lastIndex = end ? end.index + end[0].length : html.length;
+          } else if (!VOID_ELEMENTS.has(name)) {
+            stack.push(element);
+          }
+        }
+        // Comments, doctypes and processing instructions are dropped
+        index = html.indexOf('<', lastIndex);
+      }
+      appendText(html.slice(lastIndex));
+
+      return document;
+    }
+  }
+
+  LiteDOMParser.decodeEntities = decodeEntities;
+
+  // Export for Node.js/CommonJS environments, or as a browser global
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LiteDOMParser;
+  } else {
+    root.LiteDOMParser = LiteDOMParser;
+  }
+})(typeof self !== 'undefined' ? self : this);
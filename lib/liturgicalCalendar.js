@@ -0,0 +1,951 @@
+/**
+ * Liturgical Calendar
+ * Computes the season, rank and celebration of any date in the
+ * General Roman Calendar as observed in the United States, without
+ * fetching anything from USCCB.
+ */
+
+(function (root) {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+  const MONTHS = [
+    'January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December'
+  ];
+
+  const ORDINALS = [
+    '', 'First', 'Second', 'Third', 'Fourth', 'Fifth', 'Sixth', 'Seventh', 'Eighth', 'Ninth', 'Tenth',
+    'Eleventh', 'Twelfth', 'Thirteenth', 'Fourteenth', 'Fifteenth', 'Sixteenth', 'Seventeenth',
+    'Eighteenth', 'Nineteenth', 'Twentieth', 'Twenty-first', 'Twenty-second', 'Twenty-third',
+    'Twenty-fourth', 'Twenty-fifth', 'Twenty-sixth', 'Twenty-seventh', 'Twenty-eighth',
+    'Twenty-ninth', 'Thirtieth', 'Thirty-first', 'Thirty-second', 'Thirty-third', 'Thirty-fourth'
+  ];
+
+  /**
+   * US defaults: Epiphany, Ascension and Corpus Christi are kept on Sunday.
+   * The provinces of Boston, Hartford, New York, Newark, Omaha and
+   * Philadelphia keep Ascension on Thursday (ascensionOnSunday: false).
+   */
+  const DEFAULT_OPTIONS = {
+    epiphanyOnSunday: true,
+    ascensionOnSunday: true,
+    corpusChristiOnSunday: true
+  };
+
+  /**
+   * Fixed-date celebrations of the General Roman Calendar together with
+   * the proper celebrations of the dioceses of the United States.
+   * `lord` marks celebrations of the Lord, `proper` those of the US calendar.
+   * `color` is given where the vestments are not white: red for martyrs,
+   * apostles and evangelists (except Saint John) and the Holy Cross.
+   */
+  const SANCTORAL = [
+    { date: '01-01', name: 'Solemnity of Mary, the Holy Mother of God', rank: 'Solemnity' },
+    { date: '01-02', name: 'Saints Basil the Great and Gregory Nazianzen', rank: 'Memorial' },
+    { date: '01-03', name: 'The Most Holy Name of Jesus', rank: 'Optional Memorial' },
+    { date: '01-04', name: 'Saint Elizabeth Ann Seton', rank: 'Memorial', proper: true },
+    { date: '01-05', name: 'Saint John Neumann', rank: 'Memorial', proper: true },
+    { date: '01-06', name: 'Saint André Bessette', rank: 'Optional Memorial' },
+    { date: '01-07', name: 'Saint Raymond of Penyafort', rank: 'Optional Memorial' },
+    { date: '01-13', name: 'Saint Hilary', rank: 'Optional Memorial' },
+    { date: '01-17', name: 'Saint Anthony, Abbot', rank: 'Memorial' },
+    { date: '01-20', name: 'Saint Fabian', rank: 'Optional Memorial', color: 'red' },
+    { date: '01-20', name: 'Saint Sebastian', rank: 'Optional Memorial', color: 'red' },
+    { date: '01-21', name: 'Saint Agnes', rank: 'Memorial', color: 'red' },
+    { date: '01-23', name: 'Saint Vincent', rank: 'Optional Memorial', color: 'red' },
+    { date: '01-23', name: 'Saint Marianne Cope', rank: 'Optional Memorial' },
+    { date: '01-24', name: 'Saint Francis de Sales', rank: 'Memorial' },
+    { date: '01-25', name: 'The Conversion of Saint Paul the Apostle', rank: 'Feast' },
+    { date: '01-26', name: 'Saints Timothy and Titus', rank: 'Memorial' },
+    { date: '01-27', name: 'Saint Angela Merici', rank: 'Optional Memorial' },
+    { date: '01-28', name: 'Saint Thomas Aquinas', rank: 'Memorial' },
+    { date: '01-31', name: 'Saint John Bosco', rank: 'Memorial' },
+    { date: '02-02', name: 'The Presentation of the Lord', rank: 'Feast', lord: true },
+    { date: '02-03', name: 'Saint Blaise', rank: 'Optional Memorial', color: 'red' },
+    { date: '02-03', name: 'Saint Ansgar', rank: 'Optional Memorial' },
+    { date: '02-05', name: 'Saint Agatha', rank: 'Memorial', color: 'red' },
+    { date: '02-06', name: 'Saint Paul Miki and Companions', rank: 'Memorial', color: 'red' },
+    { date: '02-08', name: 'Saint Jerome Emiliani', rank: 'Optional Memorial' },
+    { date: '02-08', name: 'Saint Josephine Bakhita', rank: 'Optional Memorial' },
+    { date: '02-10', name: 'Saint Scholastica', rank: 'Memorial' },
+    { date: '02-11', name: 'Our Lady of Lourdes', rank: 'Optional Memorial' },
+    { date: '02-14', name: 'Saints Cyril and Methodius', rank: 'Memorial' },
+    { date: '02-17', name: 'The Seven Holy Founders of the Servite Order', rank: 'Optional Memorial' },
+    { date: '02-21', name: 'Saint Peter Damian', rank: 'Optional Memorial' },
+    { date: '02-22', name: 'The Chair of Saint Peter the Apostle', rank: 'Feast' },
+    { date: '02-23', name: 'Saint Polycarp', rank: 'Memorial', color: 'red' },
+    { date: '02-27', name: 'Saint Gregory of Narek', rank: 'Optional Memorial' },
+    { date: '03-03', name: 'Saint Katharine Drexel', rank: 'Optional Memorial' },
+    { date: '03-04', name: 'Saint Casimir', rank: 'Optional Memorial' },
+    { date: '03-07', name: 'Saints Perpetua and Felicity', rank: 'Memorial', color: 'red' },
+    { date: '03-08', name: 'Saint John of God', rank: 'Optional Memorial' },
+    { date: '03-09', name: 'Saint Frances of Rome', rank: 'Optional Memorial' },
+    { date: '03-17', name: 'Saint Patrick', rank: 'Optional Memorial' },
+    { date: '03-18', name: 'Saint Cyril of Jerusalem', rank: 'Optional Memorial' },
+    { date: '03-19', name: 'Saint Joseph, Spouse of the Blessed Virgin Mary', rank: 'Solemnity' },
+    { date: '03-23', name: 'Saint Turibius of Mogrovejo', rank: 'Optional Memorial' },
+    { date: '03-25', name: 'The Annunciation of the Lord', rank: 'Solemnity', lord: true },
+    { date: '04-02', name: 'Saint Francis of Paola', rank: 'Optional Memorial' },
+    { date: '04-04', name: 'Saint Isidore', rank: 'Optional Memorial' },
+    { date: '04-05', name: 'Saint Vincent Ferrer', rank: 'Optional Memorial' },
+    { date: '04-07', name: 'Saint John Baptist de la Salle', rank: 'Memorial' },
+    { date: '04-11', name: 'Saint Stanislaus', rank: 'Memorial', color: 'red' },
+    { date: '04-13', name: 'Saint Martin I', rank: 'Optional Memorial', color: 'red' },
+    { date: '04-21', name: 'Saint Anselm', rank: 'Optional Memorial' },
+    { date: '04-23', name: 'Saint George', rank: 'Optional Memorial', color: 'red' },
+    { date: '04-23', name: 'Saint Adalbert', rank: 'Optional Memorial', color: 'red' },
+    { date: '04-24', name: 'Saint Fidelis of Sigmaringen', rank: 'Optional Memorial', color: 'red' },
+    { date: '04-25', name: 'Saint Mark, Evangelist', rank: 'Feast', color: 'red' },
+    { date: '04-28', name: 'Saint Peter Chanel', rank: 'Optional Memorial', color: 'red' },
+    { date: '04-28', name: 'Saint Louis Grignion de Montfort', rank: 'Optional Memorial' },
+    { date: '04-29', name: 'Saint Catherine of Siena', rank: 'Memorial' },
+    { date: '04-30', name: 'Saint Pius V', rank: 'Optional Memorial' },
+    { date: '05-01', name: 'Saint Joseph the Worker', rank: 'Optional Memorial' },
+    { date: '05-02', name: 'Saint Athanasius', rank: 'Memorial' },
+    { date: '05-03', name: 'Saints Philip and James, Apostles', rank: 'Feast', color: 'red' },
+    { date: '05-10', name: 'Saint Damien de Veuster', rank: 'Optional Memorial' },
+    { date: '05-10', name: 'Saint John of Avila', rank: 'Optional Memorial' },
+    { date: '05-12', name: 'Saints Nereus and Achilleus', rank: 'Optional Memorial', color: 'red' },
+    { date: '05-12', name: 'Saint Pancras', rank: 'Optional Memorial', color: 'red' },
+    { date: '05-13', name: 'Our Lady of Fatima', rank: 'Optional Memorial' },
+    { date: '05-14', name: 'Saint Matthias, Apostle', rank: 'Feast', color: 'red' },
+    { date: '05-15', name: 'Saint Isidore the Farmer', rank: 'Optional Memorial' },
+    { date: '05-18', name: 'Saint John I', rank: 'Optional Memorial', color: 'red' },
+    { date: '05-20', name: 'Saint Bernardine of Siena', rank: 'Optional Memorial' },
+    { date: '05-21', name: 'Saint Christopher Magallanes and Companions', rank: 'Optional Memorial', color: 'red' },
+    { date: '05-22', name: 'Saint Rita of Cascia', rank: 'Optional Memorial' },
+    { date: '05-25', name: 'Saint Bede the Venerable', rank: 'Optional Memorial' },
+    { date: '05-25', name: 'Saint Gregory VII', rank: 'Optional Memorial' },
+    { date: '05-25', name: 'Saint Mary Magdalene de\' Pazzi', rank: 'Optional Memorial' },
+    { date: '05-26', name: 'Saint Philip Neri', rank: 'Memorial' },
+    { date: '05-27', name: 'Saint Augustine of Canterbury', rank: 'Optional Memorial' },
+    { date: '05-29', name: 'Saint Paul VI', rank: 'Optional Memorial' },
+    { date: '05-31', name: 'The Visitation of the Blessed Virgin Mary', rank: 'Feast' },
+    { date: '06-01', name: 'Saint Justin', rank: 'Memorial', color: 'red' },
+    { date: '06-02', name: 'Saints Marcellinus and Peter', rank: 'Optional Memorial', color: 'red' },
+    { date: '06-03', name: 'Saint Charles Lwanga and Companions', rank: 'Memorial', color: 'red' },
+    { date: '06-05', name: 'Saint Boniface', rank: 'Memorial', color: 'red' },
+    { date: '06-06', name: 'Saint Norbert', rank: 'Optional Memorial' },
+    { date: '06-09', name: 'Saint Ephrem', rank: 'Optional Memorial' },
+    { date: '06-11', name: 'Saint Barnabas, Apostle', rank: 'Memorial', color: 'red' },
+    { date: '06-13', name: 'Saint Anthony of Padua', rank: 'Memorial' },
+    { date: '06-19', name: 'Saint Romuald', rank: 'Optional Memorial' },
+    { date: '06-21', name: 'Saint Aloysius Gonzaga', rank: 'Memorial' },
+    { date: '06-22', name: 'Saint Paulinus of Nola', rank: 'Optional Memorial' },
+    { date: '06-22', name: 'Saints John Fisher and Thomas More', rank: 'Optional Memorial', color: 'red' },
+    { date: '06-24', name: 'The Nativity of Saint John the Baptist', rank: 'Solemnity' },
+    { date: '06-27', name: 'Saint Cyril of Alexandria', rank: 'Optional Memorial' },
+    { date: '06-28', name: 'Saint Irenaeus', rank: 'Memorial', color: 'red' },
+    { date: '06-29', name: 'Saints Peter and Paul, Apostles', rank: 'Solemnity', color: 'red' },
+    { date: '06-30', name: 'The First Martyrs of the Holy Roman Church', rank: 'Optional Memorial', color: 'red' },
+    { date: '07-01', name: 'Saint Junípero Serra', rank: 'Optional Memorial' },
+    { date: '07-03', name: 'Saint Thomas, Apostle', rank: 'Feast', color: 'red' },
+    { date: '07-05', name: 'Saint Elizabeth of Portugal', rank: 'Optional Memorial' },
+    { date: '07-05', name: 'Saint Anthony Zaccaria', rank: 'Optional Memorial' },
+    { date: '07-06', name: 'Saint Maria Goretti', rank: 'Optional Memorial', color: 'red' },
+    { date: '07-09', name: 'Saint Augustine Zhao Rong and Companions', rank: 'Optional Memorial', color: 'red' },
+    { date: '07-11', name: 'Saint Benedict', rank: 'Memorial' },
+    { date: '07-13', name: 'Saint Henry', rank: 'Optional Memorial' },
+    { date: '07-14', name: 'Saint Kateri Tekakwitha', rank: 'Memorial', proper: true },
+    { date: '07-15', name: 'Saint Bonaventure', rank: 'Memorial' },
+    { date: '07-16', name: 'Our Lady of Mount Carmel', rank: 'Optional Memorial' },
+    { date: '07-18', name: 'Saint Camillus de Lellis', rank: 'Optional Memorial' },
+    { date: '07-20', name: 'Saint Apollinaris', rank: 'Optional Memorial', color: 'red' },
+    { date: '07-21', name: 'Saint Lawrence of Brindisi', rank: 'Optional Memorial' },
+    { date: '07-22', name: 'Saint Mary Magdalene', rank: 'Feast' },
+    { date: '07-23', name: 'Saint Bridget', rank: 'Optional Memorial' },
+    { date: '07-24', name: 'Saint Sharbel Makhlūf', rank: 'Optional Memorial' },
+    { date: '07-25', name: 'Saint James, Apostle', rank: 'Feast', color: 'red' },
+    { date: '07-26', name: 'Saints Joachim and Anne', rank: 'Memorial' },
+    { date: '07-29', name: 'Saints Martha, Mary and Lazarus', rank: 'Memorial' },
+    { date: '07-30', name: 'Saint Peter Chrysologus', rank: 'Optional Memorial' },
+    { date: '07-31', name: 'Saint Ignatius of Loyola', rank: 'Memorial' },
+    { date: '08-01', name: 'Saint Alphonsus Liguori', rank: 'Memorial' },
+    { date: '08-02', name: 'Saint Eusebius of Vercelli', rank: 'Optional Memorial' },
+    { date: '08-02', name: 'Saint Peter Julian Eymard', rank: 'Optional Memorial' },
+    { date: '08-04', name: 'Saint John Vianney', rank: 'Memorial' },
+    { date: '08-05', name: 'The Dedication of the Basilica of Saint Mary Major', rank: 'Optional Memorial' },
+    { date: '08-06', name: 'The Transfiguration of the Lord', rank: 'Feast', lord: true },
+    { date: '08-07', name: 'Saint Sixtus II and Companions', rank: 'Optional Memorial', color: 'red' },
+    { date: '08-07', name: 'Saint Cajetan', rank: 'Optional Memorial' },
+    { date: '08-08', name: 'Saint Dominic', rank: 'Memorial' },
+    { date: '08-09', name: 'Saint Teresa Benedicta of the Cross', rank: 'Optional Memorial', color: 'red' },
+    { date: '08-10', name: 'Saint Lawrence', rank: 'Feast', color: 'red' },
+    { date: '08-11', name: 'Saint Clare', rank: 'Memorial' },
+    { date: '08-12', name: 'Saint Jane Frances de Chantal', rank: 'Optional Memorial' },
+    { date: '08-13', name: 'Saints Pontian and Hippolytus', rank: 'Optional Memorial', color: 'red' },
+    { date: '08-14', name: 'Saint Maximilian Kolbe', rank: 'Memorial', color: 'red' },
+    { date: '08-15', name: 'The Assumption of the Blessed Virgin Mary', rank: 'Solemnity' },
+    { date: '08-16', name: 'Saint Stephen of Hungary', rank: 'Optional Memorial' },
+    { date: '08-19', name: 'Saint John Eudes', rank: 'Optional Memorial' },
+    { date: '08-20', name: 'Saint Bernard', rank: 'Memorial' },
+    { date: '08-21', name: 'Saint Pius X', rank: 'Memorial' },
+    { date: '08-22', name: 'The Queenship of the Blessed Virgin Mary', rank: 'Memorial' },
+    { date: '08-23', name: 'Saint Rose of Lima', rank: 'Optional Memorial' },
+    { date: '08-24', name: 'Saint Bartholomew, Apostle', rank: 'Feast', color: 'red' },
+    { date: '08-25', name: 'Saint Louis', rank: 'Optional Memorial' },
+    { date: '08-25', name: 'Saint Joseph Calasanz', rank: 'Optional Memorial' },
+    { date: '08-27', name: 'Saint Monica', rank: 'Memorial' },
+    { date: '08-28', name: 'Saint Augustine', rank: 'Memorial' },
+    { date: '08-29', name: 'The Passion of Saint John the Baptist', rank: 'Memorial', color: 'red' },
+    { date: '09-03', name: 'Saint Gregory the Great', rank: 'Memorial' },
+    { date: '09-08', name: 'The Nativity of the Blessed Virgin Mary', rank: 'Feast' },
+    { date: '09-09', name: 'Saint Peter Claver', rank: 'Memorial', proper: true },
+    { date: '09-12', name: 'The Most Holy Name of Mary', rank: 'Optional Memorial' },
+    { date: '09-13', name: 'Saint John Chrysostom', rank: 'Memorial' },
+    { date: '09-14', name: 'The Exaltation of the Holy Cross', rank: 'Feast', lord: true, color: 'red' },
+    { date: '09-15', name: 'Our Lady of Sorrows', rank: 'Memorial' },
+    { date: '09-16', name: 'Saints Cornelius and Cyprian', rank: 'Memorial', color: 'red' },
+    { date: '09-17', name: 'Saint Robert Bellarmine', rank: 'Optional Memorial' },
+    { date: '09-17', name: 'Saint Hildegard of Bingen', rank: 'Optional Memorial' },
+    { date: '09-19', name: 'Saint Januarius', rank: 'Optional Memorial', color: 'red' },
+    { date: '09-20', name: 'Saints Andrew Kim Tae-gŏn, Paul Chŏng Ha-sang, and Companions', rank: 'Memorial', color: 'red' },
+    { date: '09-21', name: 'Saint Matthew, Apostle and Evangelist', rank: 'Feast', color: 'red' },
+    { date: '09-23', name: 'Saint Pius of Pietrelcina', rank: 'Memorial' },
+    { date: '09-26', name: 'Saints Cosmas and Damian', rank: 'Optional Memorial', color: 'red' },
+    { date: '09-27', name: 'Saint Vincent de Paul', rank: 'Memorial' },
+    { date: '09-28', name: 'Saint Wenceslaus', rank: 'Optional Memorial', color: 'red' },
+    { date: '09-28', name: 'Saint Lawrence Ruiz and Companions', rank: 'Optional Memorial', color: 'red' },
+    { date: '09-29', name: 'Saints Michael, Gabriel and Raphael, Archangels', rank: 'Feast' },
+    { date: '09-30', name: 'Saint Jerome', rank: 'Memorial' },
+    { date: '10-01', name: 'Saint Thérèse of the Child Jesus', rank: 'Memorial' },
+    { date: '10-02', name: 'The Holy Guardian Angels', rank: 'Memorial' },
+    { date: '10-04', name: 'Saint Francis of Assisi', rank: 'Memorial' },
+    { date: '10-05', name: 'Blessed Francis Xavier Seelos', rank: 'Optional Memorial' },
+    { date: '10-05', name: 'Saint Faustina Kowalska', rank: 'Optional Memorial' },
+    { date: '10-06', name: 'Saint Bruno', rank: 'Optional Memorial' },
+    { date: '10-06', name: 'Blessed Marie Rose Durocher', rank: 'Optional Memorial' },
+    { date: '10-07', name: 'Our Lady of the Rosary', rank: 'Memorial' },
+    { date: '10-09', name: 'Saint Denis and Companions', rank: 'Optional Memorial', color: 'red' },
+    { date: '10-09', name: 'Saint John Leonardi', rank: 'Optional Memorial' },
+    { date: '10-11', name: 'Saint John XXIII', rank: 'Optional Memorial' },
+    { date: '10-14', name: 'Saint Callistus I', rank: 'Optional Memorial', color: 'red' },
+    { date: '10-15', name: 'Saint Teresa of Jesus', rank: 'Memorial' },
+    { date: '10-16', name: 'Saint Hedwig', rank: 'Optional Memorial' },
+    { date: '10-16', name: 'Saint Margaret Mary Alacoque', rank: 'Optional Memorial' },
+    { date: '10-17', name: 'Saint Ignatius of Antioch', rank: 'Memorial', color: 'red' },
+    { date: '10-18', name: 'Saint Luke, Evangelist', rank: 'Feast', color: 'red' },
+    { date: '10-19', name: 'Saints John de Brébeuf, Isaac Jogues, and Companions', rank: 'Memorial', proper: true, color: 'red' },
+    { date: '10-20', name: 'Saint Paul of the Cross', rank: 'Optional Memorial' },
+    { date: '10-22', name: 'Saint John Paul II', rank: 'Optional Memorial' },
+    { date: '10-23', name: 'Saint John of Capistrano', rank: 'Optional Memorial' },
+    { date: '10-24', name: 'Saint Anthony Mary Claret', rank: 'Optional Memorial' },
+    { date: '10-28', name: 'Saints Simon and Jude, Apostles', rank: 'Feast', color: 'red' },
+    { date: '11-01', name: 'All Saints', rank: 'Solemnity' },
+    { date: '11-02', name: 'The Commemoration of All the Faithful Departed (All Souls)', rank: 'Solemnity', color: 'violet' },
+    { date: '11-03', name: 'Saint Martin de Porres', rank: 'Optional Memorial' },
+    { date: '11-04', name: 'Saint Charles Borromeo', rank: 'Memorial' },
+    { date: '11-09', name: 'The Dedication of the Lateran Basilica', rank: 'Feast', lord: true },
+    { date: '11-10', name: 'Saint Leo the Great', rank: 'Memorial' },
+    { date: '11-11', name: 'Saint Martin of Tours', rank: 'Memorial' },
+    { date: '11-12', name: 'Saint Josaphat', rank: 'Memorial', color: 'red' },
+    { date: '11-13', name: 'Saint Frances Xavier Cabrini', rank: 'Memorial', proper: true },
+    { date: '11-15', name: 'Saint Albert the Great', rank: 'Optional Memorial' },
+    { date: '11-16', name: 'Saint Margaret of Scotland', rank: 'Optional Memorial' },
+    { date: '11-16', name: 'Saint Gertrude', rank: 'Optional Memorial' },
+    { date: '11-17', name: 'Saint Elizabeth of Hungary', rank: 'Memorial' },
+    { date: '11-18', name: 'The Dedication of the Basilicas of Saints Peter and Paul', rank: 'Optional Memorial' },
+    { date: '11-18', name: 'Saint Rose Philippine Duchesne', rank: 'Optional Memorial' },
+    { date: '11-21', name: 'The Presentation of the Blessed Virgin Mary', rank: 'Memorial' },
+    { date: '11-22', name: 'Saint Cecilia', rank: 'Memorial', color: 'red' },
+    { date: '11-23', name: 'Saint Clement I', rank: 'Optional Memorial', color: 'red' },
+    { date: '11-23', name: 'Saint Columban', rank: 'Optional Memorial' },
+    { date: '11-23', name: 'Blessed Miguel Agustín Pro', rank: 'Optional Memorial', color: 'red' },
+    { date: '11-24', name: 'Saint Andrew Dung-Lac and Companions', rank: 'Memorial', color: 'red' },
+    { date: '11-25', name: 'Saint Catherine of Alexandria', rank: 'Optional Memorial', color: 'red' },
+    { date: '11-30', name: 'Saint Andrew, Apostle', rank: 'Feast', color: 'red' },
+    { date: '12-03', name: 'Saint Francis Xavier', rank: 'Memorial' },
+    { date: '12-04', name: 'Saint John Damascene', rank: 'Optional Memorial' },
+    { date: '12-06', name: 'Saint Nicholas', rank: 'Optional Memorial' },
+    { date: '12-07', name: 'Saint Ambrose', rank: 'Memorial' },
+    { date: '12-08', name: 'The Immaculate Conception of the Blessed Virgin Mary', rank: 'Solemnity' },
+    { date: '12-09', name: 'Saint Juan Diego Cuauhtlatoatzin', rank: 'Optional Memorial' },
+    { date: '12-10', name: 'Our Lady of Loreto', rank: 'Optional Memorial' },
+    { date: '12-11', name: 'Saint Damasus I', rank: 'Optional Memorial' },
+    { date: '12-12', name: 'Our Lady of Guadalupe', rank: 'Feast', proper: true },
+    { date: '12-13', name: 'Saint Lucy', rank: 'Memorial', color: 'red' },
+    { date: '12-14', name: 'Saint John of the Cross', rank: 'Memorial' },
+    { date: '12-21', name: 'Saint Peter Canisius', rank: 'Optional Memorial' },
+    { date: '12-23', name: 'Saint John of Kanty', rank: 'Optional Memorial' },
+    { date: '12-25', name: 'The Nativity of the Lord (Christmas)', rank: 'Solemnity', lord: true, precedence: 2 },
+    { date: '12-26', name: 'Saint Stephen, the First Martyr', rank: 'Feast', color: 'red' },
+    { date: '12-27', name: 'Saint John, Apostle and Evangelist', rank: 'Feast' },
+    { date: '12-28', name: 'The Holy Innocents', rank: 'Feast', color: 'red' },
+    { date: '12-29', name: 'Saint Thomas Becket', rank: 'Optional Memorial', color: 'red' },
+    { date: '12-31', name: 'Saint Sylvester I', rank: 'Optional Memorial' }
+  ];
+
+  /**
+   * Table of Liturgical Days according to their order of precedence
+   * (Universal Norms on the Liturgical Year, no. 59). Lower numbers win.
+   */
+  const PRECEDENCE = {
+    TRIDUUM: 1,
+    PRINCIPAL: 2,           // Christmas, Epiphany, Ascension, Pentecost; Sundays of Advent, Lent, Easter; Ash Wednesday; Holy Week; Easter Octave
+    SOLEMNITY: 3,           // Solemnities of the General Calendar; All Souls
+    PROPER_SOLEMNITY: 4,
+    FEAST_OF_THE_LORD: 5,
+    SUNDAY: 6,              // Sundays of Christmas and Ordinary Time
+    FEAST: 7,
+    PROPER_FEAST: 8,
+    PRIVILEGED_WEEKDAY: 9,  // Advent weekdays from December 17, the Christmas Octave, Lenten weekdays
+    MEMORIAL: 10,
+    PROPER_MEMORIAL: 11,
+    OPTIONAL_MEMORIAL: 12,
+    WEEKDAY: 13
+  };
+
+  function precedenceOf(celebration) {
+    if (celebration.precedence) return celebration.precedence;
+    switch (celebration.rank) {
+      case 'Solemnity':
+        return celebration.proper ? PRECEDENCE.PROPER_SOLEMNITY : PRECEDENCE.SOLEMNITY;
+      case 'Feast':
+        if (celebration.lord) return PRECEDENCE.FEAST_OF_THE_LORD;
+        return celebration.proper ? PRECEDENCE.PROPER_FEAST : PRECEDENCE.FEAST;
+      case 'Memorial':
+        return celebration.proper ? PRECEDENCE.PROPER_MEMORIAL : PRECEDENCE.MEMORIAL;
+      default:
+        return PRECEDENCE.OPTIONAL_MEMORIAL;
+    }
+  }
+
+  // Significant words of a celebration name, used to match scraped titles
+  const TITLE_STOPWORDS = new Set([
+    'the', 'of', 'and', 'or', 'a', 'in', 'st', 'sts', 'saint', 'saints', 'blessed', 'bl',
+    'solemnity', 'feast', 'memorial', 'optional', 'obligatory'
+  ]);
+
+  function titleWords(title) {
+    return title
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(word => word && !TITLE_STOPWORDS.has(word));
+  }
+
+  // Day numbers count whole days since the epoch, ignoring time of day and DST
+  function toDayNumber(date) {
+    return Math.round(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / DAY_MS);
+  }
+
+  function fromDayNumber(dayNumber) {
+    const utc = new Date(dayNumber * DAY_MS);
+    return new Date(utc.getUTCFullYear(), utc.getUTCMonth(), utc.getUTCDate());
+  }
+
+  function dayNumberOf(year, month, day) {
+    return Math.round(Date.UTC(year, month - 1, day) / DAY_MS);
+  }
+
+  function weekdayOf(dayNumber) {
+    // Day 0 (1970-01-01) was a Thursday
+    return (dayNumber + 4) % 7;
+  }
+
+  function sundayOnOrBefore(dayNumber) {
+    return dayNumber - weekdayOf(dayNumber);
+  }
+
+  function isoDate(dayNumber) {
+    return new Date(dayNumber * DAY_MS).toISOString().split('T')[0];
+  }
+
+  const PSALTER_WEEKS = ['', 'I', 'II', 'III', 'IV'];
+
+  /**
+   * Week of the four-week Psalter. It starts again at Week I on the First
+   * Sunday of Advent, the Sunday after Christmas, the first week of Ordinary
+   * Time, the First Sunday of Lent and Easter Sunday.
+   */
+  function psalterWeekOf(season, week) {
+    switch (season) {
+      case 'Advent':
+        return PSALTER_WEEKS[week];
+      case 'Christmas':
+        // The days before the first Sunday after Christmas continue Week IV of Advent
+        return PSALTER_WEEKS[((week + 2) % 4) + 1];
+      case 'Lent':
+        // Ash Wednesday and the days after it belong to Week IV
+        return PSALTER_WEEKS[week === 0 ? 4 : ((week - 1) % 4) + 1];
+      case 'Triduum':
+        // Holy Week is Week II
+        return PSALTER_WEEKS[2];
+      default:
+        return PSALTER_WEEKS[((week - 1) % 4) + 1];
+    }
+  }
+
+  const SANCTORAL_BY_DATE = new Map();
+  SANCTORAL.forEach((celebration) => {
+    if (!SANCTORAL_BY_DATE.has(celebration.date)) SANCTORAL_BY_DATE.set(celebration.date, []);
+    SANCTORAL_BY_DATE.get(celebration.date).push(celebration);
+  });
+
+  const yearCache = new Map();
+
+  class LiturgicalCalendar {
+    /**
+     * Computes the date of Easter Sunday (anonymous Gregorian computus)
+     * @param {number} year - Four-digit year
+     * @returns {Date} Easter Sunday
+     */
+    static getEaster(year) {
+      const a = year % 19;
+      const b = Math.floor(year / 100);
+      const c = year % 100;
+      const d = Math.floor(b / 4);
+      const e = b % 4;
+      const f = Math.floor((b + 8) / 25);
+      const g = Math.floor((b - f + 1) / 3);
+      const h = (19 * a + b - d - g + 15) % 30;
+      const i = Math.floor(c / 4);
+      const k = c % 4;
+      const l = (32 + 2 * e + 2 * i - h - k) % 7;
+      const m = Math.floor((a + 11 * h + 22 * l) / 451);
+      const month = Math.floor((h + l - 7 * m + 114) / 31);
+      const day = ((h + l - 7 * m + 114) % 31) + 1;
+      return new Date(year, month - 1, day);
+    }
+
+    /**
+     * Computes the moveable dates of the liturgical calendar for a civil year
+     * @param {number} year - Four-digit year
+     * @param {Object} [options] - Calendar options (see DEFAULT_OPTIONS)
+     * @returns {Object} Map of key dates (easter, ashWednesday, pentecost, firstSundayOfAdvent, ...)
+     */
+    static getKeyDates(year, options = {}) {
+      const keys = LiturgicalCalendar.computeKeyDays(year, { ...DEFAULT_OPTIONS, ...options });
+      const result = {};
+      Object.keys(keys).forEach((name) => {
+        result[name] = fromDayNumber(keys[name]);
+      });
+      return result;
+    }
+
+    /**
+     * Computes the key dates as day numbers
+     * @param {number} year - Four-digit year
+     * @param {Object} options - Resolved calendar options
+     * @returns {Object} Key dates as day numbers
+     */
+    static computeKeyDays(year, options) {
+      const easter = toDayNumber(LiturgicalCalendar.getEaster(year));
+      const pentecost = easter + 49;
+
+      const christmas = dayNumberOf(year, 12, 25);
+      const firstSundayOfAdvent = christmas - (weekdayOf(christmas) || 7) - 21;
+
+      // Holy Family is the Sunday within the Octave of Christmas, or December 30
+      const holyFamilySunday = christmas + (7 - weekdayOf(christmas));
+      const holyFamily = weekdayOf(christmas) === 0 ? dayNumberOf(year, 12, 30) : holyFamilySunday;
+
+      let epiphany;
+      let baptismOfTheLord;
+      if (options.epiphanyOnSunday) {
+        // Sunday between January 2 and January 8; Baptism follows on Monday if Epiphany is on the 7th or 8th
+        const jan2 = dayNumberOf(year, 1, 2);
+        epiphany = jan2 + ((7 - weekdayOf(jan2)) % 7);
+        baptismOfTheLord = epiphany >= dayNumberOf(year, 1, 7) ? epiphany + 1 : epiphany + 7;
+      } else {
+        epiphany = dayNumberOf(year, 1, 6);
+        baptismOfTheLord = epiphany + (7 - weekdayOf(epiphany));
+      }
+
+      return {
+        epiphany,
+        baptismOfTheLord,
+        ashWednesday: easter - 46,
+        palmSunday: easter - 7,
+        holyThursday: easter - 3,
+        goodFriday: easter - 2,
+        holySaturday: easter - 1,
+        easter,
+        divineMercySunday: easter + 7,
+        ascension: options.ascensionOnSunday ? easter + 42 : easter + 39,
+        pentecost,
+        trinitySunday: pentecost + 7,
+        corpusChristi: options.corpusChristiOnSunday ? pentecost + 14 : pentecost + 11,
+        sacredHeart: pentecost + 19,
+        christTheKing: firstSundayOfAdvent - 7,
+        firstSundayOfAdvent,
+        christmas,
+        holyFamily
+      };
+    }
+
+    /**
+     * Gets the liturgical season for a date
+     * @param {Date} date - The date
+     * @param {Object} [options] - Calendar options
+     * @returns {string} "Advent", "Christmas", "Lent", "Triduum", "Easter" or "Ordinary Time"
+     */
+    static getSeason(date, options = {}) {
+      return LiturgicalCalendar.getDay(date, options).season;
+    }
+
+    /**
+     * Gets the liturgical rank of the celebration for a date
+     * @param {Date} date - The date
+     * @param {Object} [options] - Calendar options
+     * @returns {string} "Triduum", "Solemnity", "Feast", "Sunday", "Memorial", "Octave Day",
+     *   "Privileged Weekday" or "Ferial"
+     */
+    static getRank(date, options = {}) {
+      return LiturgicalCalendar.getDay(date, options).rank;
+    }
+
+    /**
+     * Gets the Sunday lectionary cycle for a date. The liturgical year starts
+     * on the First Sunday of Advent.
+     * @param {Date} date - The date
+     * @param {Object} [options] - Calendar options
+     * @returns {string} "A", "B" or "C"
+     */
+    static getSundayCycle(date, options = {}) {
+      return LiturgicalCalendar.getDay(date, options).sundayCycle;
+    }
+
+    /**
+     * Gets the weekday lectionary cycle for a date
+     * @param {Date} date - The date
+     * @param {Object} [options] - Calendar options
+     * @returns {string} "I" (liturgical years ending in an odd year) or "II"
+     */
+    static getWeekdayCycle(date, options = {}) {
+      return LiturgicalCalendar.getDay(date, options).weekdayCycle;
+    }
+
+    /**
+     * Gets the week of the Psalter for a date
+     * @param {Date} date - The date
+     * @param {Object} [options] - Calendar options
+     * @returns {string} "I", "II", "III" or "IV"
+     */
+    static getPsalterWeek(date, options = {}) {
+      return LiturgicalCalendar.getDay(date, options).psalterWeek;
+    }
+
+    /**
+     * Gets the liturgical color of the day's celebration
+     * @param {Date} date - The date
+     * @param {Object} [options] - Calendar options
+     * @returns {string} "white", "red", "green", "violet" or "rose"
+     */
+    static getColor(date, options = {}) {
+      return LiturgicalCalendar.getDay(date, options).color;
+    }
+
+    /**
+     * Lists every celebration permitted on a date: the day's own celebration
+     * first, then any optional memorials that may be kept instead
+     * @param {Date} date - The date
+     * @param {Object} [options] - Calendar options
+     * @returns {Object[]} [{ name, rank, color, optional }]
+     */
+    static getCelebrations(date, options = {}) {
+      return LiturgicalCalendar.celebrationsOf(LiturgicalCalendar.getDay(date, options));
+    }
+
+    /**
+     * Lists the celebrations of a day from getDay()
+     * @param {Object} day - Day from getDay()
+     * @returns {Object[]} [{ name, rank, color, optional }]
+     */
+    static celebrationsOf(day) {
+      return [
+        { name: day.title, rank: day.rank, color: day.color, optional: false },
+        ...day.optionalMemorials.map(c => ({ name: c.name, rank: c.rank, color: c.color, optional: true }))
+      ];
+    }
+
+    /**
+     * Finds the dates in a year on which a named saint or feast is celebrated,
+     * after transfers and omissions. Every significant word of the name must
+     * appear in the celebration's, so "St. Joseph" matches both Saint Joseph,
+     * Spouse of the Blessed Virgin Mary and Saint Joseph the Worker.
+     * @param {string} name - Name such as "St. Joseph" or "Ascension"
+     * @param {number} year - Four-digit year
+     * @param {Object} [options] - Calendar options
+     * @returns {Object[]} [{ date, name, rank, color, optional }] in date order
+     */
+    static findCelebrations(name, year, options = {}) {
+      const words = titleWords(name || '');
+      if (!words.length) return [];
+      const matches = [];
+      LiturgicalCalendar.getYear(year, options).forEach((day) => {
+        LiturgicalCalendar.celebrationsOf(day).forEach((celebration) => {
+          const celebrationWords = new Set(titleWords(celebration.name));
+          if (words.every(word => celebrationWords.has(word))) {
+            matches.push({ date: day.date, ...celebration });
+          }
+        });
+      });
+      return matches;
+    }
+
+    /**
+     * Finds the date of the most important celebration matching a name,
+     * e.g. the Solemnity of Saint Joseph rather than Saint Joseph the Worker
+     * @param {string} name - Name such as "St. Joseph" or "Ascension"
+     * @param {number} year - Four-digit year
+     * @param {Object} [options] - Calendar options
+     * @returns {Object|null} { date, name, rank, color, optional }, or null if it is not celebrated that year
+     */
+    static findCelebration(name, year, options = {}) {
+      const matches = LiturgicalCalendar.findCelebrations(name, year, options);
+      const days = LiturgicalCalendar.getYear(year, options);
+      const precedence = match => (match.optional ? PRECEDENCE.OPTIONAL_MEMORIAL : days.get(match.date).precedence);
+      // Ties go to the earlier date
+      return matches.reduce((best, match) => (!best || precedence(match) < precedence(best) ? match : best), null);
+    }
+
+    /**
+     * Computes everything the calendar knows about a date
+     * @param {Date} date - The date
+     * @param {Object} [options] - Calendar options
+     * @returns {Object} { date, season, week, sundayCycle, weekdayCycle, psalterWeek, title, rank,
+     *   precedence, color, optionalMemorials }. Optional memorials carry their own color.
+     */
+    static getDay(date, options = {}) {
+      if (!(date instanceof Date) || isNaN(date.getTime())) {
+        throw new Error('Date must be a valid Date object');
+      }
+      const year = LiturgicalCalendar.getYear(date.getFullYear(), options);
+      const day = year.get(isoDate(toDayNumber(date)));
+      return { ...day, optionalMemorials: day.optionalMemorials.map(c => ({ ...c })) };
+    }
+
+    /**
+     * Builds (and memoizes) the resolved calendar for a civil year
+     * @param {number} year - Four-digit year
+     * @param {Object} [options] - Calendar options
+     * @returns {Map<string, Object>} Days keyed by YYYY-MM-DD
+     */
+    static getYear(year, options = {}) {
+      const resolved = { ...DEFAULT_OPTIONS, ...options };
+      const cacheKey = `${year}:${resolved.epiphanyOnSunday}:${resolved.ascensionOnSunday}:${resolved.corpusChristiOnSunday}`;
+      if (!yearCache.has(cacheKey)) {
+        yearCache.set(cacheKey, LiturgicalCalendar.buildYear(year, resolved));
+      }
+      return yearCache.get(cacheKey);
+    }
+
+    static buildYear(year, options) {
+      const keys = LiturgicalCalendar.computeKeyDays(year, options);
+      const moveable = LiturgicalCalendar.moveableCelebrations(keys);
+      const days = new Map();
+      const impeded = [];
+
+      const first = dayNumberOf(year, 1, 1);
+      const last = dayNumberOf(year, 12, 31);
+      for (let d = first; d <= last; d++) {
+        const temporal = LiturgicalCalendar.temporalDay(d, keys);
+        const key = isoDate(d);
+        const candidates = (SANCTORAL_BY_DATE.get(key.slice(5)) || [])
+          .concat(moveable.filter(c => c.day === d))
+          .map(c => ({ ...c, precedence: precedenceOf(c) }));
+        const resolved = LiturgicalCalendar.resolveDay(temporal, candidates);
+        resolved.impeded.forEach(celebration => impeded.push({ day: d, celebration }));
+        // The liturgical year is named after the civil year it ends in
+        const liturgicalYear = d >= keys.firstSundayOfAdvent ? year + 1 : year;
+        days.set(key, {
+          date: key,
+          season: temporal.season,
+          week: temporal.week,
+          sundayCycle: ['C', 'A', 'B'][liturgicalYear % 3],
+          weekdayCycle: liturgicalYear % 2 ? 'I' : 'II',
+          psalterWeek: psalterWeekOf(temporal.season, temporal.week),
+          title: resolved.celebration.name,
+          rank: resolved.celebration.rank,
+          precedence: resolved.celebration.precedence,
+          color: resolved.celebration.color,
+          optionalMemorials: resolved.optionalMemorials
+        });
+      }
+
+      // Impeded solemnities move to the next day free of higher celebrations
+      impeded.forEach(({ day, celebration }) => {
+        const target = LiturgicalCalendar.transferTarget(day, celebration, keys, days);
+        if (target === null) return;
+        Object.assign(days.get(isoDate(target)), {
+          title: celebration.name,
+          rank: celebration.rank,
+          precedence: celebration.precedence,
+          color: celebration.color || 'white',
+          optionalMemorials: []
+        });
+      });
+      return days;
+    }
+
+    /**
+     * Resolves the celebrations that fall on one date against the Table of
+     * Liturgical Days. The highest precedence wins; impeded solemnities are
+     * returned for transfer, memorials impeded by a privileged weekday are
+     * kept as optional commemorations, and everything else is omitted.
+     * @param {Object} temporal - The day of the temporal cycle
+     * @param {Object[]} candidates - Celebrations assigned to the date
+     * @returns {Object} { celebration, optionalMemorials, impeded }
+     */
+    static resolveDay(temporal, candidates) {
+      // Optional memorials never displace the day; they are only offered alongside it
+      const optionals = candidates.filter(c => c.rank === 'Optional Memorial');
+
+      // Ties go to the celebration over the temporal day, then to celebrations of the Lord
+      const ranked = candidates
+        .filter(c => c.rank !== 'Optional Memorial')
+        .concat(temporal)
+        .sort((a, b) => a.precedence - b.precedence || (b.lord ? 1 : 0) - (a.lord ? 1 : 0));
+
+      let celebration = ranked[0];
+      const others = ranked.slice(1).filter(c => c !== temporal);
+      let memorials = others.filter(c => c.rank === 'Memorial');
+
+      // Two obligatory memorials on the same date are both reduced to optional
+      if (celebration.rank === 'Memorial' && memorials.length && !celebration.prevails) {
+        memorials = [celebration, ...memorials];
+        celebration = temporal;
+      }
+
+      const optionalMemorials = celebration === temporal && temporal.precedence >= PRECEDENCE.PRIVILEGED_WEEKDAY
+        ? memorials.concat(optionals).map(c => ({
+          name: c.name,
+          rank: 'Optional Memorial',
+          precedence: PRECEDENCE.OPTIONAL_MEMORIAL,
+          color: c.color || 'white'
+        }))
+        : [];
+
+      return {
+        celebration: {
+          name: celebration.name,
+          rank: celebration.rank,
+          precedence: celebration.precedence,
+          color: celebration.color || 'white'
+        },
+        optionalMemorials,
+        impeded: others.filter(c => c.rank === 'Solemnity')
+      };
+    }
+
+    /**
+     * Finds the day an impeded solemnity is transferred to
+     * @returns {number|null} Day number, or null if it falls outside the year
+     */
+    static transferTarget(day, celebration, keys, days) {
+      if (day >= keys.palmSunday && day <= keys.divineMercySunday) {
+        // Saint Joseph is anticipated before Holy Week; the Annunciation follows the Easter Octave
+        if (celebration.date === '03-19') return keys.palmSunday - 1;
+        if (celebration.date === '03-25') return keys.divineMercySunday + 1;
+      }
+      let target = day + 1;
+      while (days.has(isoDate(target)) && days.get(isoDate(target)).precedence <= PRECEDENCE.PROPER_FEAST) {
+        target++;
+      }
+      return days.has(isoDate(target)) ? target : null;
+    }
+
+    /**
+     * Celebrations whose date depends on Easter, Advent or Christmas
+     */
+    static moveableCelebrations(keys) {
+      return [
+        { day: keys.holyFamily, name: 'The Holy Family of Jesus, Mary and Joseph', rank: 'Feast', lord: true },
+        { day: keys.epiphany, name: 'The Epiphany of the Lord', rank: 'Solemnity', lord: true, precedence: PRECEDENCE.PRINCIPAL },
+        { day: keys.baptismOfTheLord, name: 'The Baptism of the Lord', rank: 'Feast', lord: true },
+        { day: keys.ascension, name: 'The Ascension of the Lord', rank: 'Solemnity', lord: true, precedence: PRECEDENCE.PRINCIPAL },
+        { day: keys.pentecost + 1, name: 'The Blessed Virgin Mary, Mother of the Church', rank: 'Memorial', prevails: true },
+        { day: keys.trinitySunday, name: 'The Most Holy Trinity', rank: 'Solemnity', lord: true },
+        { day: keys.corpusChristi, name: 'The Most Holy Body and Blood of Christ', rank: 'Solemnity', lord: true },
+        { day: keys.sacredHeart, name: 'The Most Sacred Heart of Jesus', rank: 'Solemnity', lord: true },
+        { day: keys.sacredHeart + 1, name: 'The Immaculate Heart of the Blessed Virgin Mary', rank: 'Memorial' },
+        { day: keys.christTheKing, name: 'Our Lord Jesus Christ, King of the Universe', rank: 'Solemnity', lord: true }
+      ];
+    }
+
+    /**
+     * Describes a day of the temporal cycle (seasons and their weeks)
+     * @param {number} d - Day number
+     * @param {Object} keys - Key dates of the day's civil year
+     * @returns {Object} { season, week, name, rank, precedence, color }
+     */
+    static temporalDay(d, keys) {
+      const temporal = LiturgicalCalendar.temporalCelebration(d, keys);
+      return { ...temporal, color: temporal.color || LiturgicalCalendar.SEASON_COLORS[temporal.season] };
+    }
+
+    // The temporal day, with a color only where it differs from the season's
+    static temporalCelebration(d, keys) {
+      const weekday = WEEKDAYS[weekdayOf(d)];
+      const isSunday = weekdayOf(d) === 0;
+      const sunday = { rank: 'Sunday', precedence: PRECEDENCE.SUNDAY };
+      const principalSunday = { rank: 'Sunday', precedence: PRECEDENCE.PRINCIPAL };
+      const weekdayRank = { rank: 'Ferial', precedence: PRECEDENCE.WEEKDAY };
+      const privileged = { rank: 'Privileged Weekday', precedence: PRECEDENCE.PRIVILEGED_WEEKDAY };
+      const principalWeekday = { rank: 'Privileged Weekday', precedence: PRECEDENCE.PRINCIPAL };
+
+      if (d <= keys.baptismOfTheLord) {
+        const date = fromDayNumber(d);
+        let day;
+        if (d > keys.epiphany) {
+          day = { name: `${weekday} after Epiphany`, ...weekdayRank };
+        } else if (isSunday) {
+          day = { name: 'Second Sunday after Christmas', ...sunday };
+        } else {
+          day = { name: 'Christmas Weekday', ...weekdayRank };
+        }
+        const christmasSunday = sundayOnOrBefore(dayNumberOf(date.getFullYear() - 1, 12, 25));
+        return { season: 'Christmas', week: Math.floor((d - christmasSunday) / 7) + 1, ...day };
+      }
+
+      if (d < keys.ashWednesday) {
+        const week = Math.floor((d - sundayOnOrBefore(keys.baptismOfTheLord)) / 7) + 1;
+        return LiturgicalCalendar.ordinaryTimeDay(week, weekday, isSunday);
+      }
+
+      if (d < keys.holyThursday) {
+        const firstSunday = keys.ashWednesday + 4;
+        if (d === keys.ashWednesday) {
+          return { season: 'Lent', week: 0, name: 'Ash Wednesday', ...principalWeekday };
+        }
+        if (d < firstSunday) {
+          return { season: 'Lent', week: 0, name: `${weekday} after Ash Wednesday`, ...privileged };
+        }
+        const week = Math.floor((d - firstSunday) / 7) + 1;
+        if (d === keys.palmSunday) {
+          return { season: 'Lent', week, name: 'Palm Sunday of the Passion of the Lord', ...principalSunday, color: 'red' };
+        }
+        if (d > keys.palmSunday) {
+          return { season: 'Lent', week, name: `${weekday} of Holy Week`, ...principalWeekday };
+        }
+        if (isSunday) {
+          // Laetare Sunday
+          const color = week === 4 ? 'rose' : undefined;
+          return { season: 'Lent', week, name: `${ORDINALS[week]} Sunday of Lent`, ...principalSunday, color };
+        }
+        return { season: 'Lent', week, name: `${weekday} of the ${ORDINALS[week]} Week of Lent`, ...privileged };
+      }
+
+      if (d < keys.easter) {
+        const names = {
+          [keys.holyThursday]: 'Holy Thursday',
+          [keys.goodFriday]: 'Friday of the Passion of the Lord (Good Friday)',
+          [keys.holySaturday]: 'Holy Saturday'
+        };
+        // Holy Saturday's only Mass is the Easter Vigil
+        const color = d === keys.goodFriday ? 'red' : 'white';
+        return { season: 'Triduum', week: null, name: names[d], rank: 'Triduum', precedence: PRECEDENCE.TRIDUUM, color };
+      }
+
+      if (d <= keys.pentecost) {
+        const week = Math.floor((d - keys.easter) / 7) + 1;
+        let day;
+        if (d === keys.easter) {
+          day = { name: 'Easter Sunday of the Resurrection of the Lord', rank: 'Solemnity', precedence: PRECEDENCE.TRIDUUM };
+        } else if (d === keys.pentecost) {
+          day = { name: 'Pentecost Sunday', rank: 'Solemnity', precedence: PRECEDENCE.PRINCIPAL, color: 'red' };
+        } else if (d === keys.divineMercySunday) {
+          day = { name: 'Second Sunday of Easter (or of Divine Mercy)', ...principalSunday };
+        } else if (d < keys.divineMercySunday) {
+          day = { name: `${weekday} within the Octave of Easter`, rank: 'Octave Day', precedence: PRECEDENCE.PRINCIPAL };
+        } else if (isSunday) {
+          day = { name: `${ORDINALS[week]} Sunday of Easter`, ...principalSunday };
+        } else {
+          day = { name: `${weekday} of the ${ORDINALS[week]} Week of Easter`, ...weekdayRank };
+        }
+        return { season: 'Easter', week, ...day };
+      }
+
+      if (d < keys.firstSundayOfAdvent) {
+        const week = 35 - (keys.firstSundayOfAdvent - sundayOnOrBefore(d)) / 7;
+        return LiturgicalCalendar.ordinaryTimeDay(week, weekday, isSunday);
+      }
+
+      if (d < keys.christmas) {
+        const week = Math.floor((d - keys.firstSundayOfAdvent) / 7) + 1;
+        const date = fromDayNumber(d);
+        let day;
+        if (isSunday) {
+          // Gaudete Sunday is the third
+          day = { name: `${ORDINALS[week]} Sunday of Advent`, ...principalSunday, color: week === 3 ? 'rose' : undefined };
+        } else if (date.getDate() >= 17) {
+          day = { name: `${MONTHS[date.getMonth()]} ${date.getDate()}`, ...privileged };
+        } else {
+          day = { name: `${weekday} of the ${ORDINALS[week]} Week of Advent`, ...weekdayRank };
+        }
+        return { season: 'Advent', week, ...day };
+      }
+
+      const week = Math.floor((d - sundayOnOrBefore(keys.christmas)) / 7) + 1;
+      const octaveDay = d - keys.christmas + 1;
+      return {
+        season: 'Christmas',
+        week,
+        name: `The ${ORDINALS[octaveDay]} Day within the Octave of Christmas`,
+        rank: 'Octave Day',
+        precedence: PRECEDENCE.PRIVILEGED_WEEKDAY
+      };
+    }
+
+    static ordinaryTimeDay(week, weekday, isSunday) {
+      if (isSunday) {
+        return {
+          season: 'Ordinary Time',
+          week,
+          name: `${ORDINALS[week]} Sunday in Ordinary Time`,
+          rank: 'Sunday',
+          precedence: PRECEDENCE.SUNDAY
+        };
+      }
+      return {
+        season: 'Ordinary Time',
+        week,
+        name: `${weekday} of the ${ORDINALS[week]} Week in Ordinary Time`,
+        rank: 'Ferial',
+        precedence: PRECEDENCE.WEEKDAY
+      };
+    }
+
+    /**
+     * Finds which of a day's celebrations a scraped title refers to
+     * @param {string} title - Title such as "Memorial of Saint Agnes, Virgin and Martyr"
+     * @param {Object} day - Day from getDay()
+     * @returns {Object|null} { name, rank, precedence, color } or null if nothing matches
+     */
+    static matchTitle(title, day) {
+      const words = new Set(titleWords(title || ''));
+      const candidates = [
+        { name: day.title, rank: day.rank, precedence: day.precedence, color: day.color },
+        ...day.optionalMemorials
+      ];
+      return candidates.find((celebration) => {
+        const required = titleWords(celebration.name);
+        return required.length > 0 && required.every(word => words.has(word));
+      }) || null;
+    }
+  }
+
+  LiturgicalCalendar.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+  // Color of the days of each season that have none of their own
+  LiturgicalCalendar.SEASON_COLORS = {
+    Advent: 'violet',
+    Christmas: 'white',
+    'Ordinary Time': 'green',
+    Lent: 'violet',
+    Triduum: 'white',
+    Easter: 'white'
+  };
+  LiturgicalCalendar.PRECEDENCE = PRECEDENCE;
+  LiturgicalCalendar.SANCTORAL = SANCTORAL;
+
+  // Export for Node.js/CommonJS environments, or as a browser global
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LiturgicalCalendar;
+  } else {
+    root.LiturgicalCalendar = LiturgicalCalendar;
+  }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,141 @@
+/**
+ * Locales
+ * Names of liturgical seasons and ranks in other languages, and dates
+ * formatted for a locale. The calendar and parsed readings always use the
+ * English names as keys ("Ordinary Time", "Optional Memorial"); these tables
+ * only change what is shown.
+ */
+
+(function (root) {
+  const LOCALES = {
+    en: {
+      seasons: {
+        Advent: 'Advent',
+        Christmas: 'Christmas',
+        Lent: 'Lent',
+        Triduum: 'Triduum',
+        Easter: 'Easter',
+        'Ordinary Time': 'Ordinary Time'
+      },
+      ranks: {
+        Solemnity: 'Solemnity',
+        Feast: 'Feast',
+        Memorial: 'Memorial',
+        'Optional Memorial': 'Optional Memorial',
+        Sunday: 'Sunday',
+        Triduum: 'Triduum',
+        'Privileged Weekday': 'Privileged Weekday',
+        'Octave Day': 'Octave Day',
+        Ferial: 'Ferial'
+      }
+    },
+    es: {
+      seasons: {
+        Advent: 'Adviento',
+        Christmas: 'Navidad',
+        Lent: 'Cuaresma',
+        Triduum: 'Triduo Pascual',
+        Easter: 'Pascua',
+        'Ordinary Time': 'Tiempo Ordinario'
+      },
+      ranks: {
+        Solemnity: 'Solemnidad',
+        Feast: 'Fiesta',
+        Memorial: 'Memoria obligatoria',
+        'Optional Memorial': 'Memoria libre',
+        Sunday: 'Domingo',
+        Triduum: 'Triduo Pascual',
+        'Privileged Weekday': 'Feria privilegiada',
+        'Octave Day': 'Día de la octava',
+        Ferial: 'Feria'
+      }
+    },
+    fr: {
+      seasons: {
+        Advent: 'Avent',
+        Christmas: 'Temps de Noël',
+        Lent: 'Carême',
+        Triduum: 'Triduum pascal',
+        Easter: 'Temps pascal',
+        'Ordinary Time': 'Temps ordinaire'
+      },
+      ranks: {
+        Solemnity: 'Solennité',
+        Feast: 'Fête',
+        Memorial: 'Mémoire obligatoire',
+        'Optional Memorial': 'Mémoire facultative',
+        Sunday: 'Dimanche',
+        Triduum: 'Triduum pascal',
+        'Privileged Weekday': 'Férie privilégiée',
+        'Octave Day': 'Jour dans l’octave',
+        Ferial: 'Férie'
+      }
+    }
+  };
+
+  class Locales {
+    /**
+     * Finds the table for a locale, trying the full tag ("es-MX") and then its language ("es")
+     * @param {string} [locale='en-US'] - BCP 47 language tag
+     * @returns {Object} { seasons, ranks }; English when the language is unknown
+     */
+    static get(locale = 'en-US') {
+      return LOCALES[locale] || LOCALES[locale.split('-')[0].toLowerCase()] || LOCALES.en;
+    }
+
+    /**
+     * Adds or extends the names for a locale
+     * @param {string} locale - Language ("pt") or full tag ("pt-BR")
+     * @param {Object} names - { seasons, ranks }, keyed by the English names; missing names fall back to English
+     */
+    static register(locale, names) {
+      const current = LOCALES[locale] || { seasons: {}, ranks: {} };
+      LOCALES[locale] = {
+        seasons: { ...current.seasons, ...names.seasons },
+        ranks: { ...current.ranks, ...names.ranks }
+      };
+    }
+
+    /**
+     * @param {string} season - e.g. "Ordinary Time"
+     * @param {string} [locale='en-US'] - BCP 47 language tag
+     * @returns {string} The season's name, e.g. "Tiempo Ordinario"
+     */
+    static seasonName(season, locale) {
+      return Locales.get(locale).seasons[season] || LOCALES.en.seasons[season] || season;
+    }
+
+    /**
+     * @param {string} rank - e.g. "Optional Memorial"
+     * @param {string} [locale='en-US'] - BCP 47 language tag
+     * @returns {string} The rank's name, e.g. "Memoria libre"
+     */
+    static rankName(rank, locale) {
+      return Locales.get(locale).ranks[rank] || LOCALES.en.ranks[rank] || rank;
+    }
+
+    /**
+     * Formats a date the way displayDate shows it
+     * @param {Date} date - The date
+     * @param {string} [locale='en-US'] - BCP 47 language tag
+     * @returns {string} e.g. "December 15, 2025" or "15 de diciembre de 2025"
+     */
+    static formatDate(date, locale = 'en-US') {
+      return date.toLocaleDateString(locale, { year: 'numeric', month: 'long', day: 'numeric' });
+    }
+
+    /**
+     * @returns {string[]} Locales with names of their own
+     */
+    static list() {
+      return Object.keys(LOCALES);
+    }
+  }
+
+  // Export for Node.js/CommonJS environments, or as a browser global
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Locales;
+  } else {
+    root.Locales = Locales;
+  }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,142 @@
+/**
+ * Readings Diff
+ * Compares two readings objects for the same date, e.g. a cached copy and a
+ * fresh fetch, to find corrections USCCB made after publishing (see
+ * CathReadings#revalidate). Readings are matched by Mass, name and position,
+ * and alternatives ("Or") are compared with the reading they belong to.
+ */
+
+(function (root) {
+  // Top-level fields taken from the page rather than computed from the calendar
+  const FIELDS = ['title', 'lectionary'];
+
+  /**
+   * Flattens a day into one entry per text: each reading and each of its
+   * alternatives, on every Mass
+   * @param {Object|null} day - Readings object from getReadings
+   * @returns {Map<string, Object>} Key -> { mass, name, option, reference, text }
+   */
+  function flatten(day) {
+    const entries = new Map();
+    if (!day) return entries;
+    const masses = day.masses && day.masses.some(mass => mass.readings) ? day.masses : [{ name: null, readings: day.readings }];
+    masses.forEach((mass) => {
+      const seen = {};
+      (mass.readings || []).forEach((reading) => {
+        // The same name can appear twice, e.g. two "Reading 1" blocks on vigils
+        const occurrence = seen[reading.name] = (seen[reading.name] || 0) + 1;
+        const texts = [reading, ...(reading.options || [])];
+        texts.forEach((text, option) => {
+          entries.set(`${mass.name}|${reading.name}|${occurrence}|${option}`, {
+            mass: mass.name || null,
+            name: reading.name,
+            option,
+            reference: text.reference || '',
+            text: text.text || ''
+          });
+        });
+      });
+    });
+    return entries;
+  }
+
+  function describe(entry) {
+    return { mass: entry.mass, name: entry.name, option: entry.option, reference: entry.reference };
+  }
+
+  class ReadingsDiff {
+    /**
+     * Compares two versions of a day's readings
+     * @param {Object|null} before - The older readings, e.g. from the cache; null counts every reading as added
+     * @param {Object} after - The newer readings
+     * @returns {Object} {
+     *   changed,      // true if anything below is non-empty
+     *   fields,       // [{ field, before, after }] for title and lectionary
+     *   added,        // [{ mass, name, option, reference }] readings only in after
+     *   removed,      // [{ mass, name, option, reference }] readings only in before
+     *   references,   // [{ mass, name, option, before, after }] changed references
+     *   texts         // [{ mass, name, option, lines }] changed texts, see diffLines
+     * }
+     * mass is null on single-Mass days; option is 0 for a reading and 1, 2... for its alternatives.
+     */
+    static compare(before, after) {
+      const diff = { changed: false, fields: [], added: [], removed: [], references: [], texts: [] };
+
+      if (before) {
+        FIELDS.forEach((field) => {
+          if ((before[field] || '') !== (after[field] || '')) {
+            diff.fields.push({ field, before: before[field], after: after[field] });
+          }
+        });
+      }
+
+      const oldEntries = flatten(before);
+      const newEntries = flatten(after);
+      newEntries.forEach((entry, key) => {
+        const old = oldEntries.get(key);
+        if (!old) {
+          diff.added.push(describe(entry));
+          return;
+        }
+        const where = { mass: entry.mass, name: entry.name, option: entry.option };
+        if (old.reference !== entry.reference) {
+          diff.references.push({ ...where, before: old.reference, after: entry.reference });
+        }
+        if (old.text !== entry.text) {
+          diff.texts.push({ ...where, lines: ReadingsDiff.diffLines(old.text, entry.text) });
+        }
+      });
+      oldEntries.forEach((entry, key) => {
+        if (!newEntries.has(key)) diff.removed.push(describe(entry));
+      });
+
+      diff.changed = ['fields', 'added', 'removed', 'references', 'texts'].some(list => diff[list].length > 0);
+      return diff;
+    }
+
+    /**
+     * Finds the lines that differ between two texts, using the longest common subsequence
+     * @param {string} before - The older text
+     * @param {string} after - The newer text
+     * @returns {Object[]} [{ type: 'removed'|'added', line, number }] in text order, where number is
+     *   the 1-based line number in the text the line comes from
+     */
+    static diffLines(before, after) {
+      const a = before ? before.split('\n') : [];
+      const b = after ? after.split('\n') : [];
+      // common[i][j] is the length of the longest common subsequence of a[i..] and b[j..]
+      const common = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+      for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+          common[i][j] = a[i] === b[j] ? common[i + 1][j + 1] + 1 : Math.max(common[i + 1][j], common[i][j + 1]);
+        }
+      }
+
+      const lines = [];
+      let i = 0;
+      let j = 0;
+      while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+          i++;
+          j++;
+        } else if (j >= b.length || (i < a.length && common[i + 1][j] >= common[i][j + 1])) {
+          lines.push({ type: 'removed', line: a[i], number: i + 1 });
+          i++;
+        } else {
+          lines.push({ type: 'added', line: b[j], number: j + 1 });
+          j++;
+        }
+      }
+      return lines;
+    }
+  }
+
+  ReadingsDiff.FIELDS = FIELDS;
+
+  // Export for Node.js/CommonJS environments, or as a browser global
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReadingsDiff;
+  } else {
+    root.ReadingsDiff = ReadingsDiff;
+  }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,242 @@
+/**
+ * Readings Worker
+ * Service worker companion for pages that must keep showing readings through
+ * network outages, such as a kiosk display. The worker:
+ *
+ *   - pins the next `days` days (see CathReadings#pin) in an IndexedDB cache
+ *     shared with the page, and unpins days gone by
+ *   - refreshes them when the worker starts, when the browser reports that the
+ *     connection is back (Background Sync), on Periodic Background Sync and
+ *     when the page posts { type: 'cath-readings-refresh' }
+ *   - answers GET <scope>readings/today and GET <scope>readings/:date with the
+ *     readings JSON, as lib/server.js does, from the cache when offline
+ *   - keeps the page's own files (`shell`) for offline use
+ *
+ * A service worker script loads it after the library:
+ *
+ *   importScripts('lib/liturgicalCalendar.js', ..., 'cathReadings.js', 'lib/readingsWorker.js');
+ *   ReadingsWorker.install({ days: 30, shell: ['./', 'kiosk.css', 'kiosk.js'] });
+ *
+ * The page then uses the same store, so getReadings finds the pinned days:
+ *
+ *   new CathReadings({ persistentCache: new CathReadings.CacheStores.IndexedDBStore() })
+ */
+
+// CathReadings is passed in because cathReadings.js declares it as a global
+// binding rather than a property of self
+(function (root, CathReadings) {
+  const SYNC_TAG = 'cath-readings-refresh';
+
+  // Error classes mapped to HTTP statuses, as in lib/server.js
+  function statusFor(error) {
+    if (error instanceof CathReadings.NotFoundError) return 404;
+    if (error instanceof CathReadings.TimeoutError) return 504;
+    if (error instanceof CathReadings.NetworkError || error instanceof CathReadings.ParseError) return 502;
+    return 500;
+  }
+
+  function jsonResponse(status, body) {
+    return new Response(JSON.stringify(body), {
+      status,
+      headers: { 'Content-Type': 'application/json; charset=utf-8' }
+    });
+  }
+
+  class ReadingsWorker {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.scope=self] - The ServiceWorkerGlobalScope
+     * @param {CathReadings} [options.api] - Instance to use (default: one caching in an IndexedDBStore,
+     *   built with the source, locale, proxies and timeZone options)
+     * @param {number} [options.days=30] - Days to keep pinned, starting today
+     * @param {string[]} [options.shell=[]] - URLs of the page's files to keep for offline use
+     * @param {string} [options.cacheName='cath-readings-shell'] - Cache Storage name for the shell
+     * @param {string} [options.route='readings/'] - Path, relative to the worker's scope, of the readings routes
+     * @param {number} [options.refreshAfter=12 hours] - Ms after which a pinned day is fetched again on refresh
+     */
+    constructor(options = {}) {
+      this.scope = options.scope || root;
+      this.api = options.api || new CathReadings({
+        persistentCache: new CathReadings.CacheStores.IndexedDBStore(),
+        source: options.source,
+        locale: options.locale,
+        proxies: options.proxies,
+        timeZone: options.timeZone
+      });
+      this.days = options.days ?? 30;
+      this.shell = options.shell || [];
+      this.cacheName = options.cacheName || 'cath-readings-shell';
+      this.route = new URL(options.route || 'readings/', this.scope.registration.scope).pathname;
+      this.refreshAfter = options.refreshAfter ?? 12 * 60 * 60 * 1000;
+      this.refreshing = null;
+    }
+
+    /**
+     * Creates a worker and registers its event listeners; call it from the
+     * service worker script's top level
+     * @param {Object} [options] - See the constructor
+     * @returns {ReadingsWorker} The worker
+     */
+    static install(options = {}) {
+      return new ReadingsWorker(options).listen();
+    }
+
+    /**
+     * Registers the install, activate, fetch, sync, periodicsync and message listeners
+     * @returns {ReadingsWorker} this
+     */
+    listen() {
+      const scope = this.scope;
+      scope.addEventListener('install', (event) => {
+        event.waitUntil(this.cacheShell().then(() => scope.skipWaiting && scope.skipWaiting()));
+      });
+      scope.addEventListener('activate', (event) => {
+        event.waitUntil(Promise.resolve(scope.clients && scope.clients.claim()));
+        // Not waited for: an offline start must not keep the worker from activating
+        this.refresh().catch(() => this.requestSync());
+      });
+      scope.addEventListener('fetch', (event) => {
+        const response = this.handleFetch(event.request);
+        if (response) event.respondWith(response);
+      });
+      const onSync = (event) => {
+        if (event.tag === SYNC_TAG) event.waitUntil(this.refresh());
+      };
+      scope.addEventListener('sync', onSync);
+      scope.addEventListener('periodicsync', onSync);
+      scope.addEventListener('message', (event) => {
+        if (event.data && event.data.type === SYNC_TAG) event.waitUntil(this.refresh());
+      });
+      return this;
+    }
+
+    /**
+     * Stores the shell files in Cache Storage
+     * @returns {Promise<void>}
+     */
+    async cacheShell() {
+      if (!this.shell.length) return;
+      const cache = await this.scope.caches.open(this.cacheName);
+      await cache.addAll(this.shell);
+    }
+
+    /**
+     * Pins the coming days, unpins days gone by and refreshes pinned days
+     * older than refreshAfter. When anything fails, a Background Sync is
+     * requested so the refresh is tried again once the browser is back online.
+     * Calls made while a refresh runs share it.
+     * @returns {Promise<Object>} { pinned, failed, refreshed } from CathReadings#pin and #refreshPinned
+     */
+    refresh() {
+      if (!this.refreshing) {
+        this.refreshing = this.runRefresh().finally(() => {
+          this.refreshing = null;
+        });
+      }
+      return this.refreshing;
+    }
+
+    async runRefresh() {
+      const today = CathReadings.today(this.api.timeZone);
+      const last = new Date(today.getFullYear(), today.getMonth(), today.getDate() + this.days - 1);
+      const todayIso = CathReadings.formatIsoDate(today);
+      for (const date of await this.api.getPinned()) {
+        if (date < todayIso) await this.api.unpin(date);
+      }
+
+      const { pinned, failed } = await this.api.pin(today, last);
+      const refreshed = await this.api.refreshPinned({ olderThan: this.refreshAfter });
+      if (failed.some(day => !(day.error instanceof CathReadings.NotFoundError)) || refreshed.some(day => day.error)) {
+        await this.requestSync();
+      }
+      return { pinned, failed, refreshed };
+    }
+
+    /**
+     * Asks the browser to fire "sync" once it is online, where Background Sync is supported
+     * @returns {Promise<void>}
+     */
+    async requestSync() {
+      const registration = this.scope.registration;
+      if (!registration || !registration.sync) return;
+      try {
+        await registration.sync.register(SYNC_TAG);
+      } catch (_) {
+        // Background Sync can be refused, e.g. without permission
+      }
+    }
+
+    /**
+     * Picks the response for a request the page makes
+     * @param {Request} request - The request
+     * @returns {Promise<Response>|null} The response, or null to leave the request to the browser
+     */
+    handleFetch(request) {
+      if (request.method !== 'GET') return null;
+      const url = new URL(request.url);
+      if (url.origin === new URL(this.scope.registration.scope).origin && url.pathname.startsWith(this.route)) {
+        return this.serveReadings(url.pathname.slice(this.route.length));
+      }
+      const path = `${url.origin}${url.pathname}`;
+      if (request.mode === 'navigate' || this.shell.some(file => new URL(file, this.scope.registration.scope).href === path)) {
+        return this.serveShell(request);
+      }
+      return null;
+    }
+
+    /**
+     * Answers a readings route from the cache, or from USCCB for days not cached
+     * @param {string} segment - The path after the route, URL-encoded: "today", YYYY-MM-DD, MMDDYYYY or MMDDYY
+     * @returns {Promise<Response>} The readings JSON, or { error: { name, message, date } }
+     */
+    async serveReadings(segment) {
+      let value = segment;
+      let date;
+      try {
+        // Malformed escapes such as %E0 throw URIError, answered as an invalid date
+        value = decodeURIComponent(segment);
+        date = value === 'today' ? CathReadings.today(this.api.timeZone) : CathReadings.parseDateString(value);
+      } catch (_) {
+        return jsonResponse(400, {
+          error: { name: 'HttpError', message: `Invalid date: ${value} (expected YYYY-MM-DD, MMDDYYYY or MMDDYY)` }
+        });
+      }
+      try {
+        return jsonResponse(200, await this.api.getReadings(date));
+      } catch (error) {
+        if (error instanceof CathReadings.NetworkError) await this.requestSync();
+        return jsonResponse(statusFor(error), { error: { name: error.name, message: error.message, date: error.date || undefined } });
+      }
+    }
+
+    /**
+     * Serves a shell file from the network, keeping a copy, or from the copy when offline
+     * @param {Request} request - The request
+     * @returns {Promise<Response>} The response
+     */
+    async serveShell(request) {
+      const cache = await this.scope.caches.open(this.cacheName);
+      try {
+        const response = await this.scope.fetch(request);
+        if (response.ok) await cache.put(request, response.clone());
+        return response;
+      } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        throw error;
+      }
+    }
+  }
+
+  ReadingsWorker.SYNC_TAG = SYNC_TAG;
+
+  // Export for Node.js/CommonJS environments, or as a browser global
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReadingsWorker;
+  } else {
+    root.ReadingsWorker = ReadingsWorker;
+  }
+})(
+  typeof self !== 'undefined' ? self : this,
+  typeof module !== 'undefined' && module.exports ? require('../cathReadings.js') : CathReadings
+);
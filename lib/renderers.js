@@ -0,0 +1,280 @@
+/**
+ * Renderers
+ * Turns readings objects (from getReadings, parseReadings or getDemoData)
+ * into Markdown, accessible HTML, plain text and iCalendar feeds.
+ * Reading texts keep USCCB's line breaks: each line is a line of verse,
+ * and blank lines separate paragraphs.
+ */
+
+(function (root) {
+  const USCCB_READINGS_URL = 'https://bible.usccb.org/bible/readings';
+
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  function escapeMarkdown(line) {
+    return line
+      .replace(/([\\`*_])/g, '\\$1')
+      // Characters that would start a heading, quote, list or numbered list
+      .replace(/^(\s*)([#>+-])/, '$1\\$2')
+      .replace(/^(\s*\d+)\./, '$1\\.');
+  }
+
+  function paragraphsOf(text) {
+    return (text || '').split('\n\n').filter(Boolean).map(paragraph => paragraph.split('\n'));
+  }
+
+  /**
+   * The reading's reference, followed by the short form's when there is one
+   * @param {Object} reading - A reading
+   * @returns {string} e.g. "John 11:1-45 or John 11:3-7, 17, 20-27, 33b-45"
+   */
+  function referenceLine(reading) {
+    const short = reading.shortForm && reading.shortForm.reference;
+    return short ? `${reading.reference} or ${short}` : reading.reference;
+  }
+
+  function dayLine(day) {
+    return [day.displayDate, day.season, day.rank, day.lectionary ? `Lectionary ${day.lectionary}` : '']
+      .filter(Boolean)
+      .join(' · ');
+  }
+
+  /**
+   * Wraps one line of text to a width, indenting continuation lines so a
+   * wrapped line of verse still reads as one line
+   * @param {string} line - The line
+   * @param {number} width - Maximum width in characters
+   * @returns {string[]} The wrapped lines
+   */
+  function wrapLine(line, width) {
+    if (!width || line.length <= width) return [line];
+    const indent = '  ';
+    const lines = [];
+    let current = '';
+    line.split(' ').forEach((word) => {
+      const prefix = lines.length ? indent : '';
+      if (current && prefix.length + current.length + 1 + word.length > width) {
+        lines.push(prefix + current);
+        current = word;
+      } else {
+        current = current ? `${current} ${word}` : word;
+      }
+    });
+    lines.push((lines.length ? indent : '') + current);
+    return lines;
+  }
+
+  // iCalendar TEXT escaping (RFC 5545 §3.3.11)
+  function escapeICalendar(text) {
+    return String(text)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  function utf8Length(char) {
+    const code = char.codePointAt(0);
+    return code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+  }
+
+  // Folds a content line to 75 octets, continuation lines starting with a space (RFC 5545 §3.1)
+  function foldICalendarLine(line) {
+    const folded = [];
+    let current = '';
+    let octets = 0;
+    for (const char of line) {
+      const size = utf8Length(char);
+      if (octets + size > 75) {
+        folded.push(current);
+        current = ' ';
+        octets = 1;
+      }
+      current += char;
+      octets += size;
+    }
+    folded.push(current);
+    return folded.join('\r\n');
+  }
+
+  function icalDate(iso) {
+    return iso.replace(/-/g, '');
+  }
+
+  function icalTimestamp(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  class Renderers {
+    /**
+     * Renders a day's readings as Markdown. Lines of verse end with two
+     * spaces so they stay on their own line.
+     * @param {Object} day - Readings object
+     * @param {Object} [options]
+     * @param {number} [options.headingLevel=1] - Level of the title heading; readings are one level below
+     * @param {boolean} [options.includeText=true] - False for references only
+     * @returns {string} Markdown
+     */
+    static toMarkdown(day, options = {}) {
+      const level = options.headingLevel || 1;
+      const includeText = options.includeText !== false;
+      const parts = [`${'#'.repeat(level)} ${escapeMarkdown(day.title)}`, `*${dayLine(day)}*`];
+
+      day.readings.forEach((reading) => {
+        parts.push(`${'#'.repeat(level + 1)} ${escapeMarkdown(reading.name)}`, `*${escapeMarkdown(referenceLine(reading))}*`);
+        if (!includeText) return;
+        paragraphsOf(reading.text).forEach((lines) => {
+          parts.push(lines.map((line) => {
+            const refrain = /^R\.\s*(.*)$/.exec(line);
+            return refrain ? `**R.** ${escapeMarkdown(refrain[1])}` : escapeMarkdown(line);
+          }).join('  \n'));
+        });
+      });
+
+      return `${parts.join('\n\n')}\n`;
+    }
+
+    /**
+     * Renders a day's readings as semantic HTML: an <article> with a
+     * <section> per reading, each labelled by its heading, verse lines
+     * separated by <br> and refrains marked up.
+     * @param {Object} day - Readings object
+     * @param {Object} [options]
+     * @param {number} [options.headingLevel=1] - Level of the title heading; readings are one level below
+     * @param {boolean} [options.includeText=true] - False for references only
+     * @returns {string} HTML fragment
+     */
+    static toHtml(day, options = {}) {
+      const level = Math.min(options.headingLevel || 1, 5);
+      const includeText = options.includeText !== false;
+      const id = `readings-${day.date}`;
+
+      const sections = day.readings.map((reading, i) => {
+        const headingId = `${id}-${i + 1}`;
+        const reference = escapeHtml(referenceLine(reading));
+        const cite = reading.referenceUrl
+          ? `<a href="${escapeHtml(reading.referenceUrl)}"><cite>${reference}</cite></a>`
+          : `<cite>${reference}</cite>`;
+        const text = includeText
+          ? paragraphsOf(reading.text).map(lines => `      <p>${lines.map((line) => {
+            const refrain = /^R\.\s*(.*)$/.exec(line);
+            return refrain
+              ? `<strong class="response"><abbr title="Response">R.</abbr> ${escapeHtml(refrain[1])}</strong>`
+              : escapeHtml(line);
+          }).join('<br>\n        ')}</p>`).join('\n')
+          : '';
+        return [
+          `  <section class="reading" aria-labelledby="${headingId}">`,
+          `    <h${level + 1} id="${headingId}">${escapeHtml(reading.name)}</h${level + 1}>`,
+          `    <p class="reference">${cite}</p>`,
+          text ? `    <div class="text">\n${text}\n    </div>` : '',
+          '  </section>'
+        ].filter(Boolean).join('\n');
+      });
+
+      return [
+        `<article class="readings" aria-labelledby="${id}">`,
+        '  <header>',
+        `    <h${level} id="${id}">${escapeHtml(day.title)}</h${level}>`,
+        `    <p><time datetime="${escapeHtml(day.date)}">${escapeHtml(day.displayDate)}</time> · ${escapeHtml(
+          [day.season, day.rank, day.lectionary ? `Lectionary ${day.lectionary}` : ''].filter(Boolean).join(' · ')
+        )}</p>`,
+        '  </header>',
+        ...sections,
+        '</article>'
+      ].join('\n') + '\n';
+    }
+
+    /**
+     * Renders a day's readings as plain text wrapped to a width
+     * @param {Object} day - Readings object
+     * @param {Object} [options]
+     * @param {number} [options.width=80] - Maximum line width; 0 to disable wrapping
+     * @param {boolean} [options.includeText=true] - False for references only
+     * @returns {string} Plain text
+     */
+    static toText(day, options = {}) {
+      const width = options.width ?? 80;
+      const includeText = options.includeText !== false;
+      const wrap = text => text.split('\n').flatMap(line => wrapLine(line, width)).join('\n');
+      const header = [wrap(day.title), wrap(dayLine(day))].join('\n');
+
+      if (!includeText) {
+        const references = day.readings.map(reading => wrap(`${reading.name}: ${referenceLine(reading)}`));
+        return `${[header, references.join('\n')].join('\n\n')}\n`;
+      }
+
+      const parts = [header];
+      day.readings.forEach((reading) => {
+        parts.push(wrap(`${reading.name.toUpperCase()} - ${referenceLine(reading)}`));
+        paragraphsOf(reading.text).forEach(lines => parts.push(wrap(lines.join('\n'))));
+      });
+      return `${parts.join('\n\n')}\n`;
+    }
+
+    /**
+     * Renders an iCalendar feed with one all-day event per date
+     * @param {Object|Object[]} days - Readings object(s)
+     * @param {Object} [options]
+     * @param {string} [options.name='Daily Readings'] - Calendar name
+     * @param {string} [options.baseUrl] - USCCB readings URL the events link to
+     * @param {Date} [options.timestamp=new Date()] - DTSTAMP of the events
+     * @returns {string} iCalendar text with CRLF line endings
+     */
+    static toICalendar(days, options = {}) {
+      days = Array.isArray(days) ? days : [days];
+      const baseUrl = options.baseUrl || USCCB_READINGS_URL;
+      const stamp = icalTimestamp(options.timestamp || new Date());
+
+      const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//CathReadingsJS//Daily Readings//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeICalendar(options.name || 'Daily Readings')}`
+      ];
+
+      days.forEach((day) => {
+        const [year, month, date] = day.date.split('-').map(Number);
+        const next = new Date(Date.UTC(year, month - 1, date + 1)).toISOString().slice(0, 10);
+        const url = `${baseUrl}/${day.date.slice(5, 7)}${day.date.slice(8, 10)}${day.date.slice(2, 4)}.cfm`;
+        const description = [
+          [day.season, day.rank, day.lectionary ? `Lectionary ${day.lectionary}` : ''].filter(Boolean).join(' · '),
+          day.readings.map(reading => `${reading.name}: ${referenceLine(reading)}`).join('\n'),
+          url
+        ].filter(Boolean).join('\n\n');
+
+        lines.push(
+          'BEGIN:VEVENT',
+          `UID:readings-${day.date}@cath-readings-js`,
+          `DTSTAMP:${stamp}`,
+          `DTSTART;VALUE=DATE:${icalDate(day.date)}`,
+          `DTEND;VALUE=DATE:${icalDate(next)}`,
+          `SUMMARY:${escapeICalendar(day.title)}`,
+          `DESCRIPTION:${escapeICalendar(description)}`,
+          `CATEGORIES:${[day.season, day.rank].filter(Boolean).map(escapeICalendar).join(',')}`,
+          `URL:${url}`,
+          'TRANSP:TRANSPARENT',
+          'END:VEVENT'
+        );
+      });
+
+      lines.push('END:VCALENDAR');
+      return `${lines.map(foldICalendarLine).join('\r\n')}\r\n`;
+    }
+  }
+
+  // Export for Node.js/CommonJS environments, or as a browser global
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Renderers;
+  } else {
+    root.Renderers = Renderers;
+  }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,241 @@
+/**
+ * Server
+ * A small Node.js HTTP server exposing CathReadings as a JSON API, so
+ * browser pages can use it instead of the public CORS proxies.
+ *
+ *   GET /readings/today            Today's readings
+ *   GET /readings/:date            Readings for a date (YYYY-MM-DD, MMDDYYYY or MMDDYY)
+ *   GET /readings?from=&to=        Readings for every date in a range
+ *   GET /season/:date              { date, season }
+ *   GET /rank/:date                { date, rank }
+ *   GET /calendar.ics?from=&to=    iCalendar feed (default: the next 7 days)
+ *   GET /proxy?url=                A USCCB readings page, for the library's proxies option
+ *
+ * Responses carry CORS headers. Readings come from the API's cache when it
+ * has them, so pass a persistent store to keep them between restarts.
+ */
+
+const http = require('http');
+const CathReadings = require('../cathReadings.js');
+
+const DEFAULT_PORT = 8787;
+const MAX_RANGE_DAYS = 62;
+const ICS_DEFAULT_DAYS = 7;
+
+// An error answered with its own status code rather than a CathReadings error mapping
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+/**
+ * Reads a date path segment or query value
+ * @param {string} value - "today", YYYY-MM-DD, MMDDYYYY or MMDDYY
+ * @param {string} [timeZone] - Time zone that decides what "today" is
+ * @returns {Date} The date
+ * @throws {HttpError} 400 for anything else
+ */
+function parseDate(value, timeZone) {
+  if (value === 'today') return CathReadings.today(timeZone);
+  try {
+    return CathReadings.parseDateString(value);
+  } catch (_) {
+    throw new HttpError(400, `Invalid date: ${value} (expected YYYY-MM-DD, MMDDYYYY or MMDDYY)`);
+  }
+}
+
+/**
+ * Parses the target of a request, which may be a path or an absolute URL
+ * @param {string} target - request.url
+ * @returns {URL} The URL
+ * @throws {HttpError} 400 for targets that are not valid URLs, such as "http://[/"
+ */
+function parseRequestUrl(target) {
+  try {
+    return new URL(target, 'http://localhost');
+  } catch (_) {
+    throw new HttpError(400, `Malformed request target: ${target}`);
+  }
+}
+
+/**
+ * Decodes a path segment
+ * @param {string} value - Percent-encoded segment
+ * @returns {string} The decoded segment
+ * @throws {HttpError} 400 for malformed escapes such as "%E0"
+ */
+function decodeSegment(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (_) {
+    throw new HttpError(400, `Malformed path segment: ${value}`);
+  }
+}
+
+/**
+ * Reads the from and to query parameters
+ * @param {URLSearchParams} query - Query of the request
+ * @param {string} [timeZone] - Time zone that decides what "today" is
+ * @param {number} [defaultDays] - Days from today when both are missing; otherwise both are required
+ * @returns {Date[]} [from, to]
+ * @throws {HttpError} 400 for missing, invalid or overlong ranges
+ */
+function parseRange(query, timeZone, defaultDays) {
+  if (!query.has('from') && !query.has('to') && defaultDays) {
+    const today = CathReadings.today(timeZone);
+    return [today, new Date(today.getFullYear(), today.getMonth(), today.getDate() + defaultDays - 1)];
+  }
+  if (!query.get('from') || !query.get('to')) {
+    throw new HttpError(400, 'Both from and to are required');
+  }
+  const from = parseDate(query.get('from'), timeZone);
+  const to = parseDate(query.get('to'), timeZone);
+  if (to < from) {
+    throw new HttpError(400, 'to must not be before from');
+  }
+  if (CathReadings.datesInRange(from, to).length > MAX_RANGE_DAYS) {
+    throw new HttpError(400, `Ranges are limited to ${MAX_RANGE_DAYS} days`);
+  }
+  return [from, to];
+}
+
+/**
+ * Maps an error to an HTTP status
+ * @param {Error} error - The error
+ * @returns {number} HTTP status
+ */
+function statusFor(error) {
+  if (error instanceof HttpError) return error.status;
+  if (error instanceof CathReadings.NotFoundError) return 404;
+  if (error instanceof CathReadings.TimeoutError) return 504;
+  // USCCB could not be reached, or sent a page we could not read
+  if (error instanceof CathReadings.NetworkError || error instanceof CathReadings.ParseError) return 502;
+  return 500;
+}
+
+function errorBody(error) {
+  return { error: { name: error.name, message: error.message, date: error.date || undefined } };
+}
+
+/**
+ * Creates a request listener serving the readings API
+ * @param {CathReadings} api - Instance used to fetch readings
+ * @param {Object} [options]
+ * @param {string} [options.cors='*'] - Access-Control-Allow-Origin value; null leaves out the CORS headers
+ * @param {number} [options.maxAge=3600] - Seconds clients may cache readings responses
+ * @returns {Function} (request, response) listener for http.createServer
+ */
+function createHandler(api, options = {}) {
+  const cors = options.cors !== undefined ? options.cors : '*';
+  const maxAge = options.maxAge ?? 3600;
+
+  const send = (request, response, status, body, headers = {}) => {
+    const isText = typeof body === 'string';
+    const payload = isText ? body : JSON.stringify(body);
+    response.writeHead(status, {
+      'Content-Type': isText ? 'text/plain; charset=utf-8' : 'application/json; charset=utf-8',
+      'Content-Length': Buffer.byteLength(payload),
+      ...(cors ? {
+        'Access-Control-Allow-Origin': cors,
+        'Access-Control-Allow-Methods': 'GET, HEAD, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type'
+      } : {}),
+      ...(cors && cors !== '*' ? { Vary: 'Origin' } : {}),
+      ...headers
+    });
+    response.end(request.method === 'HEAD' ? undefined : payload);
+  };
+  const cacheable = { 'Cache-Control': `public, max-age=${maxAge}` };
+
+  const routes = [
+    [/^\/readings\/([^/]+)$/, async ([value]) => [200, await api.getReadings(parseDate(value, api.timeZone)), cacheable]],
+
+    [/^\/readings$/, async (_, query) => {
+      const days = await api.getRange(...parseRange(query, api.timeZone));
+      return [200, days.map(day => ({
+        date: day.date,
+        readings: day.readings,
+        error: day.error && errorBody(day.error).error
+      })), cacheable];
+    }],
+
+    [/^\/(season|rank)\/([^/]+)$/, async ([kind, value]) => {
+      const date = parseDate(value, api.timeZone);
+      const result = kind === 'season' ? await api.getSeason(date) : await api.getRank(date);
+      return [200, { date: CathReadings.formatIsoDate(date), [kind]: result }, cacheable];
+    }],
+
+    [/^\/calendar\.ics$/, async (_, query) => {
+      const days = await api.getRange(...parseRange(query, api.timeZone, ICS_DEFAULT_DAYS));
+      const ics = CathReadings.Renderers.toICalendar(days.filter(day => day.readings).map(day => day.readings), {
+        baseUrl: api.baseUrl
+      });
+      return [200, ics, { ...cacheable, 'Content-Type': 'text/calendar; charset=utf-8' }];
+    }],
+
+    [/^\/proxy$/, async (_, query) => {
+      const url = query.get('url') || '';
+      // Only USCCB readings pages, so the server can't be used as an open proxy
+      if (!url.startsWith(`${api.baseUrl}/`)) {
+        throw new HttpError(400, `url must be a page under ${api.baseUrl}`);
+      }
+      const html = await api.fetchUrl(url);
+      return [200, html, { ...cacheable, 'Content-Type': 'text/html; charset=utf-8' }];
+    }]
+  ];
+
+  return async (request, response) => {
+    if (request.method === 'OPTIONS') {
+      send(request, response, 204, '');
+      return;
+    }
+    if (request.method !== 'GET' && request.method !== 'HEAD') {
+      send(request, response, 405, errorBody(new HttpError(405, `Method not allowed: ${request.method}`)), {
+        Allow: 'GET, HEAD, OPTIONS'
+      });
+      return;
+    }
+    try {
+      const { pathname, searchParams } = parseRequestUrl(request.url);
+      const path = pathname.length > 1 ? pathname.replace(/\/$/, '') : pathname;
+      for (const [pattern, handle] of routes) {
+        const match = pattern.exec(path);
+        if (match) {
+          const [status, body, headers] = await handle(match.slice(1).map(decodeSegment), searchParams);
+          send(request, response, status, body, headers);
+          return;
+        }
+      }
+      throw new HttpError(404, `No route for ${path}`);
+    } catch (error) {
+      send(request, response, statusFor(error), errorBody(error));
+    }
+  };
+}
+
+/**
+ * Creates an HTTP server for the readings API. Call listen() on the result.
+ * @param {Object} [options] - Options for createHandler, plus:
+ * @param {CathReadings} [options.api] - Instance to use (default: one built from the options)
+ * @param {string} [options.cacheFile] - JSON file for a persistent cache, when no api is given
+ * @param {number} [options.timeout] - Per-request timeout, when no api is given
+ * @param {string} [options.timeZone] - Time zone that decides what "today" is, when no api is given
+ * @param {string} [options.source] - Source adapter name, e.g. 'usccb-es', when no api is given
+ * @param {string} [options.locale] - Locale of dates, seasons and ranks, when no api is given
+ * @returns {http.Server} The server
+ */
+function createServer(options = {}) {
+  const api = options.api || new CathReadings({
+    timeout: options.timeout,
+    timeZone: options.timeZone,
+    source: options.source,
+    locale: options.locale,
+    persistentCache: options.cacheFile ? new CathReadings.CacheStores.FileStore({ path: options.cacheFile }) : null
+  });
+  return http.createServer(createHandler(api, options));
+}
+
+module.exports = { createServer, createHandler, HttpError, DEFAULT_PORT };
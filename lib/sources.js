@@ -0,0 +1,114 @@
+/**
+ * Reading Sources
+ * A source adapter tells CathReadings where a day's page lives and how to
+ * parse it. USCCB's English and Spanish sites share one page layout, so both
+ * built-in adapters use the CathReadings parser and differ only in their URLs
+ * and the words the parser looks for (labels).
+ *
+ * An adapter is an object with:
+ *   name     - Unique id, also used to keep its days apart in the cache
+ *   baseUrl  - Where its pages live (the baseUrl option overrides it)
+ *   locale   - Default locale for displayDate, seasonName and rankName
+ *   pageUrl(date, api)      - Optional; URL of a day's page (default: baseUrl/MMDDYY.cfm)
+ *   parse(html, date, api)  - Returns the readings object for a page; pages in
+ *                             USCCB's layout can use api.parseReadings(html, date)
+ *   labels   - Optional; overrides of USCCB_LABELS for api.parseReadings and validate
+ */
+
+(function (root) {
+  // What the parser matches in USCCB's English pages
+  const USCCB_LABELS = {
+    lectionary: /Lectionary:\s*(\d+[A-Z]?)/i, // Captures the number, e.g. 572A
+    or: /^or:?$/i, // A line or paragraph between alternative texts
+    orBlock: /^or\b/i, // A reading heading that introduces an alternative
+    shortForm: /\s+or\s+/i, // Separates the long and short references
+    psalm: /psalm/i,
+    acclamation: /alleluia|acclamation|verse before the gospel/i,
+    alleluia: /alleluia/i, // Tells the Alleluia from the Lenten acclamation
+    gospel: /gospel/i,
+    sequence: /sequence/i,
+    matchTitles: true // Titles are in English, so they can be matched against the calendar
+  };
+
+  const USCCB_SPANISH_LABELS = {
+    lectionary: /Leccionario:\s*(\d+[A-Z]?)/i,
+    or: /^o(?:\s+bien)?:?$/i,
+    orBlock: /^o(?:\s+bien)?\b/i,
+    shortForm: /\s+o(?:\s+bien)?\s+/i,
+    psalm: /salmo/i,
+    acclamation: /aleluya|aclamaci[oó]n|vers[ií]culo antes del evangelio/i,
+    alleluia: /aleluya/i,
+    gospel: /evangelio/i,
+    sequence: /secuencia/i,
+    matchTitles: false
+  };
+
+  const parseUsccb = (html, date, api) => api.parseReadings(html, date);
+
+  const SOURCES = new Map();
+
+  class Sources {
+    /**
+     * Adds a source adapter, replacing any of the same name
+     * @param {Object} adapter - See the top of this file
+     * @returns {Object} The adapter
+     * @throws {TypeError} If the adapter has no name or parse function
+     */
+    static register(adapter) {
+      if (!adapter || !adapter.name || typeof adapter.parse !== 'function') {
+        throw new TypeError('A source adapter needs a name and a parse(html, date, api) function');
+      }
+      SOURCES.set(adapter.name, adapter);
+      return adapter;
+    }
+
+    /**
+     * @param {string} name - e.g. "usccb-es"
+     * @returns {Object|null} The adapter, or null if none is registered under that name
+     */
+    static get(name) {
+      return SOURCES.get(name) || null;
+    }
+
+    /**
+     * @returns {string[]} Names of the registered adapters
+     */
+    static list() {
+      return [...SOURCES.keys()];
+    }
+
+    /**
+     * The parser labels an adapter uses, filled in from USCCB_LABELS
+     * @param {Object|string} [source='usccb'] - Adapter or adapter name
+     * @returns {Object} The labels
+     */
+    static labelsFor(source = 'usccb') {
+      const adapter = typeof source === 'string' ? Sources.get(source) : source;
+      return { ...USCCB_LABELS, ...(adapter && adapter.labels) };
+    }
+  }
+
+  Sources.USCCB_LABELS = USCCB_LABELS;
+
+  Sources.register({
+    name: 'usccb',
+    baseUrl: 'https://bible.usccb.org/bible/readings',
+    locale: 'en-US',
+    parse: parseUsccb
+  });
+
+  Sources.register({
+    name: 'usccb-es',
+    baseUrl: 'https://bible.usccb.org/es/bible/lecturas',
+    locale: 'es-US',
+    labels: USCCB_SPANISH_LABELS,
+    parse: parseUsccb
+  });
+
+  // Export for Node.js/CommonJS environments, or as a browser global
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Sources;
+  } else {
+    root.CathReadingsSources = Sources;
+  }
+})(typeof self !== 'undefined' ? self : this);
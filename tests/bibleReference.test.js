@@ -0,0 +1,98 @@
+/**
+ * Tests for the Bible reference parser
+ * Run with: node tests/bibleReference.test.js
+ */
+
+const BibleReference = require('../lib/bibleReference.js');
+
+// Simple assertion helper
+function assert(condition, message) {
+  if (!condition) {
+    console.error(`❌ FAILED: ${message}`);
+    process.exit(1);
+  } else {
+    console.log(`✅ PASSED: ${message}`);
+  }
+}
+
+// Test 1: Book lookup
+console.log('\n📝 Testing book lookup...\n');
+
+assert(BibleReference.findBook('1 Kgs').osis === '1Kgs', 'NAB abbreviations are recognized');
+assert(BibleReference.findBook('Psalm').usfm === 'PSA', 'Psalm maps to the USFM id PSA');
+assert(BibleReference.findBook('Song of Songs').name === 'Song of Songs', 'Multi-word book names are recognized');
+assert(BibleReference.findBook('Hezekiah') === null, 'Unknown books return null');
+assert(BibleReference.BOOKS.length === 73, 'The Catholic canon has 73 books');
+
+// Test 2: Parsing
+console.log('\n📝 Testing reference parsing...\n');
+
+const psalm = BibleReference.parse('Psalm 25:4-5ab, 6 and 7bc, 8-9');
+assert(psalm.book.name === 'Psalms' && psalm.book.osis === 'Ps', 'The book is normalized');
+assert(psalm.segments.length === 4, '"and" and commas separate segments');
+assert(psalm.segments[0].verseStart === 4 && psalm.segments[0].verseEnd === 5 && psalm.segments[0].verseEndPart === 'ab',
+  'Partial verse letters are kept on the range end');
+assert(psalm.segments[2].verseStart === 7 && psalm.segments[2].verseEnd === 7 && psalm.segments[2].verseStartPart === 'bc',
+  'A single partial verse starts and ends on the same verse');
+assert(psalm.segments.every(segment => segment.chapter === 25), 'Later segments stay in the same chapter');
+
+const servant = BibleReference.parse('Isaiah 52:13—53:12');
+assert(servant.segments[0].chapter === 52 && servant.segments[0].chapterEnd === 53 && servant.segments[0].verseEnd === 12,
+  'Ranges may cross chapters');
+
+const creation = BibleReference.parse('Genesis 1:1—2:2; 22:1-18');
+assert(creation.segments[1].chapter === 22 && creation.segments[1].verseStart === 1, 'Semicolons start a new chapter');
+
+const esther = BibleReference.parse('Esther C:12, 14-16, 23-25');
+assert(esther.segments[0].chapter === 'C' && esther.segments[2].chapter === 'C', 'Lettered chapters of Esther are kept');
+
+const wholePsalm = BibleReference.parse('Psalm 23');
+assert(wholePsalm.segments[0].chapter === 23 && wholePsalm.segments[0].verseStart === null, 'A whole chapter has no verses');
+
+assert(BibleReference.parse('John 11:1-45 or 11:3-7').segments[0].verseEnd === 45, 'Only the first of two citations is parsed');
+assert(BibleReference.parse('Hezekiah 1:1') === null, 'Unknown books do not parse');
+assert(BibleReference.parse('Matthew 21:twenty') === null, 'Malformed verses do not parse');
+assert(BibleReference.parse('') === null, 'Empty references do not parse');
+
+// Test 3: Formatting
+console.log('\n📝 Testing formatting...\n');
+
+assert(BibleReference.format(psalm) === 'Psalm 25:4-5ab, 6, 7bc, 8-9', 'A single psalm is formatted as "Psalm"');
+assert(BibleReference.format(BibleReference.parse('Numbers 24:2-7, 15-17a')) === 'Numbers 24:2-7, 15-17a', 'Formatting round-trips');
+assert(BibleReference.format(BibleReference.parse('1 Kgs 19:9a, 11-16')) === '1 Kings 19:9a, 11-16', 'Abbreviations are expanded');
+assert(BibleReference.format(creation) === 'Genesis 1:1-2:2; 22:1-18', 'Chapter changes are separated by semicolons');
+assert(BibleReference.format(servant, { book: 'usfm' }) === 'ISA 52:13-53:12', 'The book label can be a USFM id');
+assert(BibleReference.format(wholePsalm) === 'Psalm 23', 'Whole chapters are formatted without verses');
+
+assert(BibleReference.toOsis(BibleReference.parse('Numbers 24:2-7, 15-17a')) === 'Num.24.2-Num.24.7,Num.24.15-Num.24.17',
+  'toOsis builds an OSIS reference');
+assert(BibleReference.toOsis(BibleReference.parse('Ps 25:4-5ab')) === BibleReference.toOsis(BibleReference.parse('Psalm 25:4-5')),
+  'OSIS references ignore abbreviations and partial verses');
+
+// Test 4: Overlapping passages
+console.log('\n📝 Testing overlaps...\n');
+
+const overlaps = (a, b) => BibleReference.overlaps(BibleReference.parse(a), BibleReference.parse(b));
+assert(overlaps('Matthew 21:23-27', 'Mt 21:25'), 'A verse inside a passage overlaps it');
+assert(overlaps('Matthew 21', 'Matthew 21:23-27'), 'A whole chapter overlaps its verses');
+assert(overlaps('Isaiah 52:13—53:12', 'Isaiah 53:1'), 'Passages across chapters overlap');
+assert(!overlaps('Matthew 21:28-32', 'Matthew 21:23-27'), 'Adjacent passages do not overlap');
+assert(!overlaps('Mark 1:1', 'Matthew 1:1'), 'Passages in different books do not overlap');
+
+// Test 5: One-chapter books
+console.log('\n📝 Testing one-chapter books...\n');
+
+const philemon = BibleReference.parse('Philemon 7-20');
+assert(philemon.segments.length === 1 && philemon.segments[0].chapter === 1 && philemon.segments[0].verseStart === 7 &&
+  philemon.segments[0].verseEnd === 20, 'Verses of one-chapter books are read as chapter 1');
+assert(BibleReference.format(philemon) === 'Philemon 7-20', 'One-chapter books are formatted without the chapter');
+assert(BibleReference.toOsis(philemon) === 'Phlm.1.7-Phlm.1.20', 'OSIS references of one-chapter books name chapter 1');
+assert(BibleReference.format(BibleReference.parse('Jude 17, 20b-25')) === 'Jude 17, 20b-25', 'Jude keeps its verse list');
+assert(BibleReference.toOsis(BibleReference.parse('Obadiah 1:1-4')) === 'Obad.1.1-Obad.1.4', 'An explicit chapter 1 is accepted');
+['2 John 4-9', '3 John 5-8'].forEach((reference) => {
+  assert(BibleReference.parse(reference).segments[0].chapter === 1 && BibleReference.format(BibleReference.parse(reference)) === reference,
+    `${reference} is read as verses`);
+});
+assert(overlaps('Philemon 9-10', 'Phlm 1:10'), 'Verse-only and chapter-and-verse citations overlap');
+
+console.log('\n✨ All tests passed!\n');
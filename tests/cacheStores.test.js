@@ -0,0 +1,116 @@
+/**
+ * Tests for the cache stores
+ * Run with: node tests/cacheStores.test.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryStore, LocalStorageStore, FileStore } = require('../lib/cacheStores.js');
+
+// Simple assertion helper
+function assert(condition, message) {
+  if (!condition) {
+    console.error(`❌ FAILED: ${message}`);
+    process.exit(1);
+  } else {
+    console.log(`✅ PASSED: ${message}`);
+  }
+}
+
+// Minimal stand-in for window.localStorage
+function fakeStorage() {
+  const data = new Map();
+  return {
+    get length() { return data.size; },
+    key: (i) => [...data.keys()][i] ?? null,
+    getItem: (k) => (data.has(k) ? data.get(k) : null),
+    setItem: (k, v) => data.set(k, String(v)),
+    removeItem: (k) => data.delete(k)
+  };
+}
+
+(async () => {
+  // Test 1: Memory store evicts the least recently used entry
+  console.log('\n📝 Testing MemoryStore...\n');
+
+  const memory = new MemoryStore({ maxEntries: 2 });
+  await memory.set('a', 1);
+  await memory.set('b', 2);
+  await memory.get('a');
+  await memory.set('c', 3);
+  assert((await memory.keys()).join() === 'a,c', 'MemoryStore evicts the least recently used entry');
+  assert(await memory.get('b') === null, 'Evicted entries read as null');
+  await memory.set('b', { pinned: true });
+  await memory.set('d', 4);
+  assert((await memory.keys()).join() === 'b,d', 'MemoryStore evicts unpinned entries first');
+  await memory.set('e', { pinned: true });
+  await memory.set('f', { pinned: true });
+  assert((await memory.keys()).join() === 'b,e,f', 'MemoryStore never evicts pinned entries');
+  await memory.delete('e');
+  assert((await memory.keys()).join() === 'b,f', 'MemoryStore deletes entries');
+  await memory.clear();
+  assert((await memory.keys()).length === 0, 'MemoryStore clears');
+
+  // Test 2: localStorage store keeps to its prefix
+  console.log('\n📝 Testing LocalStorageStore...\n');
+
+  const storage = fakeStorage();
+  storage.setItem('other-app', 'keep me');
+  const local = new LocalStorageStore({ storage });
+  await local.set('121525', { title: 'Advent' });
+  assert((await local.get('121525')).title === 'Advent', 'LocalStorageStore round-trips JSON');
+  assert(storage.getItem('CathReadings:121525') !== null, 'LocalStorageStore namespaces its keys');
+  assert((await local.keys()).join() === '121525', 'LocalStorageStore lists only its own keys');
+  await local.clear();
+  assert(storage.getItem('other-app') === 'keep me' && storage.length === 1, 'LocalStorageStore.clear leaves other keys alone');
+  assert(LocalStorageStore.isAvailable() === false, 'localStorage is unavailable in Node');
+
+  // Test 3: File store persists to disk
+  console.log('\n📝 Testing FileStore...\n');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cath-readings-'));
+  const file = path.join(dir, 'nested', 'cache.json');
+  try {
+    const store = new FileStore({ path: file });
+    assert(await store.get('121525') === null, 'A missing file is an empty cache');
+    await store.set('121525', { title: 'Advent' });
+    await store.set('121625', { title: 'Advent' });
+    await store.delete('121625');
+
+    const reopened = new FileStore({ path: file });
+    assert((await reopened.get('121525')).title === 'Advent', 'FileStore entries survive a new instance');
+    assert((await reopened.keys()).join() === '121525', 'FileStore deletes entries');
+
+    const racing = new FileStore({ path: file });
+    await Promise.all([racing.set('121725', { title: 'Advent' }), racing.set('121825', { title: 'Advent' })]);
+    assert((await new FileStore({ path: file }).keys()).join() === '121525,121725,121825',
+      'Writes made while the file is first read are all kept');
+    await racing.clear();
+    assert((await new FileStore({ path: file }).keys()).length === 0, 'FileStore clears');
+
+    fs.writeFileSync(file, '{not json');
+    assert((await new FileStore({ path: file }).keys()).length === 0, 'A corrupt file is an empty cache');
+
+    // A file where the store's directory should be makes the next write fail
+    const blocker = path.join(dir, 'blocked');
+    const blocked = new FileStore({ path: path.join(blocker, 'cache.json') });
+    await blocked.keys();
+    fs.writeFileSync(blocker, '');
+    let writeError = null;
+    try {
+      await blocked.set('121525', { title: 'Advent' });
+    } catch (error) {
+      writeError = error;
+    }
+    assert(writeError !== null, 'A failed write rejects');
+    fs.rmSync(blocker);
+    await blocked.set('121625', { title: 'Advent' });
+    assert(Object.keys(JSON.parse(fs.readFileSync(path.join(blocker, 'cache.json'), 'utf8'))).join() === '121525,121625',
+      'Writes after a failed one still reach the file');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  console.log('\n✨ All tests passed!\n');
+})();
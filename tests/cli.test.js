@@ -0,0 +1,104 @@
+/**
+ * Tests for the cath-readings command-line interface
+ * Run with: node tests/cli.test.js
+ */
+
+const CathReadings = require('../cathReadings.js');
+const { run, EXIT } = require('../bin/cath-readings.js');
+
+// Simple assertion helper
+function assert(condition, message) {
+  if (!condition) {
+    console.error(`❌ FAILED: ${message}`);
+    process.exit(1);
+  } else {
+    console.log(`✅ PASSED: ${message}`);
+  }
+}
+
+// API whose getReadings serves the demo data for December 15, 2025 and fails otherwise
+function demoApi(failure) {
+  const api = new CathReadings({ persistentCache: null });
+  api.getReadings = async (date) => {
+    const iso = CathReadings.formatIsoDate(date);
+    if (iso === '2025-12-15') return CathReadings.getDemoData();
+    const error = failure === 'network'
+      ? new CathReadings.NetworkError('getaddrinfo ENOTFOUND bible.usccb.org')
+      : new CathReadings.NotFoundError('HTTP 404');
+    error.date = iso;
+    throw error;
+  };
+  return api;
+}
+
+async function cli(args, api = demoApi()) {
+  const out = [];
+  const err = [];
+  const code = await run(args, { api, stdout: text => out.push(text), stderr: text => err.push(text) });
+  return { code, stdout: out.join('\n'), stderr: err.join('\n') };
+}
+
+(async () => {
+  // Test 1: Commands and formats
+  console.log('\n📝 Testing commands...\n');
+
+  let result = await cli(['date', '2025-12-15']);
+  assert(result.code === EXIT.OK && result.stdout.startsWith('Monday of the Third Week of Advent\nDecember 15, 2025'),
+    'date prints the readings as text');
+  assert(result.stdout.includes('GOSPEL - Matthew 21:23-27\n\nWhen Jesus had come into the temple area'), 'Text output includes each reading');
+
+  result = await cli(['date', '121525', '--format', 'json', '--gospel']);
+  const json = JSON.parse(result.stdout);
+  assert(json.readings.length === 1 && json.readings[0].name === 'Gospel', '--gospel keeps only the Gospel');
+
+  const spanishApi = new CathReadings({ persistentCache: null, source: 'usccb-es' });
+  spanishApi.getReadings = async () => require('./fixtures/golden/usccb-es-121525.json');
+  result = await cli(['date', '121525', '--format', 'json', '--gospel', '-r', 'psalm'], spanishApi);
+  assert(JSON.parse(result.stdout).readings.map(r => r.name).join() === 'Salmo Responsorial,Evangelio',
+    'Reading names work for Spanish readings');
+
+  result = await cli(['date', '121525', '-f', 'markdown', '-r', 'first', '-r', 'psalm']);
+  assert(result.stdout.startsWith('# Monday of the Third Week of Advent') && result.stdout.includes('## Reading 1') &&
+    result.stdout.includes('## Responsorial Psalm') && !result.stdout.includes('## Gospel'), '--reading filters are combined');
+  assert(result.stdout.includes('tribe by tribe,  \nthe spirit'), 'Markdown keeps line breaks');
+
+  result = await cli(['date', '121525', '--width', '30']);
+  assert(result.stdout.split('\n').every(line => line.length <= 30), '--width wraps text output');
+
+  result = await cli(['date', '121525', '-f', 'html', '--references']);
+  assert(result.stdout.startsWith('<article class="readings"') && result.stdout.includes('<cite>Psalm 25:4-5ab, 6 and 7bc, 8-9</cite>') &&
+    !result.stdout.includes('Balaam'), 'HTML output with references only');
+
+  result = await cli(['range', '2025-12-15', '2025-12-16', '-f', 'ics']);
+  assert(result.stdout.startsWith('BEGIN:VCALENDAR') && result.stdout.includes('DTSTART;VALUE=DATE:20251215') &&
+    result.stdout.split('BEGIN:VEVENT').length === 2, 'ics renders a calendar of the published dates');
+
+  result = await cli(['season', '2025-12-15']);
+  assert(result.code === EXIT.OK && result.stdout === 'Advent', 'season prints the season');
+  result = await cli(['rank', '011826', '--format', 'json']);
+  assert(JSON.parse(result.stdout).rank === 'Sunday', 'rank prints the rank as JSON');
+
+  result = await cli(['range', '2025-12-15', '2025-12-16', '--format', 'json']);
+  const range = JSON.parse(result.stdout);
+  assert(range.length === 2 && range[0].readings.title === 'Monday of the Third Week of Advent' && range[1].error.name === 'NotFoundError',
+    'range reports each date');
+
+  // Test 2: Exit codes
+  console.log('\n📝 Testing exit codes...\n');
+
+  assert((await cli(['date', '121625'])).code === EXIT.NOT_FOUND, 'Unpublished dates exit with NOT_FOUND');
+  assert((await cli(['date', '121625'], demoApi('network'))).code === EXIT.NETWORK, 'Network failures exit with NETWORK');
+  assert(result.code === EXIT.NOT_FOUND, 'A range with a missing date exits with NOT_FOUND');
+  assert((await cli(['range', '121525', '121725'], demoApi('network'))).code === EXIT.NETWORK, 'A range with network failures exits with NETWORK');
+  assert((await cli(['date', '2025-02-30'])).code === EXIT.USAGE, 'Invalid dates are usage errors');
+  assert((await cli(['date', '12152025'])).code === EXIT.OK, 'Four-digit years are accepted');
+  assert((await cli(['today', '--timezone', 'Mars/Olympus_Mons'])).code === EXIT.USAGE, 'Unknown time zones are usage errors');
+  assert((await cli(['today', '--source', 'vatican'])).code === EXIT.USAGE, 'Unknown sources are usage errors');
+  assert((await cli(['date'])).code === EXIT.USAGE, 'Missing arguments are usage errors');
+  assert((await cli(['date', '121525', '--format', 'pdf'])).code === EXIT.USAGE, 'Unknown formats are usage errors');
+  assert((await cli(['yesterday'])).code === EXIT.USAGE, 'Unknown commands are usage errors');
+  result = await cli(['--help']);
+  assert(result.code === EXIT.OK && result.stdout.includes('Exit codes:'), '--help prints usage');
+
+  console.log('\n✨ All tests passed!\n');
+})();
@@ -0,0 +1,169 @@
+/**
+ * Parses the saved pages in tests/fixtures/usccb and tests/fixtures/usccb-es
+ * and compares the results with the golden JSON in tests/fixtures/golden
+ * Run with: node tests/fixtures.test.js
+ * After an intended parser change, rewrite the golden files with:
+ *   node tests/fixtures.test.js --update
+ */
+
+const fs = require('fs');
+const path = require('path');
+const CathReadings = require('../cathReadings.js');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'usccb');
+const SPANISH_FIXTURES = path.join(__dirname, 'fixtures', 'usccb-es');
+const GOLDEN = path.join(__dirname, 'fixtures', 'golden');
+const UPDATE = process.argv.includes('--update');
+
+// One case per kind of page; the date is the page's MMDDYY name. Cases from
+// another source have golden files named <source>-<date>.json.
+const CASES = [
+  { date: '121525', kind: 'ordinary weekday' },
+  { date: '011826', kind: 'Sunday' },
+  { date: '120825', kind: 'solemnity' },
+  { date: '052526', kind: 'memorial with alternative readings' },
+  { date: '122525', kind: 'multi-Mass day' },
+  { date: '040426', kind: 'vigil' },
+  { date: '121525', kind: 'Spanish weekday', source: 'usccb-es' }
+];
+
+const caseName = ({ date, source }) => (source ? `${source}-${date}` : date);
+
+// Simple assertion helper
+function assert(condition, message) {
+  if (!condition) {
+    console.error(`❌ FAILED: ${message}`);
+    process.exit(1);
+  } else {
+    console.log(`✅ PASSED: ${message}`);
+  }
+}
+
+/**
+ * Finds the first path at which two JSON values differ
+ * @returns {string|null} e.g. "readings[3].reference", or null if they are equal
+ */
+function firstDifference(actual, expected, where = '') {
+  if (typeof actual !== typeof expected || Array.isArray(actual) !== Array.isArray(expected) ||
+    (actual === null) !== (expected === null)) {
+    return where || '(root)';
+  }
+  if (actual === null || typeof actual !== 'object') {
+    return actual === expected ? null : where || '(root)';
+  }
+  if (Array.isArray(actual) && actual.length !== expected.length) {
+    return `${where}.length`;
+  }
+  const keys = new Set([...Object.keys(actual), ...Object.keys(expected)]);
+  for (const key of keys) {
+    const next = Array.isArray(actual) ? `${where}[${key}]` : where ? `${where}.${key}` : key;
+    const difference = firstDifference(actual[key], expected[key], next);
+    if (difference) return difference;
+  }
+  return null;
+}
+
+// Serves fixture pages by their USCCB file name, e.g. .../122525-Vigil.cfm -> 122525-Vigil.html,
+// taking pages under /es/ from the Spanish fixtures
+async function fixtureFetch(url) {
+  const { pathname } = new URL(url);
+  const dir = pathname.startsWith('/es/') ? SPANISH_FIXTURES : FIXTURES;
+  const file = path.join(dir, `${path.basename(pathname, '.cfm')}.html`);
+  if (!fs.existsSync(file)) {
+    return { ok: false, status: 404, text: async () => '' };
+  }
+  return { ok: true, status: 200, text: async () => fs.readFileSync(file, 'utf8') };
+}
+
+(async () => {
+  const apis = {};
+  const apiFor = source => (apis[source] = apis[source] ||
+    new CathReadings({ fetch: fixtureFetch, retries: 0, persistentCache: null, source }));
+
+  // Test 1: Parsed pages match the golden JSON
+  console.log(`\n📝 ${UPDATE ? 'Updating' : 'Testing'} golden files...\n`);
+
+  const results = {};
+  for (const testCase of CASES) {
+    const { date, kind, source = 'usccb' } = testCase;
+    const name = caseName(testCase);
+    // JSON round-trip so the comparison sees exactly what would be cached
+    const actual = JSON.parse(JSON.stringify(await apiFor(source).getReadings(date)));
+    results[name] = actual;
+    const goldenFile = path.join(GOLDEN, `${name}.json`);
+    if (UPDATE) {
+      fs.mkdirSync(GOLDEN, { recursive: true });
+      fs.writeFileSync(goldenFile, `${JSON.stringify(actual, null, 2)}\n`);
+      console.log(`✏️  Wrote ${path.relative(process.cwd(), goldenFile)}`);
+      continue;
+    }
+    assert(fs.existsSync(goldenFile), `${name} (${kind}) has a golden file`);
+    const difference = firstDifference(actual, JSON.parse(fs.readFileSync(goldenFile, 'utf8')));
+    assert(difference === null, `${name} (${kind}) matches its golden file${difference ? `; first difference at ${difference}` : ''}`);
+  }
+  if (UPDATE) return;
+
+  // Test 2: Every fixture passes validation
+  console.log('\n📝 Testing validation of the fixtures...\n');
+
+  CASES.forEach((testCase) => {
+    const { valid, problems } = CathReadings.validate(results[caseName(testCase)]);
+    assert(valid, `${caseName(testCase)} (${testCase.kind}) is valid${problems.length ? `: ${problems.map(p => p.message).join('; ')}` : ''}`);
+  });
+  assert(results['122525'].masses.length === 4 && results['122525'].lectionary === '16',
+    'The multi-Mass day loads every Mass and defaults to the Mass during the Day');
+  assert(results['052526'].readings[0].options[0].reference === 'Acts 1:12-14', 'Alternative readings are kept');
+  assert(results['052526'].lectionary === '572A', 'Lectionary numbers keep their letter');
+
+  const spanish = results['usccb-es-121525'];
+  assert(spanish.readings.map(r => r.name).join() === 'Primera lectura,Salmo Responsorial,Aclamación antes del Evangelio,Evangelio' &&
+    spanish.lectionary === '187', 'Spanish pages are parsed with Spanish labels');
+  assert(spanish.readings[1].response.text === 'Descúbrenos, Señor, tus caminos.' && spanish.readings[2].acclamation === 'Alleluia',
+    'Spanish refrains (R/.) and the Aleluya are recognized');
+  assert(spanish.displayDate === '15 de diciembre de 2025' && spanish.seasonName === 'Adviento' && spanish.rankName === 'Feria',
+    'Spanish pages are shown in Spanish');
+  assert(!CathReadings.validate(spanish, { source: 'usccb' }).valid, 'Validation expects the names of the readings\' source');
+
+  // Test 3: Markup drift is caught
+  console.log('\n📝 Testing markup drift detection...\n');
+
+  const page = fs.readFileSync(path.join(FIXTURES, '011826.html'), 'utf8');
+  const drifted = (html) => CathReadings.validate(CathReadings.parseReadings(html, '011826'));
+
+  let codes = drifted(page.replace(/<h3 class="name">Gospel<\/h3>/, '<h3 class="title">Gospel</h3>')).problems.map(p => p.code);
+  assert(codes.includes('no-gospel'), 'A Gospel without its name element is flagged');
+  codes = drifted(page.replace(/<h2>[^<]*<\/h2>/, '<h1>Second Sunday in Ordinary Time</h1>')).problems.map(p => p.code);
+  assert(codes.includes('missing-title'), 'A moved title is flagged');
+  codes = drifted(page.replace(/Lectionary: 64/, 'Lect. 64')).problems.map(p => p.code);
+  assert(codes.join() === 'missing-lectionary', 'A reworded lectionary number is flagged');
+  codes = drifted(page.replace(/class="content-body"/g, 'class="body"')).problems.map(p => p.code);
+  assert(codes.includes('no-readings'), 'Reading blocks that no longer parse are flagged');
+  codes = drifted(page.replace(/<div class="address"><a [^>]*>[^<]*<\/a><\/div>/, '<div class="address"></div>')).problems.map(p => p.code);
+  assert(codes.join() === 'missing-reference', 'A reading without its reference is flagged');
+
+  const strict = new CathReadings({
+    fetch: async url => (/011826/.test(url)
+      ? { ok: true, status: 200, text: async () => page.replace(/Lectionary: 64/, '') }
+      : fixtureFetch(url)),
+    strict: true,
+    retries: 0,
+    persistentCache: null
+  });
+  let strictError;
+  try {
+    await strict.getReadings('011826');
+  } catch (error) {
+    strictError = error;
+  }
+  assert(strictError instanceof CathReadings.ParseError && strictError.problems[0].code === 'missing-lectionary' &&
+    strictError.date === '2026-01-18', 'Strict mode throws ParseError with the problems');
+  assert((await strict.getReadings('121525')).lectionary === '187', 'Strict mode accepts valid pages');
+
+  const warnings = [];
+  const lenient = new CathReadings({ fetch: strict.fetchImpl, retries: 0, persistentCache: null });
+  lenient.on('parseWarning', event => warnings.push(event));
+  await lenient.getReadings('011826');
+  assert(warnings.length === 1 && warnings[0].code === 'missing-lectionary', 'Otherwise problems are emitted as parseWarning');
+
+  console.log('\n✨ All tests passed!\n');
+})();
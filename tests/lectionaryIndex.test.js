@@ -0,0 +1,115 @@
+/**
+ * Tests for the lectionary index
+ * Run with: node tests/lectionaryIndex.test.js
+ */
+
+const CathReadings = require('../cathReadings.js');
+const LectionaryIndex = require('../lib/lectionaryIndex.js');
+
+// Simple assertion helper
+function assert(condition, message) {
+  if (!condition) {
+    console.error(`❌ FAILED: ${message}`);
+    process.exit(1);
+  } else {
+    console.log(`✅ PASSED: ${message}`);
+  }
+}
+
+// A day built from references only
+function makeDay(date, lectionary, references, extra = {}) {
+  return {
+    date,
+    title: `Day of ${date}`,
+    lectionary,
+    readings: references.map(([name, reference]) => ({ name, reference, citation: CathReadings.BibleReference.parse(reference) })),
+    masses: [],
+    ...extra
+  };
+}
+
+(async () => {
+  // Test 1: Lookup by number
+  console.log('\n📝 Testing lookup by lectionary number...\n');
+
+  const index = new LectionaryIndex()
+    .add(CathReadings.getDemoData())
+    .add(makeDay('2024-12-16', '187', [['Reading 1', 'Numbers 24:2-7, 15-17a'], ['Gospel', 'Matthew 21:23-27']]))
+    .add(makeDay('2025-09-29', '647', [['Reading 1', 'Daniel 7:9-10, 13-14'], ['Gospel', 'John 1:47-51']]))
+    .add(makeDay('2024-09-23', '449', [['Reading 1', 'Proverbs 3:27-34'], ['Gospel', 'Luke 8:16-18']]))
+    .add(makeDay('2025-09-22', '449', [['Reading 1', 'Ezra 1:1-6'], ['Gospel', 'Luke 8:16-18']]));
+
+  const advent = index.get(187);
+  assert(advent.lectionary === '187' && advent.dates.join() === '2024-12-16,2025-12-15', 'get() lists every date using a number');
+  assert(advent.readings[3].reference === 'Matthew 21:23-27' && advent.readings[3].citation.book.osis === 'Matt',
+    'get() returns the readings and citations');
+  assert(index.get('999') === null, 'Unknown numbers return null');
+
+  const weekday = index.get(449);
+  assert(weekday.variants.length === 2 && weekday.readings[0].reference === 'Ezra 1:1-6',
+    'Weekday cycles are kept as variants, latest first in readings');
+
+  // Test 2: Dates and passages
+  console.log('\n📝 Testing dates and passage search...\n');
+
+  assert(index.datesFor(187, { from: '2025-01-01', to: new Date(2025, 11, 31) }).join() === '2025-12-15', 'datesFor filters by range');
+  assert(index.datesFor(187).length === 2, 'datesFor without a range returns every date');
+
+  const gospel = index.searchPassage('Mt 21:25');
+  assert(gospel.length === 2 && gospel[0].date === '2024-12-16' && gospel[0].reading.name === 'Gospel',
+    'searchPassage finds every day proclaiming a Gospel passage');
+  assert(index.searchPassage('Luke 8').length === 2, 'Whole chapters match any verse in them');
+  assert(index.searchPassage('Numbers 24:3').length === 0 && index.searchPassage('Numbers 24:3', { reading: null }).length === 2,
+    'Only Gospels are searched unless asked');
+
+  let threw = false;
+  try {
+    index.searchPassage('Nowhere 1:1');
+  } catch (_) {
+    threw = true;
+  }
+  assert(threw, 'Unparseable references throw');
+
+  // Test 3: Multi-Mass days
+  console.log('\n📝 Testing multi-Mass days...\n');
+
+  const christmas = makeDay('2025-12-25', '16', [['Gospel', 'John 1:1-18']], {
+    masses: [
+      makeDay('2025-12-25', '13', [['Gospel', 'Matthew 1:1-25']], { name: 'Vigil Mass' }),
+      makeDay('2025-12-25', '16', [['Gospel', 'John 1:1-18']], { name: 'Mass during the Day' })
+    ]
+  });
+  const christmasIndex = new LectionaryIndex().add(christmas);
+  assert(christmasIndex.lectionaries().sort().join() === '13,16', 'Each Mass is indexed under its own number');
+  assert(christmasIndex.get(16).dates.length === 1, 'The default Mass is not counted twice');
+
+  // Test 4: Export
+  console.log('\n📝 Testing export...\n');
+
+  const json = JSON.stringify(index);
+  const restored = LectionaryIndex.fromJSON(json);
+  assert(restored.get(187).dates.join() === advent.dates.join() && restored.searchPassage('Matthew 21:23').length === 2,
+    'An exported index can be restored');
+  threw = false;
+  try {
+    LectionaryIndex.fromJSON({ version: 0, entries: [] });
+  } catch (_) {
+    threw = true;
+  }
+  assert(threw, 'Indexes from another version are rejected');
+
+  // Test 5: Built from the cache
+  console.log('\n📝 Testing the index built from the cache...\n');
+
+  const api = new CathReadings({ persistentCache: null });
+  await api.writeCache('121525', CathReadings.getDemoData());
+  await api.writeCache('092925', makeDay('2025-09-29', '647', [['Gospel', 'John 1:47-51']]));
+  await api.cache.set('121624', { version: 0, storedAt: Date.now(), value: {} });
+
+  assert((await api.getByLectionary(187)).dates.join() === '2025-12-15', 'getByLectionary reads the cached days');
+  assert((await api.findLectionaryDates(647, '090125', '093025')).join() === '2025-09-29', 'findLectionaryDates searches a range');
+  assert((await api.searchGospel('John 1:50'))[0].lectionary === '647', 'searchGospel finds cached Gospels');
+  assert((await api.getLectionaryIndex()).lectionaries().length === 2, 'Entries from other cache versions are skipped');
+
+  console.log('\n✨ All tests passed!\n');
+})();
@@ -0,0 +1,114 @@
+/**
+ * Tests for the lightweight DOM parser
+ * Run with: node tests/liteDom.test.js
+ */
+
+const LiteDOMParser = require('../lib/liteDom.js');
+
+// Simple assertion helper
+function assert(condition, message) {
+  if (!condition) {
+    console.error(`❌ FAILED: ${message}`);
+    process.exit(1);
+  } else {
+    console.log(`✅ PASSED: ${message}`);
+  }
+}
+
+const html = `<!DOCTYPE html>
+<html>
+<head>
+  <title>Daily Bible Reading &amp; Prayer</title>
+  <script>if (a < b) { document.write("</div>"); }</script>
+</head>
+<body>
+  <!-- <div class="wr-block">commented out</div> -->
+  <div class="wr-block b-lectionary">
+    <h2>Monday of the Third Week of Advent</h2>
+    <p>Lectionary: 187
+    <div id="next">after the paragraph</div>
+  </div>
+  <div class="wr-block b-verse">
+    <div class="content-header">
+      <h3 class="name">Reading 1</h3>
+      <div class="address"><a href="/bible/numbers/24?2">Numbers 24:2-7, 15-17a</a></div>
+    </div>
+    <div class="content-body">
+      <p>When Balaam raised his eyes&nbsp;and saw Israel,<br />
+      the spirit of God came upon him: &#8220;How goodly&#x201D;
+      <p>Second paragraph<br>
+    </div>
+  </div>
+  <ul><li>one<li>two</ul>
+</body>
+</html>`;
+
+const doc = new LiteDOMParser({ baseURI: 'https://bible.usccb.org/bible/readings/121525.cfm' }).parseFromString(html, 'text/html');
+
+// Test 1: Structure
+console.log('\n📝 Testing parsing...\n');
+
+assert(doc.querySelector('title').textContent === 'Daily Bible Reading & Prayer', 'Entities in the title are decoded');
+assert(doc.querySelector('script').textContent.includes('</div>'), 'Script content is not parsed as markup');
+assert(doc.querySelectorAll('.wr-block').length === 2, 'Comments are ignored');
+assert(doc.querySelector('.wr-block.b-lectionary p').textContent.trim() === 'Lectionary: 187', 'A block element closes an open <p>');
+assert(doc.querySelector('#next').parentNode.className === 'wr-block b-lectionary', 'The closing block lands in the right parent');
+assert(doc.querySelectorAll('li').map(li => li.textContent).join() === 'one,two', 'A new <li> closes the previous one');
+assert(doc.querySelectorAll('.content-body p').length === 2, 'Unclosed paragraphs are split');
+
+// Test 2: Selectors
+console.log('\n📝 Testing selectors...\n');
+
+const block = doc.querySelector('.wr-block.b-verse');
+assert(block.querySelector('.content-header .name').textContent === 'Reading 1', 'Descendant selectors match');
+assert(doc.querySelectorAll('div > h2, ul > li').length === 3, 'Child combinators and selector lists match');
+assert(doc.querySelector('a[href^="/bible/"]').textContent === 'Numbers 24:2-7, 15-17a', 'Attribute prefix selectors match');
+assert(doc.querySelectorAll('a[href]').length === 1 && doc.querySelector('a[title]') === null, 'Attribute presence selectors match');
+assert(block.querySelector('.b-lectionary') === null, 'Element queries only return descendants');
+let rejected = false;
+try {
+  doc.querySelector('p:first-child');
+} catch (e) {
+  rejected = true;
+}
+assert(rejected, 'Unsupported selectors throw');
+
+// Test 3: Element API
+console.log('\n📝 Testing the element API...\n');
+
+const link = doc.querySelector('.address a');
+assert(link.getAttribute('href') === '/bible/numbers/24?2', 'getAttribute returns the raw value');
+assert(link.href === 'https://bible.usccb.org/bible/numbers/24?2', 'href resolves against the base URI');
+const paragraph = doc.querySelector('.content-body p');
+assert(paragraph.childNodes[1].tagName === 'BR' && paragraph.childNodes[0].nodeType === 3, 'childNodes expose elements and text');
+assert(paragraph.textContent.includes('eyes\u00a0and') && paragraph.textContent.includes('“How goodly”'),
+  'Named and numeric entities are decoded');
+assert(paragraph.innerHTML.startsWith('When Balaam raised his eyes&nbsp;and saw Israel,<br>'), 'innerHTML serializes like a browser');
+assert(LiteDOMParser.decodeEntities('&unknown; &amp;') === '&unknown; &', 'Unknown entities are left alone');
+
+// Test 4: Malformed markup
+console.log('\n📝 Testing malformed markup...\n');
+
+const parser = new LiteDOMParser();
+const quoted = parser.parseFromString('<p title="a > b" data-x=\'<i>\'>text</p>', 'text/html');
+assert(quoted.querySelector('p').getAttribute('title') === 'a > b' && quoted.querySelector('p').textContent === 'text',
+  'A ">" in a quoted attribute value does not end the tag');
+const truncated = parser.parseFromString('<div><p>Reading</p><a href="/bible/numb', 'text/html');
+assert(truncated.querySelector('p').textContent === 'Reading' && truncated.querySelector('div').textContent === 'Reading<a href="/bible/numb',
+  'A tag cut off by the end of the page is text');
+assert(parser.parseFromString('<p>a < b <3 </ c</p>', 'text/html').querySelector('p').textContent === 'a < b <3 </ c',
+  'A "<" that starts no tag is text');
+
+for (const [name, source] of [
+  ['unterminated start tags', '<a '.repeat(16000)],
+  ['unterminated doctypes', '<!DOCTYPE'.repeat(16000)],
+  ['unterminated end tags', '</a'.repeat(16000)],
+  ['unterminated quotes', '<a x="'.repeat(16000) + '>'],
+  ['tags nested in attributes', '<a '.repeat(16000) + '" >']
+]) {
+  const started = Date.now();
+  parser.parseFromString(source, 'text/html');
+  assert(Date.now() - started < 500, `Large malformed input parses in linear time (${name})`);
+}
+
+console.log('\n✨ All tests passed!\n');
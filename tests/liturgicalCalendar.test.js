@@ -0,0 +1,167 @@
+/**
+ * Tests for the offline liturgical calendar
+ * Run with: node tests/liturgicalCalendar.test.js
+ */
+
+const LiturgicalCalendar = require('../lib/liturgicalCalendar.js');
+
+// Simple assertion helper
+function assert(condition, message) {
+  if (!condition) {
+    console.error(`❌ FAILED: ${message}`);
+    process.exit(1);
+  } else {
+    console.log(`✅ PASSED: ${message}`);
+  }
+}
+
+function ymd(date) {
+  return `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+}
+
+// Test 1: Computus
+console.log('\n📝 Testing Easter and key dates...\n');
+
+assert(ymd(LiturgicalCalendar.getEaster(2024)) === '2024-3-31', 'Easter 2024 is March 31');
+assert(ymd(LiturgicalCalendar.getEaster(2025)) === '2025-4-20', 'Easter 2025 is April 20');
+assert(ymd(LiturgicalCalendar.getEaster(2038)) === '2038-4-25', 'Easter 2038 is April 25 (latest possible)');
+assert(ymd(LiturgicalCalendar.getEaster(2285)) === '2285-3-22', 'Easter 2285 is March 22 (earliest possible)');
+
+// Test 2: Key dates
+const keys = LiturgicalCalendar.getKeyDates(2026);
+assert(ymd(keys.ashWednesday) === '2026-2-18', 'Ash Wednesday 2026');
+assert(ymd(keys.pentecost) === '2026-5-24', 'Pentecost 2026');
+assert(ymd(keys.firstSundayOfAdvent) === '2026-11-29', 'First Sunday of Advent 2026');
+assert(ymd(keys.epiphany) === '2026-1-4', 'Epiphany 2026 is transferred to Sunday');
+assert(ymd(keys.baptismOfTheLord) === '2026-1-11', 'Baptism of the Lord 2026');
+assert(ymd(keys.ascension) === '2026-5-17', 'Ascension 2026 is transferred to Sunday');
+assert(ymd(LiturgicalCalendar.getKeyDates(2026, { ascensionOnSunday: false }).ascension) === '2026-5-14',
+  'Ascension can be kept on Thursday');
+assert(ymd(LiturgicalCalendar.getKeyDates(2024).baptismOfTheLord) === '2024-1-8',
+  'Baptism of the Lord moves to Monday when Epiphany is January 7');
+
+// Test 3: Seasons
+console.log('\n📝 Testing seasons and weeks...\n');
+
+assert(LiturgicalCalendar.getSeason(new Date(2025, 11, 15)) === 'Advent', 'December 15, 2025 is Advent');
+assert(LiturgicalCalendar.getSeason(new Date(2026, 0, 11)) === 'Christmas', 'Baptism of the Lord ends Christmas');
+assert(LiturgicalCalendar.getSeason(new Date(2026, 0, 12)) === 'Ordinary Time', 'Ordinary Time begins the next day');
+assert(LiturgicalCalendar.getSeason(new Date(2026, 1, 18)) === 'Lent', 'Ash Wednesday begins Lent');
+assert(LiturgicalCalendar.getSeason(new Date(2026, 3, 3)) === 'Triduum', 'Good Friday is in the Triduum');
+assert(LiturgicalCalendar.getSeason(new Date(2026, 4, 24)) === 'Easter', 'Pentecost ends Easter');
+assert(LiturgicalCalendar.getSeason(new Date(2026, 4, 25)) === 'Ordinary Time', 'Ordinary Time resumes after Pentecost');
+
+// Test 4: Ordinary Time week numbers
+const monday = LiturgicalCalendar.getDay(new Date(2026, 0, 12));
+assert(monday.week === 1 && monday.title === 'Monday of the First Week in Ordinary Time', 'First week in Ordinary Time');
+const sunday = LiturgicalCalendar.getDay(new Date(2026, 0, 18));
+assert(sunday.title === 'Second Sunday in Ordinary Time', 'Sunday after the Baptism is the Second Sunday');
+const beforeAdvent = LiturgicalCalendar.getDay(new Date(2026, 10, 28));
+assert(beforeAdvent.week === 34, 'The week before Advent is the Thirty-fourth Week');
+
+// Test 5: Celebrations
+console.log('\n📝 Testing celebrations...\n');
+
+const advent = LiturgicalCalendar.getDay(new Date(2025, 11, 15));
+assert(advent.title === 'Monday of the Third Week of Advent', 'Advent weekday title');
+assert(advent.rank === 'Ferial', 'Advent weekday is ferial');
+assert(LiturgicalCalendar.getDay(new Date(2026, 4, 31)).title === 'The Most Holy Trinity', 'Trinity Sunday');
+assert(LiturgicalCalendar.getDay(new Date(2025, 5, 29)).rank === 'Solemnity', 'Saints Peter and Paul is a solemnity');
+assert(LiturgicalCalendar.getDay(new Date(2026, 0, 17)).title === 'Saint Anthony, Abbot', 'Memorial replaces the weekday');
+assert(LiturgicalCalendar.getDay(new Date(2026, 0, 13)).rank === 'Ferial', 'Optional memorial does not replace the weekday');
+
+// Test 6: Table of Liturgical Days
+console.log('\n📝 Testing precedence and collisions...\n');
+
+const ordinarySunday = LiturgicalCalendar.getDay(new Date(2026, 0, 18));
+assert(ordinarySunday.rank === 'Sunday' && ordinarySunday.precedence === 6, 'Sundays in Ordinary Time rank as Sunday (6)');
+assert(LiturgicalCalendar.getDay(new Date(2025, 11, 14)).precedence === 2, 'Sundays of Advent have precedence 2');
+assert(LiturgicalCalendar.getDay(new Date(2026, 3, 3)).rank === 'Triduum', 'Good Friday ranks as Triduum');
+assert(LiturgicalCalendar.getDay(new Date(2026, 3, 6)).rank === 'Octave Day', 'Easter Monday is an octave day');
+assert(LiturgicalCalendar.getDay(new Date(2025, 11, 29)).rank === 'Octave Day', 'December 29 is an octave day');
+assert(LiturgicalCalendar.getDay(new Date(2026, 1, 18)).rank === 'Privileged Weekday', 'Ash Wednesday is a privileged weekday');
+assert(LiturgicalCalendar.getDay(new Date(2025, 11, 18)).rank === 'Privileged Weekday', 'December 18 is a privileged weekday');
+assert(LiturgicalCalendar.getDay(new Date(2026, 0, 13)).optionalMemorials[0].name === 'Saint Hilary',
+  'Optional memorials are listed with the weekday');
+
+const lentMemorial = LiturgicalCalendar.getDay(new Date(2026, 2, 7));
+assert(lentMemorial.rank === 'Privileged Weekday' && lentMemorial.optionalMemorials[0].name === 'Saints Perpetua and Felicity',
+  'Memorials in Lent become optional commemorations');
+assert(LiturgicalCalendar.getDay(new Date(2026, 7, 6)).title === 'The Transfiguration of the Lord',
+  'A feast of the Lord replaces a Sunday in Ordinary Time');
+assert(LiturgicalCalendar.getDay(new Date(2026, 1, 22)).title === 'First Sunday of Lent', 'A feast on a Sunday of Lent is omitted');
+assert(LiturgicalCalendar.getDay(new Date(2024, 11, 9)).title === 'The Immaculate Conception of the Blessed Virgin Mary',
+  'The Immaculate Conception moves to Monday when December 8 is a Sunday of Advent');
+assert(LiturgicalCalendar.getDay(new Date(2023, 2, 20)).title === 'Saint Joseph, Spouse of the Blessed Virgin Mary',
+  'Saint Joseph moves to Monday when March 19 is a Sunday of Lent');
+assert(LiturgicalCalendar.getDay(new Date(2035, 2, 17)).title === 'Saint Joseph, Spouse of the Blessed Virgin Mary',
+  'Saint Joseph moves before Palm Sunday when March 19 falls in Holy Week');
+assert(LiturgicalCalendar.getDay(new Date(2024, 3, 8)).title === 'The Annunciation of the Lord',
+  'The Annunciation moves after the Easter Octave when March 25 falls in Holy Week');
+
+const twoMemorials = LiturgicalCalendar.getDay(new Date(2026, 5, 13));
+assert(twoMemorials.rank === 'Ferial' && twoMemorials.optionalMemorials.length === 2,
+  'Two colliding memorials both become optional');
+
+const agnes = LiturgicalCalendar.getDay(new Date(2026, 0, 21));
+assert(LiturgicalCalendar.matchTitle('Memorial of Saint Agnes, Virgin and Martyr', agnes).rank === 'Memorial',
+  'matchTitle finds the celebration a scraped title refers to');
+assert(LiturgicalCalendar.matchTitle('Saint Joseph', agnes) === null, 'matchTitle rejects unrelated titles');
+
+// Test 7: Cycles, Psalter weeks and colors
+console.log('\n📝 Testing cycles, Psalter weeks and colors...\n');
+
+assert(LiturgicalCalendar.getSundayCycle(new Date(2025, 10, 29)) === 'C' && LiturgicalCalendar.getSundayCycle(new Date(2025, 10, 30)) === 'A',
+  'The Sunday cycle changes on the First Sunday of Advent');
+assert(LiturgicalCalendar.getSundayCycle(new Date(2027, 0, 1)) === 'B' && LiturgicalCalendar.getSundayCycle(new Date(2028, 5, 1)) === 'C',
+  'Sunday cycles follow A, B, C');
+assert(LiturgicalCalendar.getWeekdayCycle(new Date(2025, 10, 29)) === 'I' && LiturgicalCalendar.getWeekdayCycle(new Date(2025, 11, 15)) === 'II',
+  'The weekday cycle is I in years ending in an odd year and II otherwise');
+
+assert(LiturgicalCalendar.getPsalterWeek(new Date(2025, 11, 15)) === 'III', 'Advent weeks follow the Psalter');
+assert(LiturgicalCalendar.getPsalterWeek(new Date(2025, 11, 26)) === 'IV' && LiturgicalCalendar.getPsalterWeek(new Date(2026, 0, 1)) === 'I',
+  'The Psalter restarts the Sunday after Christmas');
+assert(LiturgicalCalendar.getPsalterWeek(new Date(2026, 1, 19)) === 'IV' && LiturgicalCalendar.getPsalterWeek(new Date(2026, 1, 22)) === 'I',
+  'The days after Ash Wednesday are Week IV and Lent starts again at Week I');
+assert(LiturgicalCalendar.getPsalterWeek(new Date(2026, 9, 19)) === 'I', 'Ordinary Time weeks follow the Psalter');
+
+const color = (y, m, d) => LiturgicalCalendar.getColor(new Date(y, m - 1, d));
+assert(color(2025, 12, 15) === 'violet' && color(2026, 3, 1) === 'violet', 'Advent and Lent are violet');
+assert(color(2025, 12, 14) === 'rose' && color(2026, 3, 15) === 'rose', 'Gaudete and Laetare Sundays are rose');
+assert(color(2026, 7, 14) === 'white' && color(2026, 7, 13) === 'green', 'Saints are white and Ordinary Time is green');
+assert(color(2026, 3, 29) === 'red' && color(2026, 4, 3) === 'red' && color(2026, 5, 24) === 'red',
+  'Palm Sunday, Good Friday and Pentecost are red');
+assert(color(2026, 1, 21) === 'red' && color(2026, 12, 27) === 'white' && color(2026, 12, 26) === 'red',
+  'Martyrs are red, but not Saint John');
+assert(color(2026, 11, 2) === 'violet', 'All Souls is violet');
+assert(LiturgicalCalendar.getDay(new Date(2026, 0, 20)).optionalMemorials.every(m => m.color === 'red'),
+  'Optional memorials carry their own color');
+
+// Test 8: Celebrations and lookup by name
+console.log('\n📝 Testing celebrations and lookup by name...\n');
+
+const fabian = LiturgicalCalendar.getCelebrations(new Date(2026, 0, 20));
+assert(fabian.length === 3 && fabian[0].optional === false && fabian[0].color === 'green' &&
+  fabian[1].name === 'Saint Fabian' && fabian[1].optional === true && fabian[1].color === 'red',
+  'getCelebrations lists the day and its optional memorials');
+assert(LiturgicalCalendar.getCelebrations(new Date(2026, 0, 21)).length === 1, 'Obligatory memorials are not optional');
+
+assert(LiturgicalCalendar.findCelebration('St. Joseph', 2026).date === '2026-03-19', 'findCelebration finds a saint by name');
+assert(LiturgicalCalendar.findCelebration('St. Joseph', 2035).date === '2035-03-17', 'findCelebration follows transfers');
+assert(LiturgicalCalendar.findCelebrations('St. Joseph', 2026).some(c => c.date === '2026-05-01' && c.optional),
+  'findCelebrations lists every match');
+assert(LiturgicalCalendar.findCelebration('Ascension', 2026).date === '2026-05-17' &&
+  LiturgicalCalendar.findCelebration('Ascension', 2026, { ascensionOnSunday: false }).date === '2026-05-14',
+  'findCelebration finds moveable feasts');
+assert(LiturgicalCalendar.findCelebration('Saint Hilary', 2030) === null, 'Celebrations impeded that year are not found');
+assert(LiturgicalCalendar.findCelebration('Saint Nobody', 2026) === null, 'Unknown names are not found');
+
+let invalidRejected = false;
+try {
+  LiturgicalCalendar.getDay('2026-01-01');
+} catch (e) {
+  invalidRejected = true;
+}
+assert(invalidRejected, 'getDay rejects non-Date input');
+
+console.log('\n✨ All tests passed!\n');
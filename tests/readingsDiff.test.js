@@ -0,0 +1,145 @@
+/**
+ * Tests for readings diffs and revalidation
+ * Run with: node tests/readingsDiff.test.js
+ */
+
+const CathReadings = require('../cathReadings.js');
+const ReadingsDiff = require('../lib/readingsDiff.js');
+
+// Simple assertion helper
+function assert(condition, message) {
+  if (!condition) {
+    console.error(`❌ FAILED: ${message}`);
+    process.exit(1);
+  } else {
+    console.log(`✅ PASSED: ${message}`);
+  }
+}
+
+// The demo day as USCCB might correct it: a new Gospel reference, one changed line and an alternative first reading
+function correctedDay() {
+  const day = CathReadings.getDemoData();
+  day.readings[3].reference = 'Matthew 21:23-28';
+  day.readings[3].text = day.readings[3].text.replace('temple area', 'temple');
+  day.readings[0].options.push({ reference: 'Numbers 24:1', text: 'Balaam saw.', shortForm: null });
+  return day;
+}
+
+(async () => {
+  // Test 1: Line diffs
+  console.log('\n📝 Testing line diffs...\n');
+
+  const lines = ReadingsDiff.diffLines('a\nb\nc', 'a\nB\nc\nd');
+  assert(lines.length === 3 && lines[0].type === 'removed' && lines[0].line === 'b' && lines[0].number === 2,
+    'Removed lines carry their old line number');
+  assert(lines[1].type === 'added' && lines[1].line === 'B' && lines[2].line === 'd' && lines[2].number === 4,
+    'Added lines carry their new line number');
+  assert(ReadingsDiff.diffLines('same\ntext', 'same\ntext').length === 0, 'Equal texts have no changes');
+
+  // Test 2: Comparing days
+  console.log('\n📝 Testing day comparison...\n');
+
+  const demo = CathReadings.getDemoData();
+  assert(!ReadingsDiff.compare(demo, CathReadings.getDemoData()).changed, 'Identical days are unchanged');
+
+  const diff = ReadingsDiff.compare(demo, correctedDay());
+  assert(diff.changed, 'Corrections are detected');
+  assert(diff.references.length === 1 && diff.references[0].name === 'Gospel' &&
+    diff.references[0].before === 'Matthew 21:23-27' && diff.references[0].after === 'Matthew 21:23-28',
+    'Changed references are listed');
+  assert(diff.texts.length === 1 && diff.texts[0].name === 'Gospel' &&
+    diff.texts[0].lines.map(line => line.type).join() === 'removed,added', 'Changed texts list their lines');
+  assert(diff.added.length === 1 && diff.added[0].name === 'Reading 1' && diff.added[0].option === 1,
+    'New alternatives are added');
+  assert(diff.removed.length === 0 && diff.fields.length === 0, 'Nothing else is reported');
+
+  const shorter = CathReadings.getDemoData();
+  shorter.readings.pop();
+  shorter.title = 'Monday';
+  const cut = ReadingsDiff.compare(demo, shorter);
+  assert(cut.removed.length === 1 && cut.removed[0].reference === 'Matthew 21:23-27', 'Missing readings are removed');
+  assert(cut.fields.length === 1 && cut.fields[0].field === 'title', 'Title changes are listed');
+
+  const first = ReadingsDiff.compare(null, demo);
+  assert(first.changed && first.added.length === 4, 'Without an old copy every reading is added');
+
+  // Test 3: Multi-Mass days
+  console.log('\n📝 Testing multi-Mass days...\n');
+
+  const christmas = (gospel) => ({
+    title: 'Christmas',
+    lectionary: '16',
+    readings: [],
+    masses: [
+      { name: 'Vigil Mass', readings: [{ name: 'Gospel', reference: 'Matthew 1:1-25', text: '', options: [] }] },
+      { name: 'Mass during the Day', readings: [{ name: 'Gospel', reference: gospel, text: '', options: [] }] }
+    ]
+  });
+  const massDiff = ReadingsDiff.compare(christmas('John 1:1-18'), christmas('John 1:1-5'));
+  assert(massDiff.references.length === 1 && massDiff.references[0].mass === 'Mass during the Day',
+    'Readings are compared Mass by Mass');
+
+  // Test 4: Revalidation
+  console.log('\n📝 Testing revalidation...\n');
+
+  const api = new CathReadings({ persistentCache: null });
+  let served = CathReadings.getDemoData();
+  api.fetchReadings = async () => served;
+  const changes = [];
+  api.on('change', change => changes.push(change));
+
+  let result = await api.revalidate('2025-12-15');
+  assert(result.previous === null && result.diff.changed && changes.length === 0,
+    'Revalidating an uncached date caches it without a change event');
+
+  served = correctedDay();
+  result = await api.revalidate('121525');
+  assert(result.date === '2025-12-15' && result.diff.references.length === 1, 'revalidate returns the diff');
+  assert(changes.length === 1 && changes[0].previous.readings[3].reference === 'Matthew 21:23-27',
+    'A change event carries the previous readings');
+  assert((await api.getReadings('2025-12-15')).readings[3].reference === 'Matthew 21:23-28', 'The fresh readings are cached');
+
+  await api.revalidate('2025-12-15');
+  assert(changes.length === 1, 'Unchanged days emit nothing');
+
+  // Test 5: Background revalidation
+  console.log('\n📝 Testing background revalidation...\n');
+
+  const background = new CathReadings({ persistentCache: null, revalidateAfter: 0 });
+  await background.writeCache('121525', CathReadings.getDemoData());
+  background.fetchReadings = async () => correctedDay();
+  const seen = new Promise(resolve => background.on('change', resolve));
+
+  const stale = await background.getReadings('2025-12-15');
+  assert(stale.readings[3].reference === 'Matthew 21:23-27', 'The cached copy is returned at once');
+  assert(background.revalidations.size === 1, 'A revalidation starts in the background');
+  background.getReadings('2025-12-15');
+  assert(background.revalidations.size === 1, 'A date is not revalidated twice at once');
+  const change = await seen;
+  assert(change.diff.references[0].after === 'Matthew 21:23-28', 'A change event is emitted');
+
+  const failing = new CathReadings({ persistentCache: null, revalidateAfter: 0 });
+  await failing.writeCache('121525', CathReadings.getDemoData());
+  failing.fetchReadings = async () => {
+    throw new CathReadings.TimeoutError('Request timed out after 6000ms');
+  };
+  const errors = [];
+  failing.on('revalidateError', event => errors.push(event));
+  failing.on('revalidateError', () => {
+    throw new Error('A broken listener');
+  });
+  await failing.getReadings('2025-12-15');
+  assert(await failing.revalidateInBackground('2025-12-15') === null && errors.length === 1 &&
+    errors[0].error instanceof CathReadings.TimeoutError, 'Failures are emitted as revalidateError');
+
+  const quiet = new CathReadings({ persistentCache: null });
+  await quiet.writeCache('121525', CathReadings.getDemoData());
+  await quiet.getReadings('2025-12-15');
+  assert(quiet.revalidations.size === 0, 'Without revalidateAfter cached days are not revalidated');
+
+  const listener = () => {};
+  api.on('change', listener).off('change', listener);
+  assert(api.listeners.get('change').length === 1, 'off removes a listener');
+
+  console.log('\n✨ All tests passed!\n');
+})();
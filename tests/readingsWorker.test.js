@@ -0,0 +1,138 @@
+/**
+ * Tests for the service worker companion
+ * Run with: node tests/readingsWorker.test.js
+ */
+
+const CathReadings = require('../cathReadings.js');
+const ReadingsWorker = require('../lib/readingsWorker.js');
+
+// Simple assertion helper
+function assert(condition, message) {
+  if (!condition) {
+    console.error(`❌ FAILED: ${message}`);
+    process.exit(1);
+  } else {
+    console.log(`✅ PASSED: ${message}`);
+  }
+}
+
+const SCOPE = 'https://parish.example.org/narthex/';
+
+// Just enough of a ServiceWorkerGlobalScope: event listeners, Cache Storage, fetch and Background Sync
+function fakeScope(network) {
+  const listeners = {};
+  const stored = new Map();
+  const syncs = [];
+  const cache = {
+    addAll: async urls => Promise.all(urls.map(async (url) => {
+      stored.set(new URL(url, SCOPE).href, await network.fetch(new Request(new URL(url, SCOPE))));
+    })),
+    put: async (request, response) => { stored.set(request.url, response); },
+    match: async request => (stored.get(request.url.split('?')[0]) || undefined)
+  };
+  return {
+    syncs,
+    stored,
+    registration: { scope: SCOPE, sync: { register: async tag => syncs.push(tag) } },
+    caches: { open: async () => cache },
+    fetch: request => network.fetch(request),
+    skipWaiting: async () => {},
+    clients: { claim: async () => {} },
+    addEventListener: (type, fn) => { listeners[type] = fn; },
+    // Fires an event and waits for what its listener passed to waitUntil and respondWith
+    dispatch: async (type, props = {}) => {
+      const waits = [];
+      let response = null;
+      listeners[type]({ ...props, waitUntil: promise => waits.push(promise), respondWith: r => { response = r; } });
+      await Promise.all(waits);
+      return response;
+    }
+  };
+}
+
+(async () => {
+  // Test 1: The page's files are kept for offline use
+  console.log('\n📝 Testing the shell cache...\n');
+
+  const network = {
+    online: true,
+    fetch: async (request) => {
+      if (!network.online) throw new TypeError('Failed to fetch');
+      return new Response(`<html>${new URL(request.url).pathname}</html>`, { status: 200 });
+    }
+  };
+  const scope = fakeScope(network);
+
+  const api = new CathReadings({
+    persistentCache: new CathReadings.CacheStores.MemoryStore({ maxEntries: Infinity }),
+    requestDelay: 0
+  });
+  let missing = [];
+  api.fetchPage = async (url) => {
+    if (!network.online) throw new CathReadings.NetworkError('Failed to fetch', { url });
+    if (missing.some(date => url.includes(date))) throw new CathReadings.NotFoundError('HTTP 404', { url, status: 404 });
+    return '';
+  };
+  api.parseReadings = (html, date) => ({ date: CathReadings.formatIsoDate(date), title: 'Weekday', masses: [] });
+
+  const worker = ReadingsWorker.install({ scope, api, days: 3, shell: ['./', 'kiosk.js'] });
+  await scope.dispatch('install');
+  assert(scope.stored.has(SCOPE) && scope.stored.has(`${SCOPE}kiosk.js`), 'Installing caches the shell');
+
+  network.online = false;
+  let response = await scope.dispatch('fetch', { request: new Request(`${SCOPE}kiosk.js?v=2`) });
+  assert(await response.text() === '<html>/narthex/kiosk.js</html>', 'Shell files are served from the cache offline');
+  assert(worker.handleFetch(new Request('https://cdn.example.org/font.woff')) === null, 'Other requests are left to the browser');
+  network.online = true;
+
+  // Test 2: Refreshing pins the coming days
+  console.log('\n📝 Testing refresh...\n');
+
+  const today = CathReadings.today();
+  const day = offset => new Date(today.getFullYear(), today.getMonth(), today.getDate() + offset);
+  const iso = offset => CathReadings.formatIsoDate(day(offset));
+  await api.pin(day(-1), day(-1));
+
+  let result = await worker.refresh();
+  assert(result.pinned.join() === [iso(0), iso(1), iso(2)].join(), 'refresh pins the next days from today');
+  assert((await api.getPinned()).join() === [iso(0), iso(1), iso(2)].join(), 'Days gone by are unpinned');
+  assert(scope.syncs.length === 0, 'No sync is requested when everything was fetched');
+
+  missing = [CathReadings.formatDateForUrl(day(3))];
+  worker.days = 4;
+  result = await worker.refresh();
+  assert(result.failed.length === 1 && scope.syncs.length === 0, 'Unpublished days do not request a sync');
+  assert(worker.refresh() === worker.refresh(), 'Refreshes running together are shared');
+  await worker.refresh();
+
+  network.online = false;
+  missing = [];
+  worker.days = 5;
+  await scope.dispatch('message', { data: { type: ReadingsWorker.SYNC_TAG } });
+  assert(scope.syncs.join() === ReadingsWorker.SYNC_TAG, 'Failing to fetch offline requests a Background Sync');
+
+  network.online = true;
+  await scope.dispatch('sync', { tag: ReadingsWorker.SYNC_TAG });
+  assert((await api.getPinned()).length === 5, 'The sync event refreshes once back online');
+
+  // Test 3: Readings routes
+  console.log('\n📝 Testing the readings routes...\n');
+
+  network.online = false;
+  response = await scope.dispatch('fetch', { request: new Request(`${SCOPE}readings/today`) });
+  assert(response.status === 200 && (await response.json()).date === iso(0), 'readings/today is served offline');
+  response = await scope.dispatch('fetch', { request: new Request(`${SCOPE}readings/${iso(2)}`) });
+  assert(response.status === 200 && (await response.json()).date === iso(2), 'readings/:date is served offline');
+
+  response = await scope.dispatch('fetch', { request: new Request(`${SCOPE}readings/${iso(20)}`) });
+  const body = await response.json();
+  assert(response.status === 502 && body.error.name === 'NetworkError' && body.error.date === iso(20),
+    'Days not pinned fail offline with the error as JSON');
+  response = await scope.dispatch('fetch', { request: new Request(`${SCOPE}readings/tomorrow`) });
+  assert(response.status === 400, 'Invalid dates are rejected');
+  response = await scope.dispatch('fetch', { request: new Request(`${SCOPE}readings/%E0`) });
+  assert(response.status === 400 && (await response.json()).error.name === 'HttpError', 'Malformed escapes are rejected');
+  assert(worker.handleFetch(new Request(`${SCOPE}readings/today`, { method: 'POST' })) === null, 'Only GET requests are answered');
+
+  console.log('\n✨ All tests passed!\n');
+})();
@@ -0,0 +1,74 @@
+/**
+ * Tests for the Markdown, HTML, text and iCalendar renderers
+ * Run with: node tests/renderers.test.js
+ */
+
+const CathReadings = require('../cathReadings.js');
+const Renderers = require('../lib/renderers.js');
+
+// Simple assertion helper
+function assert(condition, message) {
+  if (!condition) {
+    console.error(`❌ FAILED: ${message}`);
+    process.exit(1);
+  } else {
+    console.log(`✅ PASSED: ${message}`);
+  }
+}
+
+const day = CathReadings.getDemoData();
+
+// Test 1: Markdown
+console.log('\n📝 Testing Markdown...\n');
+
+const markdown = Renderers.toMarkdown(day);
+assert(markdown.startsWith('# Monday of the Third Week of Advent\n\n*December 15, 2025 · Advent'), 'Markdown starts with the title and date');
+assert(markdown.includes('## Responsorial Psalm\n\n*Psalm 25:4-5ab, 6 and 7bc, 8-9*'), 'Each reading has a heading and reference');
+assert(markdown.includes('tribe by tribe,  \nthe spirit'), 'Lines of verse end with a hard break');
+assert(markdown.includes('**R.** (4) Teach me your ways, O Lord.'), 'Refrains are bold');
+assert(Renderers.toMarkdown(day, { headingLevel: 2 }).startsWith('## Monday'), 'headingLevel shifts the headings');
+assert(!Renderers.toMarkdown(day, { includeText: false }).includes('Balaam'), 'includeText: false leaves out the texts');
+assert(Renderers.toMarkdown({ ...day, title: '*Test* #1' }).startsWith('# \\*Test\\* #1'), 'Markdown characters are escaped');
+
+// Test 2: HTML
+console.log('\n📝 Testing HTML...\n');
+
+const html = Renderers.toHtml(day);
+assert(html.startsWith('<article class="readings" aria-labelledby="readings-2025-12-15">'), 'HTML is an article labelled by its title');
+assert(html.includes('<h1 id="readings-2025-12-15">Monday of the Third Week of Advent</h1>') &&
+  html.includes('<time datetime="2025-12-15">December 15, 2025</time>'), 'The header has the title and a machine-readable date');
+assert(html.includes('<section class="reading" aria-labelledby="readings-2025-12-15-1">') &&
+  html.includes('<h2 id="readings-2025-12-15-1">Reading 1</h2>'), 'Each reading is a section labelled by its heading');
+assert(html.includes('tribe by tribe,<br>\n        the spirit'), 'Lines of verse are separated by <br>');
+assert(html.includes('<strong class="response"><abbr title="Response">R.</abbr> (4) Teach me your ways, O Lord.</strong>'),
+  'Refrains are marked up');
+assert(Renderers.toHtml({ ...day, title: '<script>' }).includes('&lt;script&gt;'), 'Text is escaped');
+assert(!Renderers.toHtml(day, { includeText: false }).includes('class="text"'), 'includeText: false leaves out the texts');
+
+// Test 3: Plain text
+console.log('\n📝 Testing plain text...\n');
+
+const text = Renderers.toText(day, { width: 40 });
+assert(text.startsWith('Monday of the Third Week of Advent\n'), 'Text starts with the title');
+assert(text.split('\n').every(line => line.length <= 40), 'Lines are wrapped to the width');
+assert(text.includes('\n  '), 'Wrapped lines are indented');
+assert(Renderers.toText(day, { width: 0 }).includes('When Balaam raised his eyes and saw Israel encamped, tribe by tribe,'),
+  'A width of 0 disables wrapping');
+assert(Renderers.toText(day, { includeText: false }).includes('Gospel: Matthew 21:23-27'), 'includeText: false lists references');
+
+// Test 4: iCalendar
+console.log('\n📝 Testing iCalendar...\n');
+
+const ics = Renderers.toICalendar([day, { ...day, date: '2025-12-31' }], { timestamp: new Date(Date.UTC(2025, 11, 1)) });
+const lines = ics.split('\r\n');
+assert(lines[0] === 'BEGIN:VCALENDAR' && lines[lines.length - 2] === 'END:VCALENDAR' && lines[lines.length - 1] === '',
+  'The feed is a VCALENDAR with CRLF line endings');
+assert(ics.split('BEGIN:VEVENT').length === 3, 'There is one event per day');
+assert(ics.includes('DTSTART;VALUE=DATE:20251215\r\nDTEND;VALUE=DATE:20251216'), 'Events are all-day');
+assert(ics.includes('DTEND;VALUE=DATE:20260101'), 'DTEND rolls over to the next year');
+assert(ics.includes('DTSTAMP:20251201T000000Z'), 'The timestamp is used for DTSTAMP');
+assert(ics.includes('URL:https://bible.usccb.org/bible/readings/121525.cfm'), 'Events link to the USCCB page');
+assert(lines.every(line => Buffer.byteLength(line) <= 75), 'Lines are folded to 75 octets');
+assert(lines.join('\n').replace(/\n /g, '').includes('Reading 1: Numbers 24:2-7\\, 15-17a'), 'Descriptions list escaped references');
+
+console.log('\n✨ All tests passed!\n');
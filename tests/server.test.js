@@ -0,0 +1,125 @@
+/**
+ * Tests for the HTTP readings API
+ * Run with: node tests/server.test.js
+ */
+
+const http = require('http');
+const CathReadings = require('../cathReadings.js');
+const { createServer } = require('../lib/server.js');
+
+// Simple assertion helper
+function assert(condition, message) {
+  if (!condition) {
+    console.error(`❌ FAILED: ${message}`);
+    process.exit(1);
+  } else {
+    console.log(`✅ PASSED: ${message}`);
+  }
+}
+
+// Fake USCCB: December 15, 2025 loads from the demo data, December 17 times out, anything else is missing
+const api = new CathReadings({ persistentCache: null, retries: 0 });
+let fetches = 0;
+api.getReadings = async (date) => {
+  fetches++;
+  const iso = CathReadings.formatIsoDate(date);
+  if (iso === '2025-12-15') return CathReadings.getDemoData();
+  const error = iso === '2025-12-17'
+    ? new CathReadings.TimeoutError('Request timed out after 6000ms')
+    : new CathReadings.NotFoundError('HTTP 404');
+  error.date = iso;
+  throw error;
+};
+api.fetchUrl = async url => `<html><body>${url}</body></html>`;
+
+(async () => {
+  const server = createServer({ api });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const get = (path, init) => fetch(base + path, init);
+  // fetch normalizes the request target, so targets it would refuse are sent with http.request
+  const getRaw = target => new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port: server.address().port, path: target }, (res) => {
+      let text = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => { text += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(text) }));
+    }).on('error', reject);
+  });
+
+  try {
+    // Test 1: Readings routes
+    console.log('\n📝 Testing readings routes...\n');
+
+    let response = await get('/readings/2025-12-15');
+    let body = await response.json();
+    assert(response.status === 200 && body.title === 'Monday of the Third Week of Advent', '/readings/:date returns the readings');
+    assert(response.headers.get('access-control-allow-origin') === '*', 'Responses carry CORS headers');
+    assert(response.headers.get('content-type').startsWith('application/json'), 'Readings are JSON');
+
+    response = await get('/readings/121525');
+    assert(response.status === 200, 'MMDDYY dates are accepted');
+
+    response = await get('/readings/2025-12-16');
+    body = await response.json();
+    assert(response.status === 404 && body.error.name === 'NotFoundError' && body.error.date === '2025-12-16',
+      'Unpublished dates are 404 with the error');
+
+    response = await get('/readings/2025-12-17');
+    assert(response.status === 504, 'Timeouts are 504');
+
+    response = await get('/readings/2025-02-30');
+    assert(response.status === 400, 'Invalid dates are 400');
+    response = await get('/readings/%E0');
+    body = await response.json();
+    assert(response.status === 400 && body.error.name === 'HttpError', 'Malformed escapes in the path are 400');
+    const raw = await getRaw('http://[/');
+    assert(raw.status === 400 && raw.body.error.name === 'HttpError', 'Malformed request targets are 400');
+
+    response = await get('/readings?from=2025-12-15&to=2025-12-16');
+    body = await response.json();
+    assert(response.status === 200 && body.length === 2 && body[0].readings.date === '2025-12-15' &&
+      body[1].error.name === 'NotFoundError', '/readings?from=&to= reports each date');
+
+    response = await get('/readings?from=2025-12-15');
+    assert(response.status === 400, 'Ranges need both ends');
+    response = await get('/readings?from=2025-01-01&to=2025-12-31');
+    assert(response.status === 400, 'Long ranges are refused');
+
+    // Test 2: Calendar routes
+    console.log('\n📝 Testing calendar routes...\n');
+
+    fetches = 0;
+    response = await get('/season/2025-12-15');
+    body = await response.json();
+    assert(response.status === 200 && body.date === '2025-12-15' && body.season === 'Advent', '/season/:date returns the season');
+    response = await get('/rank/2026-01-18');
+    body = await response.json();
+    assert(body.rank === 'Sunday' && fetches === 0, '/rank/:date is computed without fetching');
+
+    response = await get('/calendar.ics?from=2025-12-15&to=2025-12-16');
+    const ics = await response.text();
+    assert(response.status === 200 && response.headers.get('content-type').startsWith('text/calendar') &&
+      ics.split('BEGIN:VEVENT').length === 2, '/calendar.ics has an event per published date');
+
+    // Test 3: Proxy, methods and unknown routes
+    console.log('\n📝 Testing proxy and errors...\n');
+
+    response = await get(`/proxy?url=${encodeURIComponent(`${api.baseUrl}/121525.cfm`)}`);
+    assert(response.status === 200 && (await response.text()).includes('121525.cfm'), '/proxy returns USCCB pages');
+    response = await get(`/proxy?url=${encodeURIComponent('https://example.com/')}`);
+    assert(response.status === 400, '/proxy refuses other sites');
+
+    response = await get('/readings/2025-12-15', { method: 'OPTIONS' });
+    assert(response.status === 204 && response.headers.get('access-control-allow-methods').includes('GET'),
+      'Preflight requests are answered');
+    response = await get('/readings/2025-12-15', { method: 'POST' });
+    assert(response.status === 405 && response.headers.get('allow') === 'GET, HEAD, OPTIONS', 'Other methods are 405');
+    response = await get('/psalms');
+    assert(response.status === 404 && (await response.json()).error.name === 'HttpError', 'Unknown routes are 404');
+  } finally {
+    server.close();
+  }
+
+  console.log('\n✨ All tests passed!\n');
+})();
@@ -0,0 +1,111 @@
+/**
+ * Tests for source adapters and locales
+ * Run with: node tests/sources.test.js
+ */
+
+const CathReadings = require('../cathReadings.js');
+const Sources = require('../lib/sources.js');
+const Locales = require('../lib/locales.js');
+
+// Simple assertion helper
+function assert(condition, message) {
+  if (!condition) {
+    console.error(`❌ FAILED: ${message}`);
+    process.exit(1);
+  } else {
+    console.log(`✅ PASSED: ${message}`);
+  }
+}
+
+function throws(fn, type) {
+  try {
+    fn();
+  } catch (error) {
+    return error instanceof type;
+  }
+  return false;
+}
+
+// A parish feed that serves each day as JSON
+const parishAdapter = {
+  name: 'st-mary-ottawa',
+  baseUrl: 'https://stmary.example.ca/readings',
+  locale: 'en-CA',
+  pageUrl: (date, api) => `${api.baseUrl}/${CathReadings.formatIsoDate(date)}.json`,
+  parse: (body, date) => ({ ...JSON.parse(body), date: CathReadings.formatIsoDate(date) })
+};
+
+(async () => {
+  // Test 1: Locales
+  console.log('\n📝 Testing locales...\n');
+
+  assert(Locales.seasonName('Ordinary Time', 'es-MX') === 'Tiempo Ordinario', 'Regional tags fall back to their language');
+  assert(Locales.rankName('Optional Memorial', 'fr') === 'Mémoire facultative', 'Ranks have names in French');
+  assert(Locales.seasonName('Lent', 'de-DE') === 'Lent', 'Unknown languages use English');
+  assert(Locales.formatDate(new Date(2025, 11, 15), 'es-US') === '15 de diciembre de 2025', 'Dates are formatted for the locale');
+
+  Locales.register('pt', { seasons: { Advent: 'Advento' } });
+  assert(Locales.seasonName('Advent', 'pt-BR') === 'Advento' && Locales.seasonName('Lent', 'pt') === 'Lent',
+    'Registered locales fill in what they name');
+  assert(Locales.list().includes('pt'), 'list includes registered locales');
+
+  // Test 2: Built-in sources
+  console.log('\n📝 Testing built-in sources...\n');
+
+  assert(Sources.list().join() === 'usccb,usccb-es', 'USCCB English and Spanish are built in');
+  const english = new CathReadings({ persistentCache: null });
+  const spanish = new CathReadings({ persistentCache: null, source: 'usccb-es' });
+  const date = CathReadings.toDate('2025-12-15');
+  assert(english.pageUrl(date) === 'https://bible.usccb.org/bible/readings/121525.cfm', 'English pages keep their URL');
+  assert(spanish.pageUrl(date) === 'https://bible.usccb.org/es/bible/lecturas/121525.cfm' && spanish.locale === 'es-US',
+    'The Spanish source has its own URL and locale');
+  assert(english.cacheKey(date) === '121525' && spanish.cacheKey(date) === 'usccb-es:121525',
+    'Sources are kept apart in the cache');
+  assert(new CathReadings({ persistentCache: null, source: 'usccb-es', locale: 'en-US' }).locale === 'en-US',
+    'The locale option overrides the source\'s');
+  assert(throws(() => new CathReadings({ source: 'nope' }), Error), 'Unknown sources throw');
+
+  // Test 3: Custom sources
+  console.log('\n📝 Testing custom sources...\n');
+
+  assert(throws(() => CathReadings.registerSource({ name: 'broken' }), TypeError), 'Adapters need a parse function');
+  CathReadings.registerSource(parishAdapter);
+  assert(Sources.get('st-mary-ottawa') === parishAdapter, 'Registered adapters can be looked up');
+
+  const served = [];
+  const demo = CathReadings.getDemoData();
+  const parish = new CathReadings({
+    persistentCache: null,
+    source: 'st-mary-ottawa',
+    fetch: async (url) => {
+      served.push(url);
+      return { ok: true, status: 200, text: async () => JSON.stringify({ ...demo, source: undefined }) };
+    }
+  });
+  const readings = await parish.getReadings('2025-12-15');
+  assert(served[0] === 'https://stmary.example.ca/readings/2025-12-15.json', 'Custom adapters build their own URLs');
+  assert(readings.source === 'st-mary-ottawa' && readings.lectionary === '187', 'Custom adapters parse their own pages');
+  assert(await parish.isCached('2025-12-15') && parish.cacheKey(date) === 'st-mary-ottawa:121525',
+    'Custom sources are cached under their name');
+  assert(CathReadings.validate(readings).valid, 'Custom sources validate with the USCCB labels by default');
+
+  const inline = new CathReadings({ persistentCache: null, source: { ...parishAdapter, name: 'inline' } });
+  assert(inline.source.name === 'inline' && Sources.get('inline') === null, 'Adapters can be passed without registering');
+
+  // Test 4: Cached days follow the reader's locale
+  console.log('\n📝 Testing localized cache hits...\n');
+
+  const store = new CathReadings.CacheStores.MemoryStore({ maxEntries: Infinity });
+  const writer = new CathReadings({ persistentCache: store });
+  await writer.writeCache('121525', CathReadings.getDemoData());
+  const reader = new CathReadings({ persistentCache: store, locale: 'es-US', fetch: async () => {
+    throw new Error('Should not fetch');
+  } });
+  const localized = await reader.getReadings('2025-12-15');
+  assert(localized.displayDate === '15 de diciembre de 2025' && localized.seasonName === 'Adviento' &&
+    localized.rankName === 'Feria' && localized.title === 'Monday of the Third Week of Advent',
+    'Cache hits are shown in the instance\'s locale');
+  assert(english.localize(demo) === demo, 'Days already in the locale are returned as they are');
+
+  console.log('\n✨ All tests passed!\n');
+})();
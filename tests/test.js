@@ -3,6 +3,7 @@
  * Run with: node tests/test.js
  */
 
+const { getEventListeners } = require('events');
 const CathReadings = require('../cathReadings.js');
 
 // Simple assertion helper
@@ -42,7 +43,7 @@ validationPassed = false;
 try {
   CathReadings.parseDateString('12152');
 } catch (e) {
-  validationPassed = e.message === 'Date must be in MMDDYY format';
+  validationPassed = e.message === 'Date must be in YYYY-MM-DD, MMDDYYYY or MMDDYY format';
 }
 assert(validationPassed, 'parseDateString validates MMDDYY format');
 
@@ -57,7 +58,575 @@ assert(typeof readings.getTomorrow === 'function', 'getTomorrow method exists');
 assert(typeof readings.getReadingsByDaysOffset === 'function', 'getReadingsByDaysOffset method exists');
 
 // Test 7: Async method returns promise
-const todayPromise = readings.getToday();
+const offline = new CathReadings({
+  fetch: async () => ({ ok: false, status: 404, text: async () => '' }),
+  retries: 0,
+  persistentCache: null
+});
+const todayPromise = offline.getToday();
 assert(todayPromise instanceof Promise, 'getToday returns a Promise');
+todayPromise.catch(() => {}); // The stand-in fetch has no pages
 
-console.log('\n✨ All tests passed!\n');
+// Test 8: Rank of a scraped title
+const agnesDay = CathReadings.LiturgicalCalendar.getDay(new Date(2026, 0, 21));
+assert(readings.extractLiturgicalRank('Saint Agnes, Virgin and Martyr', null, agnesDay) === 'Memorial',
+  'extractLiturgicalRank matches the title against the calendar');
+assert(readings.extractLiturgicalRank('Tuesday of the Third Week of Easter', null) === 'Ferial',
+  'extractLiturgicalRank no longer ranks Easter weekdays as solemnities');
+assert(readings.extractLiturgicalRank('Fourteenth Sunday in Ordinary Time', null) === 'Sunday',
+  'extractLiturgicalRank ranks Sundays as Sunday');
+const christmasEve = CathReadings.LiturgicalCalendar.getDay(new Date(2025, 11, 24));
+assert(readings.crossCheckCalendar('The Nativity of the Lord (Christmas) - Vigil Mass', null, christmasEve).length === 0 &&
+  readings.crossCheckCalendar('The Nativity of the Lord (Christmas) - Mass during the Night', null, christmasEve).length === 0,
+  'crossCheckCalendar accepts vigil and night Masses titled after the next day');
+assert(readings.crossCheckCalendar('The Nativity of the Lord (Christmas) - Mass during the Day', null, christmasEve).length === 2,
+  'crossCheckCalendar still flags other Masses of the next day');
+
+// Test 9: Default Mass on multi-Mass days
+const christmasMasses = [
+  { name: 'Vigil Mass', url: 'https://bible.usccb.org/bible/readings/122525-Vigil.cfm' },
+  { name: 'Mass during the Night', url: 'https://bible.usccb.org/bible/readings/122525-Night.cfm' },
+  { name: 'Mass at Dawn', url: 'https://bible.usccb.org/bible/readings/122525-Dawn.cfm' },
+  { name: 'Mass during the Day', url: 'https://bible.usccb.org/bible/readings/122525-Day.cfm' }
+];
+assert(CathReadings.pickDefaultMass(christmasMasses).name === 'Mass during the Day', 'pickDefaultMass prefers the Mass during the Day');
+assert(CathReadings.pickDefaultMass(christmasMasses.slice(0, 2)).name === 'Mass during the Night', 'pickDefaultMass skips vigils');
+
+// Test 10: Short forms of readings with bracketed verses
+const longText = 'Now a man was ill, Lazarus from Bethany.\n[So the sisters sent word to him.]\nJesus loved Martha.\n\n[When Jesus arrived,\nhe found that Lazarus had already been buried.]';
+const shortForm = readings.extractShortForm('John 11:1-45', 'John 11:1-45 or 11:3-7, 17, 20-27, 33b-45', longText);
+assert(shortForm.reference === 'John 11:3-7, 17, 20-27, 33b-45', 'extractShortForm completes the short reference with the book');
+assert(shortForm.citation.segments.length === 4 && shortForm.citation.segments[3].verseStartPart === 'b',
+  'extractShortForm parses the short reference into a citation');
+assert(shortForm.text === 'Now a man was ill, Lazarus from Bethany.\nJesus loved Martha.', 'extractShortForm drops bracketed verses');
+assert(readings.extractShortForm('Matthew 21:23-27', 'Matthew 21:23-27', 'No brackets here') === null,
+  'extractShortForm returns null without bracketed verses');
+
+// Test 11: Responsorial Psalm and Gospel Acclamation
+const demo = CathReadings.getDemoData();
+const psalm = readings.parseResponsorial('Responsorial Psalm', demo.readings[1].text);
+assert(psalm.response.text === 'Teach me your ways, O Lord.' && psalm.response.reference === '4',
+  'parseResponsorial extracts the refrain and its verse reference');
+assert(psalm.stanzas.length === 3 && psalm.stanzas[0].startsWith('Your ways, O LORD'), 'parseResponsorial splits the stanzas');
+const easterPsalm = readings.parseResponsorial('Responsorial Psalm',
+  'R. (1) Let all the earth cry out to God with joy.\nor:\nR. Alleluia.\nShout joyfully to God, all the earth.\nR. Let all the earth cry out to God with joy.\nor:\nR. Alleluia.');
+assert(easterPsalm.response.alternatives.join() === 'Alleluia.', 'parseResponsorial collects alternative refrains');
+assert(readings.parseResponsorial('Alleluia', demo.readings[2].text).acclamation === 'Alleluia', 'Alleluia acclamation is recognized');
+const lenten = readings.parseResponsorial('Verse Before the Gospel',
+  'R. Praise to you, Lord Jesus Christ, King of endless glory!\nEven now, says the LORD,\nreturn to me with your whole heart.\nR. Praise to you, Lord Jesus Christ, King of endless glory!');
+assert(lenten.acclamation === 'Lenten' && lenten.stanzas.length === 1, 'Lenten acclamation is told apart from the Alleluia');
+assert(readings.parseResponsorial('Gospel', demo.readings[3].text) === null, 'parseResponsorial ignores other readings');
+
+// Test 12: Season and rank come from the offline calendar
+(async () => {
+  assert(await readings.getSeason('121525') === 'Advent', 'getSeason computes the season offline');
+  assert(await readings.getRank('121525') === 'Ferial', 'getRank computes the rank offline');
+  assert(await readings.getSeason(new Date(2026, 3, 5)) === 'Easter', 'getSeason accepts a Date');
+  assert(await readings.getRank('011826') === 'Sunday', 'getRank ranks Sundays in Ordinary Time as Sunday');
+  assert((await readings.getCelebration('012126')).name === 'Saint Agnes', 'getCelebration computes the celebration offline');
+  assert((await readings.findCelebration('St. Joseph', 2026)).date === '2026-03-19', 'findCelebration finds the date of a saint');
+
+  // With fromReadings, the celebration is the one the page keeps
+  const memorialApi = new CathReadings({ persistentCache: null });
+  memorialApi.getReadings = async () => ({ title: 'Saint Sebastian, Martyr' });
+  const sebastian = await memorialApi.getCelebration('012026', { fromReadings: true });
+  assert(sebastian.name === 'Saint Sebastian' && sebastian.optional && sebastian.color === 'red',
+    'getCelebration can return the optional memorial a page keeps');
+
+  // Multi-Mass days follow each sub-page
+  const massApi = new CathReadings();
+  massApi.fetchPage = async (url) => url;
+  massApi.parseReadings = (url) => ({
+    title: `Title of ${url.split('-').pop()}`,
+    lectionary: '13',
+    readings: [{ name: 'Gospel', reference: url, referenceUrl: '', text: '' }],
+    masses: []
+  });
+  const index = { title: 'The Nativity of the Lord', lectionary: '', readings: [], masses: christmasMasses };
+  await massApi.loadMasses(index, new Date(2025, 11, 25));
+  assert(index.masses.length === 4 && index.masses[1].title === 'Title of Night.cfm', 'loadMasses fills in every Mass');
+  assert(index.readings[0].reference.endsWith('122525-Day.cfm'), 'loadMasses uses the Mass during the Day as the default');
+
+  // Test 13: Date ranges with concurrency limit and per-date errors
+  console.log('\n📝 Testing date ranges...\n');
+  const rangeApi = new CathReadings();
+  let inFlight = 0;
+  let maxInFlight = 0;
+  const fetched = [];
+  rangeApi.getReadings = async (date) => {
+    inFlight++;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    inFlight--;
+    fetched.push(date.getDate());
+    if (date.getDate() === 17) throw new Error('Unable to fetch readings');
+    return { date: CathReadings.formatIsoDate(date) };
+  };
+  const range = await rangeApi.getRange('121525', '121925', { concurrency: 3, delay: 0 });
+  assert(range.map(entry => entry.date).join() === '2025-12-15,2025-12-16,2025-12-17,2025-12-18,2025-12-19',
+    'getRange returns every date in order');
+  assert(maxInFlight === 3, 'getRange respects the concurrency limit');
+  assert(range[2].error && range[2].readings === null && range[3].readings.date === '2025-12-18',
+    'getRange reports failures per date and keeps the other results');
+
+  const startedAt = Date.now();
+  await rangeApi.getRange('121525', '121725', { concurrency: 3, delay: 30 });
+  assert(Date.now() - startedAt >= 55, 'getRange spaces requests by the polite delay');
+
+  await rangeApi.writeCache('121525', { date: 'cached' });
+  const cachedStart = Date.now();
+  await rangeApi.getRange('121525', '121525', { delay: 1000 });
+  assert(Date.now() - cachedStart < 500, 'Cached dates are not delayed');
+
+  const week = await rangeApi.getWeek('121725', { delay: 0 });
+  assert(week.length === 7 && week[0].date === '2025-12-14' && week[6].date === '2025-12-20', 'getWeek runs Sunday to Saturday');
+  const february = await rangeApi.getMonth(2028, 2, { delay: 0 });
+  assert(february.length === 29 && february[28].date === '2028-02-29', 'getMonth covers the whole month');
+
+  const iterated = [];
+  for await (const entry of rangeApi.iterateRange('123125', '010226', { delay: 0 })) {
+    iterated.push(entry.date);
+  }
+  assert(iterated.join() === '2025-12-31,2026-01-01,2026-01-02', 'iterateRange crosses the year boundary');
+
+  let backwardsRejected = false;
+  try {
+    await rangeApi.getRange('121925', '121525');
+  } catch (e) {
+    backwardsRejected = true;
+  }
+  assert(backwardsRejected, 'getRange rejects an end date before the start date');
+
+  // Test 14: Cache expiry, versioning, size limits and purging
+  console.log('\n📝 Testing the cache...\n');
+  const persistent = new CathReadings.CacheStores.MemoryStore({ maxEntries: Infinity });
+  const cacheApi = new CathReadings({ persistentCache: persistent, cacheTtl: 1000, cacheMaxEntries: 2 });
+  let pageFetches = 0;
+  cacheApi.fetchPage = async () => { pageFetches++; return ''; };
+  cacheApi.parseReadings = (html, date) => ({ date: CathReadings.formatIsoDate(date), masses: [] });
+
+  await cacheApi.getReadings('121525');
+  await cacheApi.getReadings('121525');
+  assert(pageFetches === 1, 'getReadings serves repeated dates from the cache');
+  assert((await persistent.get('121525')).version === CathReadings.CACHE_VERSION, 'Direct fetches are written to the persistent cache');
+
+  await cacheApi.cache.clear();
+  await cacheApi.getReadings('121525');
+  assert(pageFetches === 1, 'Persistent hits are served without fetching');
+  assert((await cacheApi.cache.keys()).includes('121525'), 'Persistent hits are promoted into memory');
+
+  const expired = await persistent.get('121525');
+  expired.storedAt -= 2000;
+  await cacheApi.cache.clear();
+  assert(!(await cacheApi.isCached('121525')), 'Entries older than the TTL are not used');
+
+  await persistent.set('121625', { version: CathReadings.CACHE_VERSION - 1, storedAt: Date.now(), value: {} });
+  assert(!(await cacheApi.isCached('121625')), 'Entries from another cache version are not used');
+
+  const report = await cacheApi.inspectCache();
+  assert(report.some(entry => entry.key === '121525' && entry.layer === 'persistent' && !entry.fresh),
+    'inspectCache reports stale entries');
+  assert(await cacheApi.purgeCache({ staleOnly: true }) === 2 && (await persistent.keys()).length === 0,
+    'purgeCache can remove only stale entries');
+
+  await cacheApi.getReadings('121725');
+  await cacheApi.getReadings('121825');
+  await cacheApi.getReadings('121925');
+  assert((await persistent.keys()).join() === '121825,121925', 'The persistent cache keeps at most cacheMaxEntries');
+  assert(await cacheApi.purgeCache() === 4 && (await cacheApi.inspectCache()).length === 0, 'purgeCache empties every layer');
+
+  // Test 15: Injectable fetch, headers, retries, timeouts and cancellation
+  console.log('\n📝 Testing the transport options...\n');
+  const calls = [];
+  const statuses = [503, 502, 200];
+  const fakeFetch = async (url, init) => {
+    calls.push({ url, init });
+    const status = statuses.shift() ?? 404;
+    return { ok: status === 200, status, text: async () => `<html>${url}</html>` };
+  };
+  const transport = new CathReadings({
+    fetch: fakeFetch,
+    baseUrl: 'http://localhost:8080/readings',
+    userAgent: 'ParishApp/1.0',
+    headers: { 'Accept-Language': 'en' },
+    retries: 2,
+    retryDelay: 1,
+    persistentCache: null
+  });
+  assert(await transport.fetchUrl('http://localhost:8080/readings/121525.cfm') === '<html>http://localhost:8080/readings/121525.cfm</html>',
+    'fetchUrl retries transient HTTP errors until one succeeds');
+  assert(calls.length === 3 && calls[0].init.headers['User-Agent'] === 'ParishApp/1.0' && calls[0].init.headers['Accept-Language'] === 'en',
+    'Requests use the custom fetch and headers');
+
+  calls.length = 0;
+  let notFound;
+  try {
+    await transport.fetchUrl('http://localhost:8080/readings/010100.cfm');
+  } catch (e) {
+    notFound = e;
+  }
+  assert(notFound && notFound.status === 404 && calls.length === 1, 'Permanent HTTP errors are not retried');
+
+  const hangingFetch = (url, init) => new Promise((resolve, reject) => {
+    init.signal.addEventListener('abort', () => reject(new Error('aborted')));
+  });
+  const slow = new CathReadings({ fetch: hangingFetch, timeout: 20, retries: 1, retryDelay: 1, persistentCache: null });
+  let timeoutError;
+  try {
+    await slow.fetchUrl('http://localhost:8080/slow');
+  } catch (e) {
+    timeoutError = e;
+  }
+  assert(timeoutError && /timed out after 20ms/.test(timeoutError.message), 'Requests time out after the configured timeout');
+
+  const controller = new AbortController();
+  const cancelled = new CathReadings({ fetch: hangingFetch, timeout: 0, persistentCache: null }).getReadings('121525', { signal: controller.signal });
+  controller.abort();
+  let abortedError;
+  try {
+    await cancelled;
+  } catch (e) {
+    abortedError = e;
+  }
+  assert(abortedError && abortedError.name === 'AbortError', 'getReadings can be cancelled with an AbortSignal');
+
+  const proxied = [];
+  const proxyApi = new CathReadings({
+    fetch: async (url) => {
+      proxied.push(url);
+      if (!url.startsWith('http://proxy.local')) throw new TypeError('fetch failed');
+      return { ok: true, status: 200, text: async () => 'via proxy' };
+    },
+    proxies: ['http://proxy.local/fetch?url={url}'],
+    retries: 0,
+    persistentCache: null
+  });
+  assert(await proxyApi.fetchPage('https://bible.usccb.org/bible/readings/121525.cfm') === 'via proxy',
+    'Configured proxies are used as a fallback outside the browser');
+  assert(proxied[1] === 'http://proxy.local/fetch?url=https%3A%2F%2Fbible.usccb.org%2Fbible%2Freadings%2F121525.cfm',
+    'Proxy templates receive the encoded page URL');
+  const sharedSignal = new AbortController().signal;
+  for (let i = 0; i < 3; i++) {
+    await proxyApi.fetchPage('https://bible.usccb.org/bible/readings/121525.cfm', { signal: sharedSignal });
+  }
+  assert(getEventListeners(sharedSignal, 'abort').length === 0, 'Proxy races remove their abort listener once settled');
+
+  proxied.length = 0;
+  const retryingApi = new CathReadings({
+    fetch: proxyApi.fetchImpl,
+    proxies: ['http://proxy.local/fetch?url={url}'],
+    retries: 2,
+    retryDelay: 500,
+    persistentCache: null
+  });
+  const proxyStarted = Date.now();
+  await retryingApi.fetchPage('https://bible.usccb.org/bible/readings/121525.cfm');
+  assert(proxied.length === 2 && Date.now() - proxyStarted < 500,
+    'Failed direct fetches go straight to the proxies without retrying');
+  proxied.length = 0;
+  try {
+    await new CathReadings({ fetch: proxyApi.fetchImpl, retries: 2, retryDelay: 1, persistentCache: null })
+      .fetchPage('https://bible.usccb.org/bible/readings/121525.cfm');
+  } catch (_) {
+    // Expected: there is no proxy to fall back on
+  }
+  assert(proxied.length === 3, 'Without proxies network errors are still retried');
+
+  // Test 16: Typed errors carry the date and URL
+  console.log('\n📝 Testing error classes...\n');
+  const { NotFoundError, NetworkError, TimeoutError, ProxyError, CathReadingsError } = CathReadings;
+  const failing = (status) => new CathReadings({
+    fetch: async () => ({ ok: false, status, text: async () => '' }),
+    baseUrl: 'http://localhost:8080/readings',
+    retries: 0,
+    persistentCache: null
+  });
+
+  let missing;
+  try {
+    await failing(404).getReadings('121525');
+  } catch (e) {
+    missing = e;
+  }
+  assert(missing instanceof NotFoundError && missing instanceof CathReadingsError, 'HTTP 404 throws NotFoundError');
+  assert(missing.date === '2025-12-15' && missing.url === 'http://localhost:8080/readings/121525.cfm',
+    'Errors carry the date and URL');
+
+  let serverError;
+  try {
+    await failing(500).getReadings('121525');
+  } catch (e) {
+    serverError = e;
+  }
+  assert(serverError instanceof NetworkError && !(serverError instanceof NotFoundError) && serverError.status === 500,
+    'Other HTTP errors throw NetworkError with the status');
+  assert(timeoutError instanceof TimeoutError && timeoutError instanceof NetworkError, 'Timeouts throw TimeoutError');
+
+  let offline;
+  try {
+    await new CathReadings({ fetch: async () => { throw new TypeError('fetch failed'); }, retries: 0, persistentCache: null })
+      .getReadings('121525');
+  } catch (e) {
+    offline = e;
+  }
+  assert(offline instanceof NetworkError && offline.cause instanceof TypeError, 'Connection failures throw NetworkError');
+
+  const proxyFailure = (proxyStatus) => new CathReadings({
+    fetch: async (url) => {
+      if (!url.startsWith('http://proxy')) throw new TypeError('fetch failed');
+      return { ok: false, status: proxyStatus, text: async () => '' };
+    },
+    proxies: ['http://proxy-a.local/?', 'http://proxy-b.local/?'],
+    retries: 0,
+    persistentCache: null
+  });
+  let proxyError;
+  try {
+    await proxyFailure(502).getReadings('121525');
+  } catch (e) {
+    proxyError = e;
+  }
+  assert(proxyError instanceof ProxyError && proxyError.errors.length === 2 && proxyError.date === '2025-12-15',
+    'Failing proxies throw ProxyError with each proxy\'s failure');
+  let proxiedMissing;
+  try {
+    await proxyFailure(404).getReadings('121525');
+  } catch (e) {
+    proxiedMissing = e;
+  }
+  assert(proxiedMissing instanceof NotFoundError, 'A 404 from every proxy throws NotFoundError');
+
+  // Test 17: Parsing HTML in Node without a browser DOM
+  console.log('\n📝 Testing parsing without a DOM...\n');
+  const page = `<html><body>
+    <div class="wr-block b-lectionary padding-bottom-m">
+      <div class="innerblock"><h2>Monday of the Third Week of Advent</h2><p>Lectionary: 187</p></div>
+    </div>
+    <div class="wr-block b-verse bg-white padding-bottom-m">
+      <div class="innerblock">
+        <div class="content-header">
+          <h3 class="name">Reading 1</h3>
+          <div class="address"><a href="https://bible.usccb.org/bible/numbers/24?2">Numbers 24:2-7, 15-17a</a></div>
+        </div>
+        <div class="content-body">
+          <p>When Balaam raised his eyes and saw Israel encamped, tribe by tribe,<br />
+          the spirit of God came upon him,<br />
+          and he gave voice to his oracle:</p>
+          <p>The utterance of Balaam, son of Beor,<br />
+          the utterance of a man whose eye is true,</p>
+        </div>
+      </div>
+    </div>
+    <div class="wr-block b-verse bg-white padding-bottom-m">
+      <div class="innerblock">
+        <div class="content-header">
+          <h3 class="name">Responsorial Psalm</h3>
+          <div class="address"><a href="/bible/psalms/25?4">Psalm 25:4-5ab, 6 and 7bc, 8-9</a></div>
+        </div>
+        <div class="content-body">
+          <p>R. (4) Teach me your ways, O Lord.</p>
+          <p>Your ways, O LORD, make known to me;<br />teach me your paths.</p>
+          <p>R. Teach me your ways, O Lord.</p>
+        </div>
+      </div>
+    </div>
+    <div class="wr-block b-verse bg-white padding-bottom-m">
+      <div class="innerblock">
+        <div class="content-header">
+          <h3 class="name">Gospel</h3>
+          <div class="address"><a href="https://bible.usccb.org/bible/matthew/21?23">Matthew 21:23-27</a></div>
+        </div>
+        <div class="content-body"><p>Jesus said to them in reply,<br />&#8220;I shall ask you one question&#8221;</p></div>
+      </div>
+    </div>
+  </body></html>`;
+  const parsed = CathReadings.parseReadings(page, '121525');
+  assert(parsed.title === 'Monday of the Third Week of Advent' && parsed.lectionary === '187',
+    'CathReadings.parseReadings reads the title and lectionary from an HTML string');
+  assert(parsed.readings.length === 3 && parsed.readings[0].reference === 'Numbers 24:2-7, 15-17a', 'parseReadings finds every reading');
+  assert(parsed.readings[0].text === 'When Balaam raised his eyes and saw Israel encamped, tribe by tribe,\nthe spirit of God came upon him,\nand he gave voice to his oracle:\n\nThe utterance of Balaam, son of Beor,\nthe utterance of a man whose eye is true,',
+    'Line breaks and paragraphs are kept and source indentation is dropped');
+  assert(parsed.readings[1].referenceUrl === 'https://bible.usccb.org/bible/psalms/25?4', 'Relative reference links resolve against USCCB');
+  assert(parsed.readings[1].response.text === 'Teach me your ways, O Lord.' && parsed.readings[1].stanzas.length === 1,
+    'The Responsorial Psalm is structured');
+  assert(parsed.readings[2].text.endsWith('“I shall ask you one question”'), 'Entities are decoded');
+  assert(parsed.readings[2].citation.book.osis === 'Matt', 'Readings carry parsed citations');
+  assert(parsed.celebrations.length === 1 && parsed.celebrations[0].name === parsed.title, 'Readings list the day\'s celebrations');
+  assert(parsed.sundayCycle === 'A' && parsed.weekdayCycle === 'II' && parsed.psalterWeek === 'III' &&
+    parsed.weekOfSeason === 3 && parsed.color === 'violet', 'Cycles, Psalter week and color come from the calendar');
+
+  let parseError;
+  try {
+    CathReadings.parseReadings('<html><body><h1>Page not found</h1></body></html>', '121525');
+  } catch (e) {
+    parseError = e;
+  }
+  assert(parseError instanceof CathReadings.ParseError && /b-lectionary/.test(parseError.message) && parseError.date === '2025-12-15',
+    'A page without the lectionary block throws ParseError');
+
+  const christmasIndex = CathReadings.parseReadings(
+    '<html><body><a href="/bible/readings/122525-Vigil.cfm">Vigil Mass</a><a href="/bible/readings/122525-Day.cfm">Mass during the Day</a></body></html>',
+    '122525');
+  assert(christmasIndex.masses.length === 2 && christmasIndex.masses[1].url === 'https://bible.usccb.org/bible/readings/122525-Day.cfm',
+    'A multi-Mass index page lists its Masses');
+
+  let injected = 0;
+  const domParser = { parseFromString: (html, type) => { injected++; return new CathReadings.LiteDOMParser().parseFromString(html, type); } };
+  CathReadings.parseReadings(page, '121525', { domParser });
+  assert(injected === 1, 'An injected DOM parser is used');
+
+  // Test 18: ISO dates, four-digit years and time zones
+  const isoDate = CathReadings.parseDateString('2025-12-15');
+  assert(isoDate.getFullYear() === 2025 && isoDate.getMonth() === 11 && isoDate.getDate() === 15, 'parseDateString accepts YYYY-MM-DD');
+  assert(CathReadings.parseDateString('12151999').getFullYear() === 1999, 'parseDateString accepts MMDDYYYY');
+  assert(CathReadings.toDate('2025-12-15').getTime() === testDate.getTime(), 'toDate accepts ISO strings');
+  assert(CathReadings.formatIsoDate(CathReadings.parseDateString('0101-01-01')) === '0101-01-01', 'Years below 1000 keep four digits');
+  validationPassed = false;
+  try {
+    CathReadings.parseDateString('2025-02-30');
+  } catch (e) {
+    validationPassed = e.message === 'Invalid date values';
+  }
+  assert(validationPassed, 'parseDateString rejects impossible ISO dates');
+
+  // 03:30 UTC on December 16 is still December 15 in New York and already December 16 in Tokyo
+  const lateEvening = new Date(Date.UTC(2025, 11, 16, 3, 30));
+  assert(CathReadings.formatIsoDate(CathReadings.today('America/New_York', lateEvening)) === '2025-12-15', 'today() honors a time zone west of UTC');
+  assert(CathReadings.formatIsoDate(CathReadings.today('Asia/Tokyo', lateEvening)) === '2025-12-16', 'today() honors a time zone east of UTC');
+  let badZone = false;
+  try {
+    new CathReadings({ timeZone: 'Mars/Olympus_Mons' });
+  } catch (e) {
+    badZone = e instanceof RangeError;
+  }
+  assert(badZone, 'Unknown time zones are rejected by the constructor');
+
+  const zonedApi = new CathReadings({ persistentCache: null, timeZone: 'Pacific/Kiritimati' });
+  zonedApi.getReadings = async date => CathReadings.formatIsoDate(date);
+  const pagoPago = CathReadings.today('Pacific/Pago_Pago');
+  assert(await zonedApi.getToday() === CathReadings.formatIsoDate(CathReadings.today('Pacific/Kiritimati')) &&
+    await zonedApi.getTomorrow({ timeZone: 'Pacific/Pago_Pago' }) ===
+      CathReadings.formatIsoDate(new Date(pagoPago.getFullYear(), pagoPago.getMonth(), pagoPago.getDate() + 1)),
+    'getToday and getTomorrow use the configured or given time zone');
+
+  // The date field must not shift a day in time zones east of UTC
+  const { execFileSync } = require('child_process');
+  const eastDate = execFileSync(process.execPath, ['-e', `
+    const CathReadings = require(${JSON.stringify(require.resolve('../cathReadings.js'))});
+    process.stdout.write(CathReadings.parseReadings(${JSON.stringify(page)}, '2025-12-15').date);
+  `], { env: { ...process.env, TZ: 'Asia/Tokyo' } }).toString();
+  assert(eastDate === '2025-12-15', 'date matches the requested day in time zones east of UTC');
+
+  // Test 19: Events and statistics
+  console.log('\n📝 Testing events and statistics...\n');
+  const events = [];
+  const observed = new CathReadings({
+    fetch: async (url) => {
+      if (url.startsWith('http://dead.local')) throw new TypeError('fetch failed');
+      if (url.startsWith('http://slow.local')) return new Promise(() => {});
+      if (!url.startsWith('http://live.local')) throw new TypeError('fetch failed');
+      return { ok: true, status: 200, text: async () => page.replace('Monday of', 'Tuesday of') };
+    },
+    proxies: ['http://dead.local/?', 'http://live.local/?'],
+    retries: 0,
+    persistentCache: null,
+    on: { cacheMiss: event => events.push(['cacheMiss', event]) }
+  });
+  ['requestStart', 'requestEnd', 'cacheHit', 'proxyAttempt', 'proxySuccess', 'proxyFailure', 'parseWarning'].forEach((name) => {
+    observed.on(name, event => events.push([name, event]));
+  });
+
+  await observed.getReadings('121525');
+  await observed.getReadings('2025-12-15');
+  const names = events.map(([name]) => name);
+  assert(names[0] === 'cacheMiss' && names[1] === 'requestStart' && names.includes('proxyFailure') &&
+    names.includes('proxySuccess') && names.filter(name => name === 'cacheHit').length === 1,
+    'Cache lookups, requests and proxy attempts are emitted');
+  const end = events.find(([name]) => name === 'requestEnd')[1];
+  assert(end.via === 'proxy' && end.error === null && typeof end.duration === 'number', 'requestEnd says how the page was fetched');
+  const won = events.find(([name]) => name === 'proxySuccess')[1];
+  assert(won.index === 1 && won.proxyUrl.startsWith('http://live.local'), 'proxySuccess names the winning proxy');
+  const warning = events.find(([name]) => name === 'parseWarning')[1];
+  assert(warning.date === '2025-12-15' && /Tuesday/.test(warning.warning), 'Calendar disagreements are emitted as parseWarning');
+  assert(events.find(([name]) => name === 'cacheHit')[1].layer === 'memory', 'cacheHit names the layer');
+
+  const stats = observed.getStats();
+  assert(stats.requests.total === 1 && stats.requests.proxy === 1 && stats.requests.failed === 0, 'getStats counts requests');
+  assert(stats.cache.hits === 1 && stats.cache.misses === 1 && stats.cache.hitRate === 0.5, 'getStats counts cache lookups');
+  assert(stats.proxies.length === 2 && stats.proxies[0].host === 'dead.local' && stats.proxies[0].failures === 1 &&
+    stats.proxies[1].successes === 1 && stats.proxies[1].averageMs !== null, 'getStats reports each proxy');
+  assert(stats.parseWarnings === 1, 'getStats counts parse warnings');
+
+  const timingOut = new CathReadings({
+    fetch: observed.fetchImpl,
+    proxies: ['http://slow.local/?'],
+    retries: 0,
+    persistentCache: null
+  });
+  try {
+    await timingOut.fetchViaProxies('https://bible.usccb.org/bible/readings/121525.cfm', 20);
+  } catch (_) {
+    // Expected: the only proxy never answers
+  }
+  assert(timingOut.getStats().proxies[0].timeouts === 1, 'Proxies still running at the global timeout count as timeouts');
+
+  observed.resetStats();
+  assert(observed.getStats().requests.total === 0 && observed.getStats().cache.hitRate === null, 'resetStats starts again');
+
+  // Test 20: Pinning a date range for offline use
+  console.log('\n📝 Testing pinned days...\n');
+  const pinStore = new CathReadings.CacheStores.MemoryStore({ maxEntries: Infinity });
+  const pinApi = new CathReadings({ persistentCache: pinStore, cacheTtl: 1000, cacheMaxEntries: 3, requestDelay: 0 });
+  let pinFetches = 0;
+  pinApi.fetchPage = async (url) => {
+    pinFetches++;
+    if (/121725/.test(url)) throw new CathReadings.NetworkError('offline', { url });
+    return '';
+  };
+  pinApi.parseReadings = (html, date) => ({ date: CathReadings.formatIsoDate(date), title: `Fetch ${pinFetches}`, masses: [] });
+
+  await pinApi.getReadings('121425');
+  const pinResult = await pinApi.pin('2025-12-14', '2025-12-17');
+  assert(pinResult.pinned.join() === '2025-12-14,2025-12-15,2025-12-16' && pinResult.failed[0].date === '2025-12-17' &&
+    pinResult.failed[0].error instanceof CathReadings.NetworkError, 'pin reports pinned and failed days');
+  assert(pinFetches === 4, 'Cached days are pinned without fetching them again');
+  assert((await pinStore.get('121525')).pinned, 'Pinned days are written to the persistent cache');
+  assert((await pinApi.getPinned()).join() === '2025-12-14,2025-12-15,2025-12-16', 'getPinned lists the pinned days');
+
+  (await pinStore.get('121425')).storedAt -= 5000;
+  await pinApi.cache.clear();
+  assert(await pinApi.isCached('121425'), 'Pinned days do not expire');
+  await pinApi.getReadings('121825');
+  await pinApi.getReadings('121925');
+  assert((await pinStore.keys()).filter(key => !['121825', '121925'].includes(key)).length === 3,
+    'Pinned days are not evicted');
+  assert(await pinApi.purgeCache({ staleOnly: true }) === 0, 'purgeCache keeps pinned days when removing stale ones');
+  assert((await pinApi.inspectCache()).some(entry => entry.key === '121425' && entry.pinned && entry.expiresAt === null),
+    'inspectCache reports pinned days');
+
+  const refreshed = await pinApi.refreshPinned({ olderThan: 1000 });
+  assert(refreshed.length === 1 && refreshed[0].date === '2025-12-14' && refreshed[0].changed,
+    'refreshPinned re-fetches the days older than olderThan');
+  assert((await pinStore.get('121425')).pinned && (await pinApi.getReadings('121425')).title === `Fetch ${pinFetches}`,
+    'Refreshed days stay pinned');
+
+  assert(await pinApi.unpin('2025-12-14', '2025-12-15') === 2 && (await pinApi.getPinned()).join() === '2025-12-16',
+    'unpin releases days');
+  assert(!(await pinStore.get('121525')).pinned && await pinApi.unpin('2025-12-15') === 0, 'Unpinned days stay cached');
+
+  const memoryPinApi = new CathReadings({ persistentCache: null, cacheMaxEntries: 2, requestDelay: 0 });
+  let memoryPinFetches = 0;
+  memoryPinApi.fetchPage = async () => {
+    memoryPinFetches++;
+    return '';
+  };
+  memoryPinApi.parseReadings = pinApi.parseReadings;
+  await memoryPinApi.pin('2025-12-14', '2025-12-17');
+  await memoryPinApi.getReadings('121825');
+  assert((await memoryPinApi.getPinned()).join() === '2025-12-14,2025-12-15,2025-12-16,2025-12-17',
+    'Days pinned beyond cacheMaxEntries without a persistent cache are kept in memory');
+  await memoryPinApi.getReadings('121425');
+  assert(memoryPinFetches === 5, 'Days pinned in memory are read without fetching them again');
+
+  console.log('\n✨ All tests passed!\n');
+})();